@@ -0,0 +1,178 @@
+/**
+ * AES-128 Module
+ * Minimal AES-128 block cipher used by the smart cube protocols
+ */
+
+class AES128 {
+    constructor(key) {
+        if (key.length !== 16) {
+            throw new Error('AES-128 key must be 16 bytes long');
+        }
+
+        AES128.initializeTables();
+        this.roundKeys = this.expandKey(Uint8Array.from(key));
+    }
+
+    /**
+     * Build S-boxes and multiplication helpers once per page
+     */
+    static initializeTables() {
+        if (AES128.SBOX) {
+            return;
+        }
+
+        const sbox = new Uint8Array(256);
+        const invSbox = new Uint8Array(256);
+
+        // Walk the multiplicative group with generator 3 to get inverses
+        let p = 1;
+        let q = 1;
+        do {
+            p = p ^ ((p << 1) & 0xFF) ^ (p & 0x80 ? 0x1B : 0);
+            q ^= q << 1;
+            q ^= q << 2;
+            q ^= q << 4;
+            q &= 0xFF;
+            if (q & 0x80) {
+                q ^= 0x09;
+            }
+
+            const rotl = (value, shift) => ((value << shift) | (value >> (8 - shift))) & 0xFF;
+            const value = q ^ rotl(q, 1) ^ rotl(q, 2) ^ rotl(q, 3) ^ rotl(q, 4) ^ 0x63;
+            sbox[p] = value;
+            invSbox[value] = p;
+        } while (p !== 1);
+
+        sbox[0] = 0x63;
+        invSbox[0x63] = 0;
+
+        AES128.SBOX = sbox;
+        AES128.INV_SBOX = invSbox;
+    }
+
+    /**
+     * Multiply two bytes in GF(2^8)
+     */
+    static multiply(a, b) {
+        let result = 0;
+        while (b) {
+            if (b & 1) {
+                result ^= a;
+            }
+            a = ((a << 1) ^ (a & 0x80 ? 0x1B : 0)) & 0xFF;
+            b >>= 1;
+        }
+        return result;
+    }
+
+    /**
+     * Expand 16-byte key into 11 round keys
+     */
+    expandKey(key) {
+        const roundKeys = new Uint8Array(176);
+        roundKeys.set(key);
+
+        let rcon = 1;
+        for (let i = 16; i < 176; i += 4) {
+            let word = roundKeys.slice(i - 4, i);
+
+            if (i % 16 === 0) {
+                word = Uint8Array.of(
+                    AES128.SBOX[word[1]] ^ rcon,
+                    AES128.SBOX[word[2]],
+                    AES128.SBOX[word[3]],
+                    AES128.SBOX[word[0]]
+                );
+                rcon = AES128.multiply(rcon, 2);
+            }
+
+            for (let j = 0; j < 4; j++) {
+                roundKeys[i + j] = roundKeys[i - 16 + j] ^ word[j];
+            }
+        }
+
+        return roundKeys;
+    }
+
+    /**
+     * XOR round key into state
+     */
+    addRoundKey(state, round) {
+        for (let i = 0; i < 16; i++) {
+            state[i] ^= this.roundKeys[round * 16 + i];
+        }
+    }
+
+    /**
+     * Encrypt a single 16-byte block
+     */
+    encryptBlock(block) {
+        const state = Uint8Array.from(block);
+        this.addRoundKey(state, 0);
+
+        for (let round = 1; round <= 10; round++) {
+            // SubBytes + ShiftRows
+            const shifted = new Uint8Array(16);
+            for (let col = 0; col < 4; col++) {
+                for (let row = 0; row < 4; row++) {
+                    shifted[col * 4 + row] = AES128.SBOX[state[((col + row) % 4) * 4 + row]];
+                }
+            }
+            state.set(shifted);
+
+            // MixColumns (skipped in the final round)
+            if (round < 10) {
+                for (let col = 0; col < 4; col++) {
+                    const [a0, a1, a2, a3] = state.slice(col * 4, col * 4 + 4);
+                    const m = AES128.multiply;
+                    state[col * 4] = m(a0, 2) ^ m(a1, 3) ^ a2 ^ a3;
+                    state[col * 4 + 1] = a0 ^ m(a1, 2) ^ m(a2, 3) ^ a3;
+                    state[col * 4 + 2] = a0 ^ a1 ^ m(a2, 2) ^ m(a3, 3);
+                    state[col * 4 + 3] = m(a0, 3) ^ a1 ^ a2 ^ m(a3, 2);
+                }
+            }
+
+            this.addRoundKey(state, round);
+        }
+
+        return state;
+    }
+
+    /**
+     * Decrypt a single 16-byte block
+     */
+    decryptBlock(block) {
+        const state = Uint8Array.from(block);
+        this.addRoundKey(state, 10);
+
+        for (let round = 9; round >= 0; round--) {
+            // InvShiftRows + InvSubBytes
+            const shifted = new Uint8Array(16);
+            for (let col = 0; col < 4; col++) {
+                for (let row = 0; row < 4; row++) {
+                    shifted[((col + row) % 4) * 4 + row] = AES128.INV_SBOX[state[col * 4 + row]];
+                }
+            }
+            state.set(shifted);
+
+            this.addRoundKey(state, round);
+
+            // InvMixColumns (skipped after the initial round key)
+            if (round > 0) {
+                for (let col = 0; col < 4; col++) {
+                    const [a0, a1, a2, a3] = state.slice(col * 4, col * 4 + 4);
+                    const m = AES128.multiply;
+                    state[col * 4] = m(a0, 14) ^ m(a1, 11) ^ m(a2, 13) ^ m(a3, 9);
+                    state[col * 4 + 1] = m(a0, 9) ^ m(a1, 14) ^ m(a2, 11) ^ m(a3, 13);
+                    state[col * 4 + 2] = m(a0, 13) ^ m(a1, 9) ^ m(a2, 14) ^ m(a3, 11);
+                    state[col * 4 + 3] = m(a0, 11) ^ m(a1, 13) ^ m(a2, 9) ^ m(a3, 14);
+                }
+            }
+        }
+
+        return state;
+    }
+}
+
+// Export for use in other modules
+window.AES128 = AES128;
@@ -0,0 +1,228 @@
+/**
+ * Algorithm Library Module
+ * The user's own OLL/PLL algorithms, stored in the browser
+ *
+ * Each case (e.g. 'OLL 27', 'PLL T') holds a list of algorithms, one of them
+ * marked as main. Executions are matched by their effect on the cube, so an
+ * algorithm is recognised whatever notation it was written in (rotations,
+ * wide and slice moves) and when it was executed mirrored, inverted, from
+ * another angle or with a different AUF.
+ */
+
+class AlgLibrary {
+    constructor(lastLayer = new LastLayerRecognizer()) {
+        this.STORAGE_KEY = 'cubecoach-alg-library';
+        this.lastLayer = lastLayer;
+        this.cases = this.load();
+    }
+
+    /**
+     * Read the library from localStorage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return stored && typeof stored.cases === 'object' ? stored.cases : {};
+        } catch (error) {
+            console.warn('Could not read algorithm library:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write the library to localStorage
+     */
+    save() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ version: 1, cases: this.cases }));
+    }
+
+    /**
+     * All case keys in OLL number and PLL name order
+     */
+    getCaseKeys() {
+        return [
+            ...Object.keys(this.lastLayer.OLL_ALGORITHMS).map(number => `OLL ${number}`),
+            ...Object.keys(this.lastLayer.PLL_ALGORITHMS).map(name => `PLL ${name}`)
+        ];
+    }
+
+    /**
+     * Built-in reference algorithm of a case
+     */
+    getReferenceAlg(caseKey) {
+        const [set, id] = caseKey.split(' ');
+        const table = set === 'OLL' ? this.lastLayer.OLL_ALGORITHMS : this.lastLayer.PLL_ALGORITHMS;
+        return table[id] || null;
+    }
+
+    getAlgs(caseKey) {
+        return this.cases[caseKey] || [];
+    }
+
+    getMainAlg(caseKey) {
+        return this.getAlgs(caseKey).find(entry => entry.main) || null;
+    }
+
+    /**
+     * Add an algorithm to a case; the first one of a case becomes its main
+     * Throws unless the algorithm solves the case
+     */
+    addAlg(caseKey, alg, tags = []) {
+        if (!this.getReferenceAlg(caseKey)) {
+            throw new Error(`Unknown case: ${caseKey}`);
+        }
+        // Throws on notation that cannot be parsed
+        if (Notation.parse(alg).length === 0) {
+            throw new Error('Enter an algorithm');
+        }
+        const solved = this.getSolvedCase(caseKey, alg);
+        if (solved !== caseKey) {
+            throw new Error(`This algorithm solves ${solved || 'no OLL/PLL case'}, not ${caseKey}`);
+        }
+
+        const algs = this.getAlgs(caseKey);
+        const entry = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            alg: alg.trim(),
+            tags: AlgLibrary.cleanTags(tags),
+            main: algs.length === 0
+        };
+        this.cases[caseKey] = [...algs, entry];
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Remove an algorithm; if it was the main one, the next one takes over
+     */
+    removeAlg(caseKey, id) {
+        const algs = this.getAlgs(caseKey).filter(entry => entry.id !== id);
+        if (algs.length > 0 && !algs.some(entry => entry.main)) {
+            algs[0].main = true;
+        }
+        if (algs.length > 0) {
+            this.cases[caseKey] = algs;
+        } else {
+            delete this.cases[caseKey];
+        }
+        this.save();
+    }
+
+    setMainAlg(caseKey, id) {
+        this.getAlgs(caseKey).forEach((entry) => {
+            entry.main = entry.id === id;
+        });
+        this.save();
+    }
+
+    setTags(caseKey, id, tags) {
+        const entry = this.getAlgs(caseKey).find(item => item.id === id);
+        if (entry) {
+            entry.tags = AlgLibrary.cleanTags(tags);
+            this.save();
+        }
+    }
+
+    /**
+     * Algorithms carrying a tag, across all cases
+     */
+    findByTag(tag) {
+        const wanted = String(tag).trim().toLowerCase();
+        return Object.entries(this.cases).flatMap(([caseKey, algs]) =>
+            algs.filter(entry => entry.tags.includes(wanted)).map(entry => ({ caseKey, ...entry })));
+    }
+
+    /**
+     * Case key ('OLL 27', 'PLL T') an algorithm solves from any AUF, or null
+     * The case is the state the inverse of the algorithm leaves on a solved cube
+     */
+    getSolvedCase(caseKey, alg) {
+        const facelets = new CubeModel().applyAlgorithm(Notation.format(Notation.invert(Notation.parse(alg)))).getFacelets();
+        if (caseKey.startsWith('OLL')) {
+            const oll = this.lastLayer.recognizeOLL(facelets, 'D');
+            return oll && oll.number > 0 ? `OLL ${oll.number}` : null;
+        }
+        const pll = this.lastLayer.recognizePLL(facelets, 'D');
+        return pll && pll.name !== 'skip' ? `PLL ${pll.name}` : null;
+    }
+
+    /**
+     * Find which algorithm an execution was
+     * execution is written with the cross on D, as produced by LastLayerRecognizer
+     * Returns { source: 'main' | 'alt' | 'reference', alg, variant, caseKey, otherCase } or null
+     *
+     * A mirrored or inverted algorithm solves another case than the one it is
+     * stored under, so the user's algorithms of every case are tried; caseKey
+     * tells which case the matching one is stored under (otherCase when not
+     * the executed one). The user's algorithms win
+     * over the reference, and an algorithm as written over a mirrored or
+     * inverted one.
+     */
+    matchExecution(caseKey, execution) {
+        const moves = Notation.parse(execution);
+        if (moves.length === 0) {
+            return null;
+        }
+        const target = AlgLibrary.getEffect(moves);
+
+        const set = caseKey.split(' ')[0];
+        const caseKeys = [caseKey, ...Object.keys(this.cases).filter(key => key !== caseKey && key.startsWith(set))];
+        const own = caseKeys.flatMap(key => [...this.getAlgs(key)]
+            .sort((a, b) => b.main - a.main)
+            .map(entry => ({ source: entry.main ? 'main' : 'alt', alg: entry.alg, caseKey: key, otherCase: key !== caseKey })));
+        const reference = this.getReferenceAlg(caseKey);
+        const candidateGroups = [own, reference ? [{ source: 'reference', alg: reference, caseKey: caseKey, otherCase: false }] : []];
+
+        const variants = {
+            'as written': moves => moves,
+            'mirror': moves => Notation.mirror(moves),
+            'inverse': moves => Notation.invert(moves),
+            'mirrored inverse': moves => Notation.mirror(Notation.invert(moves))
+        };
+        for (const candidates of candidateGroups) {
+            for (const [variant, transform] of Object.entries(variants)) {
+                for (const candidate of candidates) {
+                    if (this.hasEffect(transform(Notation.parse(candidate.alg)), target)) {
+                        return { ...candidate, variant: variant };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether moves have the target effect when executed from any angle
+     * and with any AUF before and after them
+     */
+    hasEffect(moves, target) {
+        const sequence = Notation.format(moves);
+        const aufs = this.lastLayer.AUFS;
+
+        for (const angle of ['', 'y', 'y2', 'y\'']) {
+            for (const before of aufs) {
+                for (const after of aufs) {
+                    if (AlgLibrary.getEffect(`${angle} ${before} ${sequence} ${after}`) === target) {
+                        return true;
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Facelets a move sequence produces from solved, ignoring whole-cube rotation
+     */
+    static getEffect(notation) {
+        return new CubeModel().applyAlgorithm(notation).normalizeOrientation().getFacelets();
+    }
+
+    static cleanTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags).split(',');
+        return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+}
+
+// Export for use in other modules
+window.AlgLibrary = AlgLibrary;
@@ -5,14 +5,36 @@
 
 class CubeCoachApp {
     constructor() {
-        this.bluetooth = new GANBluetooth();
-        this.timer = new Timer();
-        this.solveParser = new SolveParser();
+        this.clock = new Clock(); // One time base for the timer, the parser and the cube (see clock.js)
+        this.cubeDriver = null; // Created on connect for the selected cube brand
+        this.timer = new Timer(this.clock);
+        this.solveParser = new SolveParser(this.clock);
+        this.cubeSolver = new CubeSolver(); // Two-phase solver in a worker
+        this.scrambler = new Scrambler(this.cubeSolver);
+        this.generatedScramble = null; // Last scramble from the scrambler, with its seed
+        this.scrambleGuide = new ScrambleGuide(this.cubeSolver);
+        this.cubeModel = new CubeModel(); // Live state of the connected cube
+        this.cubeModelSynced = false; // True once the cube confirmed the model's state
+        this.lastMoveSerial = null;
+        this.packetRecorder = new PacketRecorder();
+        this.packetReplay = null;
+        this.lastCapture = null;
         
         this.currentSolveNumber = 1;
+        this.solveStore = new SolveStore(); // Solves and sessions kept across visits
+        this.session = null; // Session new solves are saved in
+        this.statistics = new SolveStatistics(); // Averages of the session's solves
+        this.phaseTrends = new PhaseTrends();
+        this.sessions = [];
+        this.otherSessionSolves = []; // Stored solves of the other sessions, for the phase trends
         this.isAutoTimer = true; // Auto start/stop timer based on cube data
         this.lastMoveTime = 0;
         this.solveStarted = false;
+        this.timerArmed = false; // Auto-timer starts on the next move once the cube is scrambled
+        this.cubeReportsState = false; // Drivers without cubeState events arm from tracked moves
+        this.pendingSolve = null; // Solve with dropouts, waiting for keep/discard
+        this.splitReference = null; // Best and mean splits the live splits are compared with
+        this.keySplits = false; // The running solve's splits come from key taps
         
         this.initializeEventListeners();
         this.initializeUI();
@@ -22,20 +44,67 @@ class CubeCoachApp {
      * Initialize event listeners for all modules
      */
     initializeEventListeners() {
-        // Bluetooth events
-        this.bluetooth.on('connected', (data) => this.handleCubeConnected(data));
-        this.bluetooth.on('disconnected', () => this.handleCubeDisconnected());
-        this.bluetooth.on('error', (error) => this.handleBluetoothError(error));
-        this.bluetooth.on('batteryLevel', (level) => this.updateBatteryLevel(level));
-        this.bluetooth.on('cubeState', (state) => this.handleCubeState(state));
-        this.bluetooth.on('moveData', (move) => this.handleMoveData(move));
-        this.bluetooth.on('solveComplete', (data) => this.handleSolveComplete(data));
-
         // Timer events
         this.timer.on('tick', (data) => this.updateTimerDisplay(data.formatted));
         this.timer.on('start', () => this.handleTimerStart());
         this.timer.on('stop', (data) => this.handleTimerStop(data));
         this.timer.on('reset', () => this.handleTimerReset());
+        this.timer.on('split', (data) => this.handleSplit(data));
+        this.timer.on('inspectionStart', () => this.handleInspectionStart());
+        this.timer.on('inspectionTick', (data) => this.handleInspectionTick(data));
+        this.timer.on('inspectionWarning', (data) => this.playInspectionWarning(data.seconds));
+
+        // Scramble progress of the connected cube
+        this.scrambleGuide.on('update', (update) => this.renderScrambleGuide(update));
+
+        // Build or load the solver tables in the background
+        this.cubeSolver.on('status', (status) => {
+            if (status === 'building') {
+                this.showNotification('Preparing the cube solver...', 'info');
+            }
+        });
+        try {
+            this.cubeSolver.start();
+        } catch (error) {
+            console.warn('Cube solver unavailable:', error.message);
+        }
+    }
+
+    /**
+     * Subscribe to events of a cube driver
+     * Events from a driver that is no longer active are ignored
+     */
+    attachCubeDriver(driver) {
+        this.cubeDriver = driver;
+        driver.setClock(this.clock);
+        this.cubeModel.reset();
+        this.cubeModelSynced = false;
+        this.lastMoveSerial = null;
+        this.timerArmed = false;
+        this.cubeReportsState = false;
+
+        const forward = (handler) => (data) => {
+            if (driver === this.cubeDriver) {
+                handler(data);
+            }
+        };
+
+        driver.on('connected', forward((data) => this.handleCubeConnected(data)));
+        driver.on('disconnected', forward(() => this.handleCubeDisconnected()));
+        driver.on('connectionLost', forward((data) => this.handleConnectionLost(data)));
+        driver.on('reconnecting', forward((data) => this.handleReconnecting(data)));
+        driver.on('reconnected', forward((data) => this.handleCubeReconnected(data)));
+        driver.on('missedMoves', forward((data) => this.solveParser.markMissedMoves(data.count, data.timestamp)));
+        driver.on('error', forward((error) => this.handleBluetoothError(error)));
+        driver.on('batteryLevel', forward((level) => this.updateBatteryLevel(level)));
+        driver.on('hardwareInfo', forward((info) => this.updateHardwareInfo(info)));
+        driver.on('cubeState', forward((state) => this.handleCubeState(state)));
+        // gyroData is deliberately not a start trigger: turning the cube over
+        // during inspection must not start the solve, only a face turn does.
+        // The parser uses it to tell wide turns from outer turns
+        driver.on('gyroData', forward((data) => this.solveParser.addOrientation(data)));
+        driver.on('moveData', forward((move) => this.handleMoveData(move)));
+        driver.on('solveComplete', forward((data) => this.handleSolveComplete(data)));
     }
 
     /**
@@ -45,11 +114,47 @@ class CubeCoachApp {
         // Connection controls
         document.getElementById('connect-btn').addEventListener('click', () => this.connectToCube());
         document.getElementById('disconnect-btn').addEventListener('click', () => this.disconnectFromCube());
+        document.getElementById('virtual-cube-btn').addEventListener('click', () => this.connectVirtualCube());
+        document.getElementById('virtual-scramble-btn').addEventListener('click', () => this.scrambleVirtualCube());
+        document.getElementById('virtual-play-btn').addEventListener('click', () => this.playVirtualMoves());
+
+        // Capture and replay controls
+        document.getElementById('record-btn').addEventListener('click', () => this.toggleRecording());
+        document.getElementById('download-capture-btn').addEventListener('click', () => this.downloadCapture());
+        document.getElementById('replay-file').addEventListener('change', (event) => this.loadCapture(event.target.files[0]));
+        document.getElementById('replay-btn').addEventListener('click', () => this.replayCapture());
 
         // Timer controls
-        document.getElementById('start-timer-btn').addEventListener('click', () => this.startTimer());
+        document.getElementById('start-timer-btn').addEventListener('click', () => this.startTimerManually());
         document.getElementById('stop-timer-btn').addEventListener('click', () => this.stopTimer());
         document.getElementById('reset-timer-btn').addEventListener('click', () => this.resetTimer());
+        document.getElementById('keep-solve-btn').addEventListener('click', () => this.resolvePendingSolve(true));
+        document.getElementById('discard-solve-btn').addEventListener('click', () => this.resolvePendingSolve(false));
+        const inspectionToggle = document.getElementById('inspection-toggle');
+        inspectionToggle.checked = localStorage.getItem('cubecoach-inspection') === 'on';
+        this.timer.inspectionEnabled = inspectionToggle.checked;
+        inspectionToggle.addEventListener('change', () => this.setInspectionEnabled(inspectionToggle.checked));
+
+        // Space bar and touch hold-to-start
+        this.initializeHoldToStart();
+
+        // Solve history and sessions
+        document.getElementById('show-deleted').addEventListener('change', () => this.renderSolveHistory());
+        document.getElementById('session-select').addEventListener('change', (event) => this.switchSession(event.target.value));
+        document.getElementById('new-session-btn').addEventListener('click', () => this.createSession());
+        document.getElementById('rename-session-btn').addEventListener('click', () => this.renameSession());
+        document.getElementById('archive-session-btn').addEventListener('click', () => this.toggleSessionArchived());
+        document.getElementById('merge-session-btn').addEventListener('click', () => this.mergeSession());
+        document.getElementById('trend-group').addEventListener('change', () => this.renderPhaseTrends());
+        document.getElementById('trend-metric').addEventListener('change', () => this.renderPhaseTrends());
+        this.loadSessions();
+
+        // Scramble controls
+        document.getElementById('new-scramble-btn').addEventListener('click', () => this.newScramble());
+        document.getElementById('scramble').addEventListener('input', () => this.renderScramble());
+
+        // Algorithm library controls
+        this.initializeAlgLibrary();
 
         // Export controls
         document.getElementById('generate-summary-btn').addEventListener('click', () => this.generateSummary());
@@ -61,6 +166,143 @@ class CubeCoachApp {
         // Initial UI state
         this.updateConnectionUI(false);
         this.updateTimerControls();
+        this.newScramble();
+    }
+
+    /**
+     * Hold space or touch the timer until it turns green, release to start;
+     * any key or touch stops. Virtual cube keys keep turning the cube.
+     * With key splits on and no cube connected, keys other than space split.
+     */
+    initializeHoldToStart() {
+        const delaySelect = document.getElementById('hold-delay');
+        delaySelect.value = localStorage.getItem('cubecoach-hold-delay') || delaySelect.value;
+        const splitsToggle = document.getElementById('key-splits-toggle');
+        splitsToggle.checked = localStorage.getItem('cubecoach-key-splits') === 'on';
+        splitsToggle.addEventListener('change', () => {
+            localStorage.setItem('cubecoach-key-splits', splitsToggle.checked ? 'on' : 'off');
+        });
+
+        this.holdToStart = new HoldToStart({
+            clock: this.clock,
+            isRunning: () => this.timer.getIsRunning(),
+            ignoreKey: (event) => this.cubeDriver instanceof VirtualCube && this.cubeDriver.isConnected &&
+                !!this.cubeDriver.KEY_MAP[event.key.toLowerCase()],
+            canSplit: () => splitsToggle.checked && !(this.cubeDriver && this.cubeDriver.isConnected),
+            holdDelay: Number(delaySelect.value)
+        });
+        delaySelect.addEventListener('change', () => {
+            this.holdToStart.holdDelay = Number(delaySelect.value);
+            localStorage.setItem('cubecoach-hold-delay', delaySelect.value);
+        });
+
+        const timerElement = document.getElementById('timer');
+        this.holdToStart.on('holding', () => timerElement.classList.add('holding'));
+        this.holdToStart.on('ready', () => timerElement.classList.replace('holding', 'ready'));
+        this.holdToStart.on('cancel', () => timerElement.classList.remove('holding', 'ready'));
+        this.holdToStart.on('start', (data) => {
+            timerElement.classList.remove('holding', 'ready');
+            this.startTimerManually(data.timestamp);
+        });
+        this.holdToStart.on('stop', (data) => this.stopTimer(data.timestamp));
+        this.holdToStart.on('split', (data) => this.recordKeySplit(data.timestamp));
+        this.holdToStart.attach(document, document.querySelector('.timer-display'));
+    }
+
+    /**
+     * Fill the case list and wire the algorithm library controls
+     */
+    initializeAlgLibrary() {
+        const library = this.solveParser.algLibrary;
+        const caseSelect = document.getElementById('alg-case');
+
+        library.getCaseKeys().forEach((caseKey) => {
+            const option = document.createElement('option');
+            option.value = caseKey;
+            option.textContent = caseKey;
+            caseSelect.appendChild(option);
+        });
+
+        caseSelect.addEventListener('change', () => this.renderAlgLibrary());
+        document.getElementById('add-alg-btn').addEventListener('click', () => this.addLibraryAlg());
+        this.renderAlgLibrary();
+    }
+
+    /**
+     * Add the typed algorithm to the selected case
+     */
+    addLibraryAlg() {
+        const caseKey = document.getElementById('alg-case').value;
+        const algInput = document.getElementById('alg-input');
+        const tagsInput = document.getElementById('alg-tags');
+
+        try {
+            this.solveParser.algLibrary.addAlg(caseKey, algInput.value, tagsInput.value);
+            algInput.value = '';
+            tagsInput.value = '';
+            this.renderAlgLibrary();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Show the algorithms of the selected case
+     */
+    renderAlgLibrary() {
+        const library = this.solveParser.algLibrary;
+        const caseKey = document.getElementById('alg-case').value;
+        const list = document.getElementById('alg-list');
+
+        document.getElementById('alg-reference').textContent = `Standard: ${library.getReferenceAlg(caseKey)}`;
+        list.innerHTML = '';
+
+        library.getAlgs(caseKey).forEach((entry) => {
+            const item = document.createElement('li');
+
+            const alg = document.createElement('span');
+            alg.className = 'alg-text';
+            alg.textContent = entry.alg;
+            item.appendChild(alg);
+
+            const tags = document.createElement('span');
+            tags.className = 'alg-tags';
+            tags.textContent = entry.tags.join(', ');
+            item.appendChild(tags);
+
+            if (entry.main) {
+                const main = document.createElement('span');
+                main.className = 'alg-main';
+                main.textContent = 'Main';
+                item.appendChild(main);
+            } else {
+                item.appendChild(this.createLibraryButton('Set Main', 'secondary', () => library.setMainAlg(caseKey, entry.id)));
+            }
+
+            item.appendChild(this.createLibraryButton('Tags', 'secondary', () => {
+                const typed = window.prompt('Tags, comma separated:', entry.tags.join(', '));
+                if (typed !== null) {
+                    library.setTags(caseKey, entry.id, typed);
+                }
+            }));
+            item.appendChild(this.createLibraryButton('Remove', 'danger', () => library.removeAlg(caseKey, entry.id)));
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Button in an algorithm row that re-renders the list after its action
+     */
+    createLibraryButton(label, style, action) {
+        const button = document.createElement('button');
+        button.className = `btn ${style}`;
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            action();
+            this.renderAlgLibrary();
+        });
+        return button;
     }
 
     /**
@@ -74,14 +316,16 @@ class CubeCoachApp {
     }
 
     /**
-     * Connect to GAN cube
+     * Connect to a smart cube, picking the driver from the selected device
      */
     async connectToCube() {
         try {
             document.getElementById('connect-btn').disabled = true;
             document.getElementById('connect-btn').textContent = 'Connecting...';
             
-            await this.bluetooth.connect();
+            const { driver, device } = await CubeDriverRegistry.requestDriver();
+            this.attachCubeDriver(driver);
+            await driver.connect(device);
         } catch (error) {
             console.error('Failed to connect:', error);
             alert(`Failed to connect to cube: ${error.message}`);
@@ -89,12 +333,139 @@ class CubeCoachApp {
         }
     }
 
+    /**
+     * Connect the software cube driven by keyboard or typed moves
+     */
+    async connectVirtualCube() {
+        if (this.cubeDriver && this.cubeDriver.isConnected) {
+            await this.cubeDriver.disconnect();
+        }
+
+        const virtualCube = new VirtualCube();
+        this.attachCubeDriver(virtualCube);
+        await virtualCube.connect();
+        virtualCube.attachKeyboard(document);
+    }
+
+    /**
+     * Apply the scramble field to the virtual cube
+     */
+    scrambleVirtualCube() {
+        if (!(this.cubeDriver instanceof VirtualCube)) {
+            return;
+        }
+
+        try {
+            this.cubeDriver.scramble(this.getScramble());
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Play typed moves on the virtual cube
+     */
+    async playVirtualMoves() {
+        if (!(this.cubeDriver instanceof VirtualCube)) {
+            return;
+        }
+
+        try {
+            await this.cubeDriver.playAlgorithm(document.getElementById('virtual-moves').value);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Start or stop capturing raw packets of the connected cube
+     */
+    toggleRecording() {
+        const recordButton = document.getElementById('record-btn');
+
+        if (this.packetRecorder.isRecording()) {
+            this.lastCapture = this.packetRecorder.stop();
+            recordButton.textContent = 'Record Packets';
+            document.getElementById('download-capture-btn').disabled = false;
+            this.showNotification(`Captured ${this.lastCapture.packets.length} packets`, 'success');
+            return;
+        }
+
+        try {
+            this.packetRecorder.start(this.cubeDriver);
+            recordButton.textContent = 'Stop Recording';
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Save the last capture as a JSON file
+     */
+    downloadCapture() {
+        if (this.lastCapture) {
+            this.packetRecorder.download(this.lastCapture);
+        }
+    }
+
+    /**
+     * Read a capture file chosen by the user
+     */
+    async loadCapture(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            this.packetReplay = PacketReplay.fromText(await file.text());
+            document.getElementById('replay-btn').disabled = false;
+        } catch (error) {
+            this.packetReplay = null;
+            document.getElementById('replay-btn').disabled = true;
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Replay the loaded capture through a fresh driver, as if the cube was connected
+     */
+    async replayCapture() {
+        if (!this.packetReplay) {
+            return;
+        }
+
+        if (this.cubeDriver && this.cubeDriver.isConnected) {
+            await this.cubeDriver.disconnect();
+        }
+
+        try {
+            const driver = this.packetReplay.createDriver();
+            this.attachCubeDriver(driver);
+            driver.prepareReplay(this.packetReplay.session);
+
+            const speed = Number(document.getElementById('replay-speed').value);
+            await this.packetReplay.play(driver, speed);
+
+            // Deliver a solve still in progress at the end of the capture
+            if (driver === this.cubeDriver && this.timer.getIsRunning()) {
+                this.stopTimer(this.lastMoveTime);
+            }
+            this.showNotification('Replay finished', 'success');
+        } catch (error) {
+            this.showNotification(`Replay failed: ${error.message}`, 'error');
+        }
+    }
+
     /**
      * Disconnect from cube
      */
     async disconnectFromCube() {
+        if (!this.cubeDriver) {
+            return;
+        }
+
         try {
-            await this.bluetooth.disconnect();
+            await this.cubeDriver.disconnect();
         } catch (error) {
             console.error('Failed to disconnect:', error);
         }
@@ -105,7 +476,8 @@ class CubeCoachApp {
      */
     handleCubeConnected(data) {
         console.log('Cube connected:', data);
-        this.updateConnectionUI(true, data.name);
+        this.updateConnectionUI(true, `${data.name} (${data.driver})`);
+        this.scrambleGuide.emitUpdate();
         
         // Show success message
         this.showNotification('Connected to ' + data.name, 'success');
@@ -117,14 +489,60 @@ class CubeCoachApp {
     handleCubeDisconnected() {
         console.log('Cube disconnected');
         this.updateConnectionUI(false);
+        this.timerArmed = false;
+        this.scrambleGuide.emitUpdate();
+        if (this.packetReplay) {
+            this.packetReplay.stop();
+        }
+        if (this.packetRecorder.isRecording()) {
+            this.toggleRecording();
+        }
         this.showNotification('Cube disconnected', 'info');
         
-        // Stop timer if running
+        // Reconnection failed or user disconnected: end the solve at the last known move
         if (this.timer.getIsRunning()) {
-            this.stopTimer();
+            this.stopTimer(Math.max(this.lastMoveTime, this.solveParser.startTime || 0));
         }
     }
 
+    /**
+     * Link dropped unexpectedly; the driver is reconnecting
+     * The timer and solve recording keep running through the dropout
+     */
+    handleConnectionLost(data) {
+        console.log('Cube connection lost, reconnecting');
+        this.solveParser.beginGap(data.timestamp);
+        this.updateReconnectingUI('Reconnecting...');
+        this.showNotification('Connection lost - reconnecting', 'info');
+    }
+
+    /**
+     * Show reconnect progress
+     */
+    handleReconnecting(data) {
+        this.updateReconnectingUI(`Reconnecting (${data.attempt}/${data.maxAttempts})...`);
+    }
+
+    /**
+     * Link restored; moves the cube replays from its history are marked as recovered
+     */
+    handleCubeReconnected(data) {
+        console.log('Cube reconnected:', data);
+        this.solveParser.endGap(data.timestamp);
+        this.updateConnectionUI(true, `${data.name} (${data.driver})`);
+        this.showNotification('Reconnected to ' + data.name, 'success');
+    }
+
+    /**
+     * Connection panel state while a reconnect is pending
+     */
+    updateReconnectingUI(statusText) {
+        document.getElementById('connection-status').textContent = statusText;
+        const indicatorElement = document.getElementById('status-indicator');
+        indicatorElement.classList.remove('connected');
+        indicatorElement.classList.add('reconnecting');
+    }
+
     /**
      * Handle Bluetooth errors
      */
@@ -144,20 +562,61 @@ class CubeCoachApp {
         }
     }
 
+    /**
+     * Update hardware info display
+     */
+    updateHardwareInfo(info) {
+        const hardwareElement = document.getElementById('hardware-info');
+        if (hardwareElement) {
+            hardwareElement.textContent = `${info.hardwareName} (HW ${info.hardwareVersion}, FW ${info.softwareVersion})`;
+        }
+    }
+
     /**
      * Handle cube state changes
      */
     handleCubeState(state) {
         console.log('Cube state:', state);
+
+        this.syncCubeModel(state);
+        this.cubeReportsState = true;
+        this.updateScrambleGuide();
+        this.armTimerIfScrambled(state.scrambled);
         
-        // Auto-start solve when cube becomes scrambled
-        if (state.scrambled && !this.solveStarted && this.isAutoTimer) {
+        // Auto-stop solve when cube becomes solved, timed by the solving move
+        if (state.solved && this.solveStarted && this.timer.getIsRunning()) {
+            this.recordCubeSplits(this.lastMoveTime);
+            this.stopTimer(this.lastMoveTime);
+        }
+    }
+
+    /**
+     * Arm the auto-timer once the cube shows the scramble exactly
+     * Without a scramble to follow, any scrambled state arms it
+     */
+    armTimerIfScrambled(scrambled) {
+        if (this.timerArmed || this.solveStarted || !this.isAutoTimer || this.pendingSolve) {
+            return;
+        }
+
+        const hasScramble = this.scrambleGuide.getScrambleMoves().length > 0;
+        if (hasScramble ? this.scrambleGuide.isScrambled() : scrambled) {
             this.prepareSolve();
+            this.timerArmed = true;
+            if (this.timer.inspectionEnabled) {
+                this.timer.startInspection();
+            }
         }
-        
-        // Auto-stop solve when cube becomes solved
-        if (state.solved && this.solveStarted && this.timer.getIsRunning()) {
-            this.stopTimer();
+    }
+
+    /**
+     * Whether a reported move turns a face, rather than rotating the whole cube
+     */
+    isFaceTurn(move) {
+        try {
+            return Notation.getKind(Notation.parseMove(move).family) === 'face';
+        } catch (error) {
+            return false;
         }
     }
 
@@ -167,9 +626,9 @@ class CubeCoachApp {
     handleMoveData(move) {
         console.log('Move:', move);
         
-        // Auto-start timer on first move if not running
-        if (!this.timer.getIsRunning() && !this.solveStarted && this.isAutoTimer) {
-            this.startTimer();
+        // Auto-start timer on the first face turn after the scramble
+        if (this.timerArmed && this.isFaceTurn(move.move) && !this.timer.getIsRunning() && !this.solveStarted && this.isAutoTimer && !this.pendingSolve) {
+            this.startTimer(move.timestamp);
             this.solveStarted = true;
         }
         
@@ -177,24 +636,102 @@ class CubeCoachApp {
         if (this.solveStarted) {
             this.solveParser.addMove(move);
         }
-        
+
+        this.applyMoveToModel(move);
         this.lastMoveTime = move.timestamp;
+        if (!this.solveStarted) {
+            this.updateScrambleGuide();
+            if (!this.cubeReportsState) {
+                this.armTimerIfScrambled(!this.cubeModel.isSolved());
+            }
+        }
+
+        if (this.solveStarted && this.timer.getIsRunning()) {
+            this.recordCubeSplits(move.timestamp);
+        }
+
+        // Cubes without solved reports still stop on the move that solves the model
+        if (this.solveStarted && this.timer.getIsRunning() && this.solveParser.isCubeSolved()) {
+            this.stopTimer(move.timestamp);
+        }
+    }
+
+    /**
+     * Split on the move that finished a phase, by the tracked solve state
+     */
+    recordCubeSplits(timestamp) {
+        const splits = this.solveParser.SPLITS;
+        const reached = this.solveParser.getSplitsReached();
+        while (this.timer.getSplits().length < reached) {
+            this.timer.split(splits[this.timer.getSplits().length].name, timestamp);
+        }
+    }
+
+    /**
+     * Split on a key tap: each one ends the next phase, and stopping ends PLL
+     */
+    recordKeySplit(timestamp) {
+        const splits = this.solveParser.SPLITS;
+        const next = this.timer.getSplits().length;
+        if (next < splits.length - 1) {
+            this.keySplits = true;
+            this.timer.split(splits[next].name, timestamp);
+        }
+    }
+
+    /**
+     * Track the live cube state from the move stream
+     */
+    applyMoveToModel(move) {
+        try {
+            this.cubeModel.applyMove(move.move);
+            this.lastMoveSerial = move.serial !== undefined ? move.serial : null;
+        } catch (error) {
+            console.warn('Cube model could not apply move:', error);
+            this.cubeModelSynced = false;
+        }
+    }
+
+    /**
+     * Take over the state the cube reports
+     * GAN facelets are requested after moves settle, so a report older than
+     * the last move (by 8-bit serial) is ignored instead of undoing newer moves
+     */
+    syncCubeModel(state) {
+        if (state.facelets) {
+            const behind = state.serial !== undefined && this.lastMoveSerial !== null ?
+                (this.lastMoveSerial - state.serial) & 0xFF : 0;
+            if (behind > 0 && behind < 128) {
+                return;
+            }
+
+            try {
+                if (this.cubeModel.getFacelets() !== state.facelets) {
+                    console.log('Cube model resynchronised from cube facelets');
+                }
+                this.cubeModel.setFacelets(state.facelets);
+                this.cubeModelSynced = true;
+                this.solveParser.syncFacelets(state.facelets);
+            } catch (error) {
+                console.warn('Ignoring invalid facelets from cube:', error);
+            }
+        } else if (state.solved) {
+            this.cubeModel.reset();
+            this.cubeModelSynced = true;
+        }
     }
 
     /**
      * Handle solve completion data from cube
+     * The time the cube measured itself is only logged: the official time is
+     * the one on the shared clock, already shown by stopTimer()
      */
     handleSolveComplete(data) {
-        console.log('Solve complete:', data);
+        console.log('Solve complete (cube-measured time is informational):', data);
         
         if (this.timer.getIsRunning()) {
-            this.stopTimer();
+            this.stopTimer(data.timestamp);
         }
-        
-        // Update UI with cube's timing data
-        document.getElementById('total-time').textContent = this.timer.formatTime(data.totalTime);
-        document.getElementById('total-moves').textContent = data.moveCount;
-        document.getElementById('tps').textContent = data.tps.toFixed(2);
     }
 
     /**
@@ -209,34 +746,119 @@ class CubeCoachApp {
 
     /**
      * Start timer manually
+     * Cube-driven starts pass the first move's timestamp so replays analyse identically
      */
-    startTimer() {
-        if (this.timer.start()) {
+    startTimer(startTimestamp = this.clock.now()) {
+        if (this.timer.start(startTimestamp)) {
             this.solveStarted = true;
-            this.solveParser.startSolve(this.getScramble());
+            this.timerArmed = false;
+            // Known cube state wins; otherwise the typed scramble describes the start
+            const initialFacelets = this.cubeModelSynced ? this.cubeModel.getFacelets() : null;
+            this.solveParser.startSolve(this.getScramble(), startTimestamp, initialFacelets, this.getScrambleGenerator());
+            this.solveParser.setInspection(this.timer.inspection);
             this.updateTimerControls();
             document.body.classList.add('timer-running');
         }
     }
 
+    /**
+     * Start button: begins inspection first when it is enabled
+     */
+    startTimerManually(timestamp = this.clock.now()) {
+        if (this.timer.inspectionEnabled && !this.timer.getIsInspecting()) {
+            this.timer.startInspection();
+        } else {
+            this.startTimer(timestamp);
+        }
+    }
+
+    /**
+     * Turn WCA inspection on or off and remember the choice
+     */
+    setInspectionEnabled(enabled) {
+        this.timer.inspectionEnabled = enabled;
+        localStorage.setItem('cubecoach-inspection', enabled ? 'on' : 'off');
+        if (!enabled && this.timer.cancelInspection()) {
+            this.updateTimerDisplay('00:00.000');
+            document.getElementById('timer').className = '';
+        }
+        this.updateTimerControls();
+    }
+
     /**
      * Stop timer manually
      */
-    stopTimer() {
-        const result = this.timer.stop();
+    stopTimer(endTimestamp = this.clock.now()) {
+        if (this.keySplits && this.timer.getIsRunning()) {
+            this.timer.split('pll', endTimestamp);
+        }
+        const result = this.timer.stop(endTimestamp);
         if (result) {
             this.solveStarted = false;
             this.updateTimerControls();
             document.body.classList.remove('timer-running');
             
             // Complete solve parsing
-            const solveData = this.solveParser.stopSolve();
+            const solveData = this.solveParser.stopSolve(endTimestamp);
+            if (solveData && solveData.gaps.length > 0) {
+                this.offerSolveRecovery(solveData);
+                return;
+            }
+
             if (solveData) {
+                this.persistSolve(solveData);
+                this.addToStatistics(solveData);
+                this.renderPhaseTrends();
                 this.displaySolveData(solveData);
+                this.showPenalty(solveData);
             }
             
-            this.currentSolveNumber++;
-            document.getElementById('solve-number').textContent = this.currentSolveNumber;
+            this.updateSolveNumber();
+            this.newScramble();
+        }
+    }
+
+    /**
+     * Ask whether a solve interrupted by a dropout should be kept
+     */
+    offerSolveRecovery(solveData) {
+        this.pendingSolve = solveData;
+
+        const missed = solveData.gaps.reduce((sum, gap) => sum + gap.missedMoves, 0);
+        const recovered = solveData.gaps.reduce((sum, gap) => sum + gap.recoveredMoves, 0);
+        let message = `The cube disconnected during this solve. ${recovered} moves were recovered`;
+        message += missed > 0 ? `, ${missed} are missing.` : '; the cube did not report missing moves.';
+
+        document.getElementById('solve-recovery-message').textContent = message;
+        document.getElementById('solve-recovery').classList.remove('hidden');
+    }
+
+    /**
+     * Keep or discard the solve waiting for a decision
+     */
+    resolvePendingSolve(keep) {
+        const solveData = this.pendingSolve;
+        if (!solveData) {
+            return;
+        }
+
+        this.pendingSolve = null;
+        document.getElementById('solve-recovery').classList.add('hidden');
+
+        if (keep) {
+            this.persistSolve(solveData);
+            this.addToStatistics(solveData);
+            this.renderPhaseTrends();
+            this.displaySolveData(solveData);
+            this.showPenalty(solveData);
+            this.updateSolveNumber();
+            this.newScramble();
+        } else {
+            this.solveParser.discardSolve(solveData);
+            this.updateCrossColorStats();
+            this.renderSolveHistory();
+            this.resetTimer();
+            this.showNotification('Solve discarded', 'info');
         }
     }
 
@@ -258,6 +880,101 @@ class CubeCoachApp {
      */
     handleTimerStart() {
         this.updateTimerControls();
+        document.getElementById('timer').className = '';
+        this.keySplits = false;
+        this.splitReference = this.solveParser.getSplitReference();
+        document.getElementById('live-splits').innerHTML = '';
+    }
+
+    /**
+     * Record a split on the solve and show it against the best and mean splits
+     */
+    handleSplit(split) {
+        this.solveParser.addSplit(split);
+
+        const definition = this.solveParser.SPLITS.find(entry => entry.name === split.name);
+        const row = document.createElement('li');
+        const label = document.createElement('span');
+        label.className = 'split-label';
+        label.textContent = definition ? definition.label : split.name;
+        const time = document.createElement('span');
+        time.className = 'split-time';
+        time.textContent = (split.time / 1000).toFixed(2);
+        row.append(label, time);
+
+        // Negative differences are ahead
+        if (this.splitReference) {
+            [['PB', this.splitReference.best], ['avg', this.splitReference.average]].forEach(([name, times]) => {
+                if (times[split.name] === undefined) {
+                    return;
+                }
+                const difference = split.time - times[split.name];
+                const delta = document.createElement('span');
+                delta.className = `split-delta ${difference <= 0 ? 'ahead' : 'behind'}`;
+                delta.textContent = `${name} ${difference <= 0 ? '-' : '+'}${(Math.abs(difference) / 1000).toFixed(2)}`;
+                row.appendChild(delta);
+            });
+        }
+        document.getElementById('live-splits').appendChild(row);
+    }
+
+    /**
+     * Handle inspection start
+     */
+    handleInspectionStart() {
+        this.updateTimerControls();
+        this.updateTimerDisplay(this.timer.formatInspection(0));
+        document.getElementById('timer').classList.add('inspection');
+    }
+
+    /**
+     * Count inspection down, turning amber at 8 seconds and red at 12
+     */
+    handleInspectionTick(data) {
+        const [warning, urgent] = this.timer.INSPECTION_WARNINGS;
+        const classes = document.getElementById('timer').classList;
+        classes.toggle('urgent', data.elapsed >= urgent);
+        classes.toggle('warning', data.elapsed >= warning && data.elapsed < urgent);
+        this.updateTimerDisplay(data.formatted);
+    }
+
+    /**
+     * Beep once at 8 seconds of inspection and twice at 12
+     */
+    playInspectionWarning(seconds) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) {
+            return;
+        }
+
+        try {
+            this.audioContext = this.audioContext || new AudioContext();
+            const beeps = seconds >= 12 ? 2 : 1;
+            for (let i = 0; i < beeps; i++) {
+                const start = this.audioContext.currentTime + i * 0.2;
+                const oscillator = this.audioContext.createOscillator();
+                const gain = this.audioContext.createGain();
+                oscillator.frequency.value = 880;
+                gain.gain.setValueAtTime(0.2, start);
+                gain.gain.exponentialRampToValueAtTime(0.001, start + 0.15);
+                oscillator.connect(gain).connect(this.audioContext.destination);
+                oscillator.start(start);
+                oscillator.stop(start + 0.15);
+            }
+        } catch (error) {
+            console.warn('Inspection warning sound failed:', error);
+        }
+    }
+
+    /**
+     * Show an inspection penalty next to the final time
+     */
+    showPenalty(solveData) {
+        if (solveData.penalty === '+2') {
+            this.updateTimerDisplay(`${this.timer.formatTime(solveData.totalTime + 2000)} (+2)`);
+        } else if (solveData.penalty === 'DNF') {
+            this.updateTimerDisplay(`DNF (${this.timer.formatTime(solveData.totalTime)})`);
+        }
     }
 
     /**
@@ -273,6 +990,9 @@ class CubeCoachApp {
      */
     handleTimerReset() {
         this.updateTimerControls();
+        document.getElementById('timer').className = '';
+        this.keySplits = false;
+        document.getElementById('live-splits').innerHTML = '';
         this.clearSolveData();
     }
 
@@ -292,6 +1012,7 @@ class CubeCoachApp {
         const stopBtn = document.getElementById('stop-timer-btn');
         const resetBtn = document.getElementById('reset-timer-btn');
 
+        startBtn.textContent = this.timer.inspectionEnabled && !this.timer.getIsInspecting() ? 'Inspect' : 'Start';
         startBtn.disabled = isRunning;
         stopBtn.disabled = !isRunning;
         resetBtn.disabled = isRunning;
@@ -307,23 +1028,30 @@ class CubeCoachApp {
         const disconnectBtn = document.getElementById('disconnect-btn');
         const cubeInfo = document.getElementById('cube-info');
         const deviceNameElement = document.getElementById('device-name');
+        const virtualControls = document.getElementById('virtual-controls');
 
         if (connected) {
             statusElement.textContent = 'Connected';
+            indicatorElement.classList.remove('reconnecting');
             indicatorElement.classList.add('connected');
             connectBtn.disabled = true;
             connectBtn.textContent = 'Connect Cube';
             disconnectBtn.disabled = false;
             cubeInfo.classList.remove('hidden');
             deviceNameElement.textContent = deviceName;
+            virtualControls.classList.toggle('hidden', !(this.cubeDriver instanceof VirtualCube));
+            document.getElementById('record-btn').disabled = false;
         } else {
             statusElement.textContent = 'Disconnected';
-            indicatorElement.classList.remove('connected');
+            indicatorElement.classList.remove('connected', 'reconnecting');
             connectBtn.disabled = false;
             connectBtn.textContent = 'Connect Cube';
             disconnectBtn.disabled = true;
             cubeInfo.classList.add('hidden');
             deviceNameElement.textContent = '';
+            virtualControls.classList.add('hidden');
+            document.getElementById('hardware-info').textContent = '--';
+            document.getElementById('record-btn').disabled = !this.packetRecorder.isRecording();
         }
     }
 
@@ -334,12 +1062,16 @@ class CubeCoachApp {
         // Cross
         document.getElementById('cross-time').value = this.formatTimeForInput(solveData.phases.cross.time);
         document.getElementById('cross-moves').value = solveData.phases.cross.moveCount;
+        const crossAnalysis = solveData.crossAnalysis;
+        document.getElementById('cross-info').textContent = crossAnalysis && crossAnalysis.optimal !== null ?
+            `optimal ${crossAnalysis.optimal}, you ${crossAnalysis.movesUsed}` : '';
 
         // F2L pairs
         for (let i = 1; i <= 4; i++) {
             const pair = solveData.phases.f2l[`pair${i}`];
             document.getElementById(`f2l-${i}-time`).value = this.formatTimeForInput(pair.time);
             document.getElementById(`f2l-${i}-moves`).value = pair.moveCount;
+            document.getElementById(`f2l-${i}-info`).textContent = this.solveParser.formatPairLabel(pair).replace(/, $/, '');
         }
 
         // OLL
@@ -352,10 +1084,553 @@ class CubeCoachApp {
         document.getElementById('pll-time').value = this.formatTimeForInput(solveData.phases.pll.time);
         document.getElementById('pll-moves').value = solveData.phases.pll.moveCount;
 
+        this.showReferenceSolution(solveData);
+
+        document.getElementById('solve-orientation').textContent = solveData.orientation ?
+            `- this solve: ${solveData.orientation.bottom} bottom, ${solveData.orientation.front} front` : '';
+        this.updateCrossColorStats();
+        this.renderSolveHistory();
+
         // Calculate and display totals
         this.calculateTotals();
     }
 
+    /**
+     * Show a two-phase solution of the solve's start state, solving it first
+     * when needed; the result is kept on the solve for the summary
+     */
+    async showReferenceSolution(solveData) {
+        const output = document.getElementById('reference-solution');
+        if (solveData.referenceSolution || !solveData.initialFacelets) {
+            output.textContent = solveData.referenceSolution ?
+                `Reference solution (${solveData.referenceSolution.length}): ${solveData.referenceSolution.solution}` : '';
+            return;
+        }
+
+        output.textContent = 'Reference solution: solving...';
+        try {
+            const result = await this.cubeSolver.solve(solveData.initialFacelets);
+            solveData.referenceSolution = { solution: result.solution, length: result.length };
+            if (solveData.sessionId) {
+                this.persistSolve(solveData);
+            }
+        } catch (error) {
+            console.warn('No reference solution:', error.message);
+        }
+        // Another solve may be on display by now
+        if (this.solveParser.getCurrentSolve() === solveData) {
+            this.showReferenceSolution(solveData);
+        }
+    }
+
+    /**
+     * Show per cross colour statistics of the session
+     */
+    updateCrossColorStats() {
+        const body = document.getElementById('cross-stats-body');
+        body.innerHTML = '';
+
+        Object.entries(this.solveParser.getCrossColorStats()).forEach(([color, stats]) => {
+            const row = document.createElement('tr');
+            [
+                color,
+                stats.solves,
+                this.formatResultTime(stats.meanTime),
+                this.formatResultTime(stats.bestTime),
+                this.timer.formatTime(stats.meanCrossTime),
+                stats.meanCrossMoves.toFixed(1)
+            ].forEach((value) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Timer format for results, where DNF is Infinity
+     */
+    formatResultTime(milliseconds) {
+        return Number.isFinite(milliseconds) ? this.timer.formatTime(milliseconds) : 'DNF';
+    }
+
+    /**
+     * List the solves with their penalty, scramble and comment for editing
+     */
+    renderSolveHistory() {
+        const body = document.getElementById('history-body');
+        const showDeleted = document.getElementById('show-deleted').checked;
+        const parser = this.solveParser;
+        body.innerHTML = '';
+
+        parser.getSolveHistory().forEach((solve, index) => {
+            if (solve.deleted && !showDeleted) {
+                return;
+            }
+
+            const row = document.createElement('tr');
+            row.className = solve.deleted ? 'deleted' : '';
+            row.classList.toggle('loaded', solve === parser.getCurrentSolve());
+            const cell = (content) => {
+                const td = document.createElement('td');
+                if (typeof content === 'string' || typeof content === 'number') {
+                    td.textContent = content;
+                } else {
+                    td.appendChild(content);
+                }
+                row.appendChild(td);
+            };
+
+            const penalty = document.createElement('select');
+            [['', 'OK'], ['+2', '+2'], ['DNF', 'DNF']].forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                penalty.appendChild(option);
+            });
+            penalty.value = solve.penalty || '';
+            penalty.addEventListener('change', () => {
+                parser.setPenalty(solve, penalty.value || null);
+                this.persistSolve(solve);
+                this.handleHistoryChange();
+            });
+
+            const scramble = document.createElement('input');
+            scramble.type = 'text';
+            scramble.className = 'history-scramble';
+            scramble.value = solve.scramble;
+            scramble.addEventListener('change', () => {
+                try {
+                    parser.setScramble(solve, scramble.value);
+                    this.persistSolve(solve);
+                    this.handleHistoryChange(solve);
+                    this.showNotification('Scramble corrected', 'success');
+                } catch (error) {
+                    scramble.value = solve.scramble;
+                    this.showNotification(error.message, 'error');
+                }
+            });
+
+            const comment = document.createElement('input');
+            comment.type = 'text';
+            comment.placeholder = 'Comment';
+            comment.value = solve.comment || '';
+            comment.addEventListener('change', () => {
+                parser.setComment(solve, comment.value);
+                this.persistSolve(solve);
+            });
+
+            const toggle = document.createElement('button');
+            toggle.className = `btn ${solve.deleted ? 'secondary' : 'danger'}`;
+            toggle.textContent = solve.deleted ? 'Restore' : 'Delete';
+            toggle.addEventListener('click', () => {
+                if (solve.deleted) {
+                    parser.restoreSolve(solve);
+                } else {
+                    parser.deleteSolve(solve);
+                }
+                this.persistSolve(solve);
+                this.handleHistoryChange();
+            });
+
+            const load = document.createElement('button');
+            load.className = 'btn secondary history-load';
+            load.textContent = index + 1;
+            load.title = 'Load into the phase editor and summary';
+            load.addEventListener('click', () => this.loadHistorySolve(solve));
+
+            cell(load);
+            cell(solve.date ? new Date(solve.date).toLocaleString() : '');
+            cell(parser.formatResult(solve));
+            cell(penalty);
+            cell(scramble);
+            cell(comment);
+            cell(toggle);
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Show a solve from the history in the phase editor and summary generator
+     */
+    loadHistorySolve(solve) {
+        if (this.solveStarted || !this.solveParser.loadSolve(solve)) {
+            this.showNotification('Finish the current solve first', 'error');
+            return;
+        }
+        document.getElementById('export-text').value = '';
+        this.displaySolveData(solve);
+        this.updateTimerDisplay(this.timer.formatTime(solve.totalTime));
+        this.showPenalty(solve);
+    }
+
+    /**
+     * Save a solve of the current session; the history stays usable if saving fails
+     */
+    persistSolve(solve) {
+        if (!this.session) {
+            return;
+        }
+        solve.sessionId = solve.sessionId || this.session.id;
+        this.solveStore.saveSolve(solve).catch((error) => {
+            console.error('Failed to save solve:', error);
+            this.showNotification('Solve could not be saved', 'error');
+        });
+    }
+
+    /**
+     * Solve counter: the next solve of the session
+     */
+    updateSolveNumber() {
+        this.currentSolveNumber = this.solveParser.getSolveHistory().length + 1;
+        document.getElementById('solve-number').textContent = this.currentSolveNumber;
+    }
+
+    /**
+     * Open the last used session, creating a first one on the first visit
+     */
+    async loadSessions() {
+        try {
+            let sessions = await this.solveStore.getSessions();
+            if (sessions.length === 0) {
+                sessions = [await this.solveStore.createSession('Session 1')];
+            }
+            const saved = sessions.find(session => session.id === localStorage.getItem('cubecoach-session'));
+            const active = sessions.filter(session => !session.archived);
+            await this.switchSession((saved || active[active.length - 1] || sessions[0]).id);
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            this.showNotification('Solve history could not be loaded', 'error');
+        }
+    }
+
+    /**
+     * Load a session's solves; new solves are saved in it
+     */
+    async switchSession(sessionId) {
+        if (this.solveStarted || this.pendingSolve) {
+            this.showNotification('Finish the current solve first', 'error');
+            this.renderSessions();
+            return;
+        }
+
+        const sessions = await this.solveStore.getSessions();
+        const session = sessions.find(entry => entry.id === sessionId);
+        if (!session) {
+            return;
+        }
+
+        this.session = session;
+        this.sessions = sessions;
+        localStorage.setItem('cubecoach-session', session.id);
+        this.solveParser.loadHistory(await this.solveStore.getSolves(session.id));
+        this.otherSessionSolves = (await this.solveStore.getAllSolves()).filter(solve => solve.sessionId !== session.id);
+        this.resetTimer();
+        this.updateSolveNumber();
+        this.handleHistoryChange();
+        this.renderSessions(sessions);
+    }
+
+    /**
+     * Fill the session and merge target lists; archived sessions are listed apart
+     */
+    async renderSessions(sessions = null) {
+        sessions = sessions || await this.solveStore.getSessions();
+        const current = this.session;
+
+        ['session-select', 'merge-target'].forEach((id) => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+            [['Sessions', false], ['Archived', true]].forEach(([label, archived]) => {
+                const group = document.createElement('optgroup');
+                group.label = label;
+                sessions.filter(session => session.archived === archived)
+                    .filter(session => id === 'session-select' || !current || session.id !== current.id)
+                    .forEach((session) => {
+                        const option = document.createElement('option');
+                        option.value = session.id;
+                        option.textContent = session.name;
+                        group.appendChild(option);
+                    });
+                if (group.children.length > 0) {
+                    select.appendChild(group);
+                }
+            });
+        });
+
+        if (current) {
+            document.getElementById('session-select').value = current.id;
+            document.getElementById('archive-session-btn').textContent = current.archived ? 'Unarchive' : 'Archive';
+        }
+        document.getElementById('merge-session-btn').disabled = document.getElementById('merge-target').options.length === 0;
+    }
+
+    async createSession() {
+        const name = window.prompt('Name of the new session:', `Session ${(await this.solveStore.getSessions()).length + 1}`);
+        if (name === null) {
+            return;
+        }
+        try {
+            const session = await this.solveStore.createSession(name);
+            await this.switchSession(session.id);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async renameSession() {
+        const name = window.prompt('Session name:', this.session.name);
+        if (name === null) {
+            return;
+        }
+        try {
+            await this.solveStore.renameSession(this.session, name);
+            this.renderSessions();
+            this.renderPhaseTrends();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Archive the current session and move on to another one, or bring it back
+     */
+    async toggleSessionArchived() {
+        const session = this.session;
+        await this.solveStore.setArchived(session, !session.archived);
+        if (!session.archived) {
+            this.renderSessions();
+            return;
+        }
+
+        const sessions = await this.solveStore.getSessions();
+        const active = sessions.filter(entry => !entry.archived);
+        const next = active.length > 0 ? active[active.length - 1] : await this.solveStore.createSession(`Session ${sessions.length + 1}`);
+        await this.switchSession(next.id);
+        this.showNotification(`Archived ${session.name}`, 'info');
+    }
+
+    /**
+     * Move the current session's solves into the chosen one and switch to it
+     */
+    async mergeSession() {
+        const targetId = document.getElementById('merge-target').value;
+        const target = (await this.solveStore.getSessions()).find(session => session.id === targetId);
+        if (!target || this.solveStarted || this.pendingSolve) {
+            return;
+        }
+        if (!window.confirm(`Merge ${this.session.name} into ${target.name}?`)) {
+            return;
+        }
+
+        try {
+            const source = this.session;
+            await this.solveStore.mergeSessions(source, target);
+            await this.switchSession(target.id);
+            this.showNotification(`Merged ${source.name} into ${target.name}`, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Refresh everything derived from the history after an edit
+     * reanalysed is a solve whose analysis changed, shown again if it is the current one
+     */
+    handleHistoryChange(reanalysed = null) {
+        this.renderSolveHistory();
+        this.updateCrossColorStats();
+        this.rebuildStatistics();
+        this.renderPhaseTrends();
+        if (reanalysed && reanalysed === this.solveParser.getCurrentSolve()) {
+            this.displaySolveData(reanalysed);
+        }
+    }
+
+    /**
+     * Count a new solve in the averages
+     */
+    addToStatistics(solve) {
+        this.statistics.push(this.solveParser.getResult(solve));
+        this.renderStatistics();
+    }
+
+    /**
+     * Compute the averages again after earlier solves changed
+     * A solve still waiting for keep/discard is not counted yet
+     */
+    rebuildStatistics() {
+        const solves = this.solveParser.getActiveSolves().filter(solve => solve !== this.pendingSolve);
+        this.statistics.reset(solves.map(solve => this.solveParser.getResult(solve)));
+        this.renderStatistics();
+    }
+
+    /**
+     * Show the session's mean, deviation, best single and the current and best averages
+     */
+    renderStatistics() {
+        const stats = this.statistics.getStats();
+        const format = (value) => (value === null ? '-' : this.formatResultTime(value));
+
+        let summary = `${stats.count} solves`;
+        if (stats.dnf > 0) {
+            summary += `, ${stats.dnf} DNF`;
+        }
+        if (stats.mean !== null) {
+            summary += ` - mean ${format(stats.mean)}`;
+        }
+        if (stats.standardDeviation !== null) {
+            summary += `, σ ${(stats.standardDeviation / 1000).toFixed(2)}s`;
+        }
+        if (stats.bestSingle !== null) {
+            summary += `, best ${format(stats.bestSingle)}`;
+        }
+        document.getElementById('stats-summary').textContent = summary;
+
+        const body = document.getElementById('stats-body');
+        body.innerHTML = '';
+        Object.entries(stats.averages).forEach(([name, average]) => {
+            const row = document.createElement('tr');
+            [name, format(average.current), format(average.best)].forEach((value) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Chart and table of phase statistics by day or session, over every session
+     */
+    renderPhaseTrends() {
+        const by = document.getElementById('trend-group').value;
+        const metric = document.getElementById('trend-metric').value;
+        const solves = this.otherSessionSolves.concat(
+            this.solveParser.getSolveHistory().filter(solve => solve !== this.pendingSolve));
+        const groups = this.phaseTrends.analyze(solves, by, this.sessions);
+        const trends = this.phaseTrends.getTrends(groups, metric);
+
+        this.renderTrendChart(groups, trends, metric);
+        this.renderTrendTable(groups, trends, metric, by);
+    }
+
+    /**
+     * A phase value as text: seconds, moves or turns per second
+     */
+    formatTrendValue(value, metric) {
+        if (metric === 'moves') {
+            return value.toFixed(1);
+        }
+        return metric === 'tps' ? value.toFixed(2) : `${(value / 1000).toFixed(2)}s`;
+    }
+
+    /**
+     * Lines of the main phases' group values, with dashed trend lines
+     */
+    renderTrendChart(groups, trends, metric) {
+        const chart = document.getElementById('trend-chart');
+        const legend = document.getElementById('trend-legend');
+        chart.innerHTML = '';
+        legend.innerHTML = '';
+        if (groups.length === 0) {
+            legend.textContent = 'No analysed solves yet';
+            return;
+        }
+
+        const width = 600;
+        const height = 240;
+        const padding = 40;
+        const lines = [['cross', '#667eea'], ['f2l', '#28a745'], ['oll', '#fd7e14'], ['pll', '#dc3545']];
+        const values = name => groups.map(group => this.phaseTrends.getValue(group.phases[name], metric));
+        const maximum = Math.max(...lines.flatMap(([name]) => values(name)), 0) * 1.1 || 1;
+        // Groups sit at their position, so skipped days leave a gap
+        const first = groups[0].position;
+        const span = groups[groups.length - 1].position - first;
+        const x = index => padding + (span > 0 ? (groups[index].position - first) * (width - 2 * padding) / span : (width - 2 * padding) / 2);
+        const y = value => height - padding - value / maximum * (height - 2 * padding);
+
+        const svg = (tag, attributes, text = null) => {
+            const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            if (text !== null) {
+                element.textContent = text;
+            }
+            chart.appendChild(element);
+        };
+        svg('line', { x1: padding, y1: height - padding, x2: width - padding, y2: height - padding, class: 'trend-axis' });
+        svg('text', { x: 4, y: padding, class: 'trend-label' }, this.formatTrendValue(maximum, metric));
+        svg('text', { x: padding, y: height - 15, class: 'trend-label' }, groups[0].label);
+        if (groups.length > 1) {
+            svg('text', { x: width - padding, y: height - 15, class: 'trend-label', 'text-anchor': 'end' }, groups[groups.length - 1].label);
+        }
+
+        lines.forEach(([name, color]) => {
+            const points = values(name).map((value, index) => `${x(index)},${y(value)}`).join(' ');
+            svg('polyline', { points: points, fill: 'none', stroke: color, 'stroke-width': 2 });
+            const trend = trends[name];
+            if (trend) {
+                svg('line', {
+                    x1: x(0), y1: y(trend.start), x2: x(groups.length - 1), y2: y(trend.end),
+                    stroke: color, 'stroke-dasharray': '6 4', opacity: 0.7
+                });
+            }
+
+            const entry = document.createElement('span');
+            entry.style.color = color;
+            const label = this.phaseTrends.PHASES.find(phase => phase.name === name).label;
+            entry.textContent = trend ? `${label} ${this.formatTrendValue(trend.start, metric)} → ${this.formatTrendValue(trend.end, metric)}` : label;
+            legend.appendChild(entry);
+        });
+    }
+
+    /**
+     * One row per group, and the change per day or session of every phase's trend line
+     * Lower times and move counts are better, higher TPS is better
+     */
+    renderTrendTable(groups, trends, metric, by) {
+        const head = document.getElementById('trend-head');
+        const body = document.getElementById('trend-body');
+        const phases = this.phaseTrends.PHASES;
+        head.innerHTML = '';
+        body.innerHTML = '';
+
+        const row = (cells, parent) => {
+            const tr = document.createElement('tr');
+            cells.forEach((content) => {
+                const cell = document.createElement(parent === head ? 'th' : 'td');
+                if (typeof content === 'string') {
+                    cell.textContent = content;
+                } else {
+                    cell.appendChild(content);
+                }
+                tr.appendChild(cell);
+            });
+            parent.appendChild(tr);
+        };
+
+        row([by === 'session' ? 'Session' : 'Day', 'Solves', ...phases.map(phase => phase.label)], head);
+        groups.forEach((group) => {
+            row([group.label, String(group.count), ...phases.map(({ name }) => {
+                const stats = group.phases[name];
+                const value = this.formatTrendValue(this.phaseTrends.getValue(stats, metric), metric);
+                return metric === 'time' ? `${value} (${this.formatTrendValue(stats.bestTime, metric)})` : value;
+            })], body);
+        });
+
+        if (groups.length > 1) {
+            row([`Trend per ${by}`, '', ...phases.map(({ name }) => {
+                const slope = trends[name].slope;
+                const span = document.createElement('span');
+                const better = metric === 'tps' ? slope > 0 : slope < 0;
+                span.className = better ? 'trend-better' : 'trend-worse';
+                span.textContent = `${slope < 0 ? '-' : '+'}${this.formatTrendValue(Math.abs(slope), metric)}`;
+                return span;
+            })], body);
+        }
+    }
+
     /**
      * Format time for input fields (seconds with decimals)
      */
@@ -400,6 +1675,10 @@ class CubeCoachApp {
         document.querySelectorAll('.time-input, .moves-input, .algorithm-input').forEach(input => {
             input.value = '';
         });
+        document.querySelectorAll('.pair-info').forEach(info => {
+            info.textContent = '';
+        });
+        document.getElementById('reference-solution').textContent = '';
         
         // Reset totals
         document.getElementById('total-time').textContent = '00:00.000';
@@ -417,6 +1696,145 @@ class CubeCoachApp {
         return document.getElementById('scramble').value.trim();
     }
 
+    /**
+     * Generator and seed of the scramble in the input, if the scrambler made it
+     */
+    getScrambleGenerator() {
+        const generated = this.generatedScramble;
+        if (!generated || generated.scramble !== this.getScramble()) {
+            return null;
+        }
+        return { type: generated.type, seed: generated.seed };
+    }
+
+    /**
+     * Fill the scramble input with a fresh random-state scramble
+     * Falls back to random moves when the solver cannot run (e.g. from file://)
+     */
+    async newScramble() {
+        const button = document.getElementById('new-scramble-btn');
+        button.disabled = true;
+
+        let generated;
+        try {
+            generated = await this.scrambler.generate();
+        } catch (error) {
+            console.warn('Random-state scramble unavailable, using random moves:', error.message);
+            generated = this.scrambler.generateRandomMoves();
+        }
+        button.disabled = false;
+
+        // A solve that started meanwhile keeps the scramble it started with
+        if (this.solveStarted) {
+            return;
+        }
+        this.generatedScramble = generated;
+        document.getElementById('scramble').value = generated.scramble;
+        this.renderScramble();
+    }
+
+    /**
+     * Show the scramble in the timer panel with a net of the state it gives
+     */
+    renderScramble() {
+        const scramble = this.getScramble();
+        const preview = document.getElementById('scramble-preview');
+        preview.innerHTML = '';
+
+        // A new scramble has to be applied before the auto-timer arms again
+        this.timerArmed = false;
+        let facelets = null;
+        try {
+            this.scrambleGuide.setScramble(scramble);
+            facelets = scramble ? CubeModel.fromScramble(scramble).getFacelets() : null;
+        } catch (error) {
+            this.scrambleGuide.setScramble('');
+            document.getElementById('scramble-display').textContent = `${scramble} (${error.message})`;
+        }
+        this.updateScrambleGuide();
+        if (!facelets) {
+            return;
+        }
+
+        // Unfolded net: U above L F R B, D below
+        const colors = new CubeModel().COLORS;
+        const offsets = { U: [0, 3], L: [3, 0], F: [3, 3], R: [3, 6], B: [3, 9], D: [6, 3] };
+        'URFDLB'.split('').forEach((face, f) => {
+            const [row, column] = offsets[face];
+            for (let i = 0; i < 9; i++) {
+                const sticker = document.createElement('div');
+                sticker.className = `sticker ${colors[facelets[f * 9 + i]]}`;
+                sticker.style.gridRow = row + Math.floor(i / 3) + 1;
+                sticker.style.gridColumn = column + i % 3 + 1;
+                preview.appendChild(sticker);
+            }
+        });
+    }
+
+    /**
+     * Match the live cube against the scramble while no solve is running
+     * Cubes that never report their state are assumed solved on connect
+     */
+    updateScrambleGuide() {
+        const known = this.cubeModelSynced || !this.cubeReportsState;
+        if (this.cubeDriver && this.cubeDriver.isConnected && known && !this.solveStarted) {
+            this.scrambleGuide.update(this.cubeModel.getFacelets());
+        }
+    }
+
+    /**
+     * Show scramble progress: done moves dimmed, the current move highlighted
+     * and a correction when the cube went off the scramble
+     */
+    renderScrambleGuide(update) {
+        const display = document.getElementById('scramble-display');
+        const status = document.getElementById('scramble-status');
+        const moves = this.scrambleGuide.getScrambleMoves();
+        const connected = this.cubeDriver && this.cubeDriver.isConnected;
+
+        if (update.status === 'idle') {
+            display.textContent = this.getScramble() || 'Type or generate a scramble';
+            status.textContent = '';
+            return;
+        }
+
+        display.innerHTML = '';
+        moves.forEach((move, index) => {
+            const span = document.createElement('span');
+            span.textContent = move;
+            if (connected) {
+                if (index < update.progress || update.status === 'scrambled') {
+                    span.className = 'scramble-move done';
+                } else if (index === update.progress) {
+                    span.className = `scramble-move current${update.partial ? ' partial' : ''}`;
+                } else {
+                    span.className = 'scramble-move';
+                }
+            }
+            display.appendChild(span);
+            display.appendChild(document.createTextNode(' '));
+        });
+
+        status.className = `scramble-status ${update.status}`;
+        if (!connected) {
+            status.textContent = '';
+        } else if (update.status === 'scrambled') {
+            status.textContent = this.isAutoTimer ? 'Scrambled. The timer starts with your first move.' : 'Scrambled.';
+        } else if (update.status === 'diverged') {
+            const correction = update.correction;
+            if (!correction) {
+                status.textContent = 'Off the scramble. Finding a correction...';
+            } else if (correction.moves === null) {
+                status.textContent = `Off the scramble. Undo your moves back to move ${update.progress + 1}.`;
+            } else {
+                const resume = correction.resume < update.total ? `, then continue from move ${correction.resume + 1}` : '';
+                status.textContent = `Off the scramble. Correct with ${correction.moves}${resume}.`;
+            }
+        } else {
+            status.textContent = `Move ${update.progress + 1} of ${update.total}`;
+        }
+    }
+
     /**
      * Generate solve summary for export
      */
@@ -0,0 +1,72 @@
+/**
+ * Clock Module
+ * The single time base of the app
+ *
+ * Every timestamp the timer, the solve parser and the cube drivers produce is
+ * read from one Clock: monotonic milliseconds from performance.now(), which
+ * wall-clock adjustments cannot move. Cubes that stamp moves with their own
+ * clock (GAN) have those stamps mapped onto it by a ClockAligner.
+ *
+ * Source of truth for the official solve time: solve.totalTime, the end
+ * timestamp minus the start timestamp on this clock. The start is the first
+ * face turn (or the hold-to-start release / Start press) and the end is the
+ * solving turn (or the stop press). The timer display stops on the same two
+ * timestamps, and phase times are differences between move timestamps, so all
+ * three agree. A time a cube reports itself ('solveComplete') is informational.
+ */
+
+class Clock {
+    /**
+     * now defaults to performance.now; tests and replays may pass their own
+     */
+    constructor(now = () => performance.now()) {
+        this.source = now;
+    }
+
+    /**
+     * Current time in milliseconds
+     */
+    now() {
+        return this.source();
+    }
+}
+
+/**
+ * Maps a cube's hardware timestamps onto a Clock
+ *
+ * Each packet gives a sample of host time minus cube time. Bluetooth latency
+ * only ever delays packets, so the smallest sample is the best estimate of
+ * the offset between the clocks; moves are placed at cube time plus that
+ * offset. The cube clock restarting (a smaller timestamp) starts over.
+ */
+class ClockAligner {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.offset = null;
+        this.lastCubeTime = null;
+    }
+
+    /**
+     * Host time of a cube timestamp received at receivedAt (host time)
+     * Without a cube timestamp the receive time is used as is
+     */
+    align(cubeTime, receivedAt) {
+        if (cubeTime === null || cubeTime === undefined) {
+            return receivedAt;
+        }
+
+        const sample = receivedAt - cubeTime;
+        if (this.offset === null || sample < this.offset || cubeTime < this.lastCubeTime) {
+            this.offset = sample;
+        }
+        this.lastCubeTime = cubeTime;
+        return cubeTime + this.offset;
+    }
+}
+
+// Export for use in other modules
+window.Clock = Clock;
+window.ClockAligner = ClockAligner;
@@ -0,0 +1,165 @@
+/**
+ * Cross Solver Module
+ * Finds the optimal (fewest face turns) crosses of a cube state
+ *
+ * A cross state is where the cross-colour sticker of each of the four cross
+ * edges sits, one of the 24 edge stickers each. The distance of every such
+ * state to the solved cross is found once by a breadth-first search from the
+ * solved cross, after which optimal solutions are read off by always turning
+ * towards a state one move closer.
+ */
+
+class CrossSolver {
+    constructor() {
+        this.MOVES = 'URFDLB'.split('').flatMap(face => [face, `${face}2`, `${face}'`]);
+        this.MAX_SOLUTIONS = 3;
+    }
+
+    /**
+     * Sticker move and distance tables, built once and shared by every solver
+     */
+    static getTables() {
+        if (!CrossSolver.tables) {
+            CrossSolver.tables = CrossSolver.buildTables();
+        }
+        return CrossSolver.tables;
+    }
+
+    static buildTables() {
+        const faceletTables = CubeModel.getMoveTables();
+        const stickers = EDGE_FACELET_MAP.flat();
+        const moves = 'URFDLB'.split('').flatMap(face => [1, 2, 3].map(turns => ({ face, turns })));
+
+        // moveTable[sticker * 18 + move] is where an edge sticker goes
+        const moveTable = new Int8Array(24 * 18);
+        stickers.forEach((facelet, sticker) => {
+            moves.forEach(({ face, turns }, move) => {
+                let position = facelet;
+                for (let t = 0; t < turns; t++) {
+                    position = faceletTables[face][position];
+                }
+                moveTable[sticker * 18 + move] = stickers.indexOf(position);
+            });
+        });
+
+        // Cross stickers of the DR, DF, DL and DB edges when solved
+        const solved = CrossSolver.encode([32, 28, 30, 34].map(facelet => stickers.indexOf(facelet)));
+        const distance = new Uint8Array(24 ** 4).fill(255);
+        const queue = new Int32Array(24 * 23 * 22 * 21);
+        distance[solved] = 0;
+        queue[0] = solved;
+
+        for (let head = 0, tail = 1; head < tail; head++) {
+            const state = queue[head];
+            const edges = CrossSolver.decode(state);
+            for (let move = 0; move < 18; move++) {
+                const next = CrossSolver.encode(edges.map(sticker => moveTable[sticker * 18 + move]));
+                if (distance[next] === 255) {
+                    distance[next] = distance[state] + 1;
+                    queue[tail++] = next;
+                }
+            }
+        }
+
+        return { stickers, moveTable, distance };
+    }
+
+    static encode(edges) {
+        return ((edges[0] * 24 + edges[1]) * 24 + edges[2]) * 24 + edges[3];
+    }
+
+    static decode(state) {
+        return [Math.floor(state / 13824), Math.floor(state / 576) % 24, Math.floor(state / 24) % 24, state % 24];
+    }
+
+    /**
+     * Optimal crosses of every colour, shortest first
+     */
+    solve(facelets) {
+        const model = new CubeModel(facelets);
+        return model.FACES.split('')
+            .map(face => this.solveColor(facelets, model.COLORS[model.getCenter(face)]))
+            .sort((a, b) => a.length - b.length);
+    }
+
+    /**
+     * Optimal crosses of one colour
+     * Returns { color, length, rotation, solutions }, where rotation is the
+     * inspection rotation that brings the cross to the bottom and solutions
+     * are written for the cube held that way
+     */
+    solveColor(facelets, color) {
+        const source = new CubeModel(facelets);
+        const base = CubeModel.getCrossRotation(source.getFaceOfColor(color));
+        const model = source.clone().applyAlgorithm(base);
+        const { moveTable, distance } = CrossSolver.getTables();
+
+        const solutions = [];
+        const search = (edges, depth, lastFace, path) => {
+            if (depth === 0) {
+                solutions.push(path.map(move => this.MOVES[move]));
+                return;
+            }
+            for (let move = 0; move < 18 && solutions.length < this.MAX_SOLUTIONS; move++) {
+                const face = Math.floor(move / 3);
+                // Turning a face twice in a row, or D before U, is never needed
+                if (face === lastFace || (face + 3) % 6 === lastFace && face < lastFace) {
+                    continue;
+                }
+                const next = edges.map(sticker => moveTable[sticker * 18 + move]);
+                if (distance[CrossSolver.encode(next)] === depth - 1) {
+                    search(next, depth - 1, face, [...path, move]);
+                }
+            }
+        };
+        const edges = this.getCrossEdges(model);
+        const length = distance[CrossSolver.encode(edges)];
+        search(edges, length, -1, []);
+
+        // Hold the cube so the solution needs the fewest back turns
+        let best = null;
+        ['', 'y', 'y2', 'y\''].forEach((y) => {
+            const translated = solutions.map(solution => Notation.translate(solution, y));
+            const backTurns = translated.flat().filter(move => move.charAt(0) === 'B').length;
+            if (best === null || backTurns < best.backTurns) {
+                best = { y: y, solutions: translated, backTurns: backTurns };
+            }
+        });
+
+        return {
+            color: color,
+            length: length,
+            rotation: this.shortenRotation(`${base} ${best.y}`),
+            solutions: best.solutions.map(solution => Notation.format(solution))
+        };
+    }
+
+    /**
+     * Shortest rotation that holds the cube the same way, e.g. x2 for z2 y2
+     */
+    shortenRotation(rotation) {
+        const target = JSON.stringify(CubeModel.getRotationMap(rotation));
+        const singles = ['', 'x', 'x2', 'x\'', 'y', 'y2', 'y\'', 'z', 'z2', 'z\''];
+        const candidates = [...singles, ...singles.flatMap(a => singles.map(b => `${a} ${b}`.trim()))];
+        return candidates.find(candidate => JSON.stringify(CubeModel.getRotationMap(candidate)) === target);
+    }
+
+    /**
+     * Sticker of each cross edge (DR, DF, DL, DB) for a model with the cross on D
+     */
+    getCrossEdges(model) {
+        const { stickers } = CrossSolver.getTables();
+        const facelets = model.getFacelets();
+        const cross = model.getCenter('D');
+
+        return ['R', 'F', 'L', 'B'].map((side) => {
+            const color = model.getCenter(side);
+            const edge = EDGE_FACELET_MAP.find(([a, b]) =>
+                (facelets[a] === cross && facelets[b] === color) || (facelets[b] === cross && facelets[a] === color));
+            return stickers.indexOf(facelets[edge[0]] === cross ? edge[0] : edge[1]);
+        });
+    }
+}
+
+// Export for use in other modules
+window.CrossSolver = CrossSolver;
@@ -0,0 +1,611 @@
+/**
+ * Cube Driver Module
+ * Common base for smart cube drivers and the registry that picks one for a device
+ *
+ * Every driver emits the same events:
+ * - connected     { name, id, driver }
+ * - disconnected
+ * - error         message string
+ * - moveData      { type: 'move', timestamp, move, duration }
+ * - cubeState     { type: 'cubeState', timestamp, scrambled, solved, battery, facelets? }
+ * - batteryLevel  percentage
+ * - gyroData      { type: 'gyro', timestamp, ... } (optional)
+ * - rawData       { timestamp, source, data } for every notification
+ * - connectionLost   { timestamp } when the link drops unexpectedly
+ * - reconnecting     { attempt, maxAttempts, delay }
+ * - reconnected      { name, id, driver, timestamp }
+ * - missedMoves      { timestamp, count } when the cube reports moves that cannot be recovered
+ *
+ * 'disconnected' is only emitted once reconnection was given up or the user disconnected.
+ *
+ * Timestamps are milliseconds on the driver's clock, which the app replaces
+ * with its shared Clock. Moves of cubes with a hardware clock are stamped with
+ * that time aligned onto the shared clock; receivedAt keeps the arrival time.
+ */
+
+class SmartCubeDriver {
+    constructor() {
+        this.device = null;
+        this.server = null;
+        this.isConnected = false;
+        this.isReplaying = false;
+        this.eventListeners = new Map();
+        this.batteryLevel = null;
+        this.clock = new Clock();
+        this.cubeClock = new ClockAligner(); // Hardware move timestamps onto this.clock
+
+        // Unexpected drops are retried with exponential backoff
+        this.autoReconnect = true;
+        this.reconnectDelays = [500, 1000, 2000, 4000, 8000, 16000];
+        this.isReconnecting = false;
+        this.reconnectCancelled = false;
+        this.watchedDevice = null;
+    }
+
+    /**
+     * Use the app's shared time base for every timestamp
+     */
+    setClock(clock) {
+        this.clock = clock;
+        this.cubeClock.reset();
+    }
+
+    /**
+     * Describes how to find this driver's cubes
+     * namePrefixes and serviceUuids are used both for the device chooser
+     * filters and for picking the driver once a device was selected
+     */
+    static get profile() {
+        return {
+            name: 'Smart cube',
+            namePrefixes: [],
+            serviceUuids: [],
+            optionalServices: [],
+            manufacturerIds: []
+        };
+    }
+
+    /**
+     * Check if a device name belongs to this driver
+     */
+    static matchesName(name) {
+        return !!name && this.profile.namePrefixes.some(prefix => name.startsWith(prefix));
+    }
+
+    /**
+     * Check if any of the advertised services belong to this driver
+     */
+    static matchesServices(serviceUuids) {
+        return this.profile.serviceUuids.some(uuid => serviceUuids.includes(uuid));
+    }
+
+    /**
+     * Register event listener
+     */
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    /**
+     * Remove event listener
+     */
+    off(event, callback) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.set(event, this.eventListeners.get(event).filter(listener => listener !== callback));
+        }
+    }
+
+    /**
+     * Emit event to all listeners
+     */
+    emit(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => callback(data));
+        }
+    }
+
+    /**
+     * Publish a raw notification with a high-resolution timestamp for capture tools
+     */
+    emitRawData(dataValue, source = 'state') {
+        const bytes = new Uint8Array(dataValue.buffer, dataValue.byteOffset, dataValue.byteLength);
+        this.emit('rawData', {
+            timestamp: this.clock.now(),
+            source: source,
+            data: Uint8Array.from(bytes)
+        });
+    }
+
+    /**
+     * Check if Web Bluetooth is supported
+     */
+    isBluetoothSupported() {
+        return 'bluetooth' in navigator;
+    }
+
+    /**
+     * Options for requesting a device that only this driver handles
+     */
+    getRequestOptions() {
+        const profile = this.constructor.profile;
+        return {
+            filters: [
+                ...profile.namePrefixes.map(namePrefix => ({ namePrefix })),
+                ...profile.serviceUuids.map(uuid => ({ services: [uuid] }))
+            ],
+            optionalServices: [...profile.serviceUuids, ...profile.optionalServices],
+            optionalManufacturerData: profile.manufacturerIds
+        };
+    }
+
+    /**
+     * Connect to a cube
+     * When no device is given, the browser chooser is limited to this driver's cubes
+     */
+    async connect(device = null) {
+        try {
+            if (!this.isBluetoothSupported()) {
+                throw new Error('Web Bluetooth is not supported in this browser');
+            }
+
+            if (device) {
+                this.device = device;
+            } else {
+                console.log('Requesting Bluetooth device...');
+                this.device = await navigator.bluetooth.requestDevice(this.getRequestOptions());
+            }
+
+            this.reconnectCancelled = false;
+            await this.setupConnection();
+            this.watchDevice(this.device);
+
+            this.isConnected = true;
+
+            // Initialize cube communication
+            await this.initializeCube();
+
+            this.emit('connected', {
+                name: this.device.name,
+                id: this.device.id,
+                driver: this.constructor.profile.name
+            });
+
+            return true;
+        } catch (error) {
+            console.error('Connection failed:', error);
+            this.emit('error', `Connection failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Listen for link loss of a device, once per device object
+     */
+    watchDevice(device) {
+        if (device === this.watchedDevice) {
+            return;
+        }
+
+        this.watchedDevice = device;
+        device.addEventListener('gattserverdisconnected', () => {
+            if (device === this.device) {
+                this.handleGattDisconnected();
+            }
+        });
+    }
+
+    /**
+     * Link dropped: retry unless the user asked to disconnect
+     */
+    handleGattDisconnected() {
+        // A retry that dropped again: the reconnect loop decides when to give up
+        if (this.isReconnecting) {
+            return;
+        }
+        if (this.reconnectCancelled || !this.autoReconnect || !this.isConnected) {
+            this.handleDisconnection();
+            return;
+        }
+
+        this.isConnected = false;
+        this.server = null;
+        this.emit('connectionLost', { timestamp: this.clock.now() });
+        this.reconnect();
+    }
+
+    /**
+     * Reconnect to the remembered device with exponential backoff
+     * Driver state (protocol serials, MAC, face tracking) is kept so the cube
+     * can resume where it stopped; setupConnection() must tolerate being rerun
+     */
+    async reconnect() {
+        if (this.isReconnecting) {
+            return false;
+        }
+        this.isReconnecting = true;
+
+        const maxAttempts = this.reconnectDelays.length;
+        for (let attempt = 0; attempt < maxAttempts && !this.reconnectCancelled; attempt++) {
+            const delay = this.reconnectDelays[attempt];
+            this.emit('reconnecting', { attempt: attempt + 1, maxAttempts: maxAttempts, delay: delay });
+
+            const device = await this.findRememberedDevice();
+            await this.waitForAdvertisement(device, delay);
+            if (this.reconnectCancelled) {
+                break;
+            }
+
+            try {
+                this.device = device;
+                await this.setupConnection();
+                if (this.reconnectCancelled) {
+                    // User disconnected while we were connecting
+                    this.device = null;
+                    device.gatt.disconnect();
+                    break;
+                }
+
+                this.watchDevice(device);
+                this.isConnected = true;
+                await this.initializeCube();
+                if (!device.gatt.connected) {
+                    throw new Error('Link dropped while reconnecting');
+                }
+
+                this.isReconnecting = false;
+                this.emit('reconnected', {
+                    name: device.name,
+                    id: device.id,
+                    driver: this.constructor.profile.name,
+                    timestamp: this.clock.now()
+                });
+                return true;
+            } catch (error) {
+                console.warn(`Reconnect attempt ${attempt + 1} failed:`, error);
+                this.isConnected = false;
+            }
+        }
+
+        this.isReconnecting = false;
+        this.handleDisconnection();
+        return false;
+    }
+
+    /**
+     * Prefer a fresh handle from getDevices(), which survives the browser
+     * discarding the old one; fall back to the device we connected to
+     */
+    async findRememberedDevice() {
+        const current = this.device;
+        if (!current || !navigator.bluetooth || typeof navigator.bluetooth.getDevices !== 'function') {
+            return current;
+        }
+
+        try {
+            const devices = await navigator.bluetooth.getDevices();
+            return devices.find(device => device.id === current.id) || current;
+        } catch (error) {
+            console.warn('Could not list permitted devices:', error);
+            return current;
+        }
+    }
+
+    /**
+     * Wait until the device advertises (it woke up) or the timeout passes
+     */
+    async waitForAdvertisement(device, timeoutMs) {
+        if (!device || typeof device.watchAdvertisements !== 'function') {
+            await this.sleep(timeoutMs);
+            return;
+        }
+
+        const abortController = new AbortController();
+        await new Promise((resolve) => {
+            const finish = () => {
+                device.removeEventListener('advertisementreceived', finish);
+                abortController.abort();
+                clearTimeout(timeoutId);
+                resolve();
+            };
+
+            const timeoutId = setTimeout(finish, timeoutMs);
+            device.addEventListener('advertisementreceived', finish);
+            device.watchAdvertisements({ signal: abortController.signal }).catch(() => {
+                // Not available: just wait out the backoff delay
+            });
+        });
+    }
+
+    /**
+     * Connect GATT and subscribe to notifications (implemented by drivers)
+     */
+    async setupConnection() {
+        throw new Error(`${this.constructor.name} does not implement setupConnection()`);
+    }
+
+    /**
+     * Send initial requests once connected (optional)
+     */
+    async initializeCube() {}
+
+    /**
+     * Ask the cube to report its state, for cubes that report facelets (optional)
+     */
+    async requestState() {}
+
+    /**
+     * Release driver-specific resources on disconnection (optional)
+     */
+    resetState() {}
+
+    /**
+     * Resolve the cube MAC address for drivers whose encryption depends on it
+     * Tries advertisement manufacturer data first, then a remembered or typed value
+     */
+    async getMacAddress(device) {
+        const storageKey = `cube-mac-${device.id}`;
+
+        const advertised = await this.watchMacAddress(device, 5000);
+        if (advertised) {
+            localStorage.setItem(storageKey, advertised);
+            return advertised;
+        }
+
+        const remembered = localStorage.getItem(storageKey);
+        if (remembered) {
+            return remembered;
+        }
+
+        const typed = window.prompt(
+            'Could not read the cube MAC address automatically.\n' +
+            'Enter it as shown in the manufacturer app (e.g. AB:12:CD:34:EF:56):'
+        );
+        if (!typed) {
+            throw new Error('Cube MAC address is required to decrypt cube data');
+        }
+
+        localStorage.setItem(storageKey, typed.trim());
+        return typed.trim();
+    }
+
+    /**
+     * Listen for advertisements carrying the MAC address in manufacturer data
+     */
+    async watchMacAddress(device, timeoutMs) {
+        if (typeof device.watchAdvertisements !== 'function') {
+            return null;
+        }
+
+        const manufacturerIds = this.constructor.profile.manufacturerIds;
+        const abortController = new AbortController();
+
+        return new Promise((resolve) => {
+            const finish = (macAddress) => {
+                device.removeEventListener('advertisementreceived', onAdvertisement);
+                abortController.abort();
+                clearTimeout(timeoutId);
+                resolve(macAddress);
+            };
+
+            const onAdvertisement = (event) => {
+                for (const id of manufacturerIds) {
+                    const data = event.manufacturerData && event.manufacturerData.get(id);
+                    if (data && data.byteLength >= 6) {
+                        finish(this.extractMacAddress(data));
+                        return;
+                    }
+                }
+            };
+
+            const timeoutId = setTimeout(() => finish(null), timeoutMs);
+            device.addEventListener('advertisementreceived', onAdvertisement);
+            device.watchAdvertisements({ signal: abortController.signal }).catch((error) => {
+                console.warn('Advertisement watching not available:', error);
+                finish(null);
+            });
+        });
+    }
+
+    /**
+     * Read MAC from manufacturer data (last 6 bytes, least significant first)
+     */
+    extractMacAddress(data) {
+        const mac = [];
+        for (let i = 1; i <= 6; i++) {
+            mac.push(data.getUint8(data.byteLength - i).toString(16).toUpperCase().padStart(2, '0'));
+        }
+        return mac.join(':');
+    }
+
+    /**
+     * Describe the connection for capture files
+     * Drivers add whatever they need to decode the notifications again
+     */
+    getCaptureInfo() {
+        return {
+            driver: this.constructor.profile.name,
+            deviceName: this.device ? this.device.name : null
+        };
+    }
+
+    /**
+     * Act as a connected cube that is fed from a captured session
+     * Nothing is written to the cube while replaying
+     */
+    prepareReplay(session) {
+        this.isReplaying = true;
+        this.device = { name: `${session.deviceName || this.constructor.profile.name} (replay)`, id: 'replay' };
+        this.restoreCaptureInfo(session);
+        this.isConnected = true;
+
+        this.emit('connected', {
+            name: this.device.name,
+            id: this.device.id,
+            driver: this.constructor.profile.name
+        });
+    }
+
+    /**
+     * Restore decoding state saved by getCaptureInfo() (optional)
+     */
+    restoreCaptureInfo(session) {}
+
+    /**
+     * Feed one captured notification through the normal parsing path (implemented by drivers)
+     */
+    replayPacket(data, timestamp, source) {
+        throw new Error(`${this.constructor.name} does not implement replayPacket()`);
+    }
+
+    /**
+     * Get battery level
+     */
+    async getBatteryLevel() {
+        return this.batteryLevel;
+    }
+
+    /**
+     * Disconnect from cube
+     */
+    async disconnect() {
+        this.reconnectCancelled = true;
+
+        try {
+            if (this.device && this.device.gatt && this.device.gatt.connected) {
+                await this.device.gatt.disconnect();
+            }
+        } catch (error) {
+            console.error('Disconnect error:', error);
+        }
+
+        this.handleDisconnection();
+    }
+
+    /**
+     * Handle disconnection cleanup
+     */
+    handleDisconnection() {
+        if (!this.device && !this.isConnected) {
+            return;
+        }
+
+        this.isConnected = false;
+        this.isReplaying = false;
+        this.device = null;
+        this.server = null;
+        this.batteryLevel = null;
+        this.resetState();
+
+        this.emit('disconnected');
+    }
+
+    /**
+     * Utility function for delays
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Get connection status
+     */
+    getConnectionStatus() {
+        return {
+            isConnected: this.isConnected,
+            deviceName: this.device ? this.device.name : null,
+            deviceId: this.device ? this.device.id : null,
+            driver: this.constructor.profile.name
+        };
+    }
+}
+
+/**
+ * Registry of available drivers
+ * Drivers register themselves when their script loads
+ */
+class CubeDriverRegistry {
+    static register(DriverClass) {
+        if (!CubeDriverRegistry.drivers) {
+            CubeDriverRegistry.drivers = [];
+        }
+        CubeDriverRegistry.drivers.push(DriverClass);
+    }
+
+    static getDrivers() {
+        return CubeDriverRegistry.drivers || [];
+    }
+
+    /**
+     * Device chooser options covering every registered driver
+     */
+    static getRequestOptions() {
+        const filters = [];
+        const optionalServices = new Set();
+        const manufacturerIds = new Set();
+
+        CubeDriverRegistry.getDrivers().forEach((DriverClass) => {
+            const profile = DriverClass.profile;
+            profile.namePrefixes.forEach(namePrefix => filters.push({ namePrefix }));
+            profile.serviceUuids.forEach(uuid => filters.push({ services: [uuid] }));
+            [...profile.serviceUuids, ...profile.optionalServices].forEach(uuid => optionalServices.add(uuid));
+            profile.manufacturerIds.forEach(id => manufacturerIds.add(id));
+        });
+
+        return {
+            filters: filters,
+            optionalServices: Array.from(optionalServices),
+            optionalManufacturerData: Array.from(manufacturerIds)
+        };
+    }
+
+    /**
+     * Let the user pick any supported cube and create the matching driver
+     * Returns { driver, device }; call driver.connect(device) to finish connecting
+     */
+    static async requestDriver() {
+        if (!('bluetooth' in navigator)) {
+            throw new Error('Web Bluetooth is not supported in this browser');
+        }
+
+        console.log('Requesting Bluetooth device...');
+        const device = await navigator.bluetooth.requestDevice(CubeDriverRegistry.getRequestOptions());
+
+        const DriverClass = CubeDriverRegistry.selectByName(device.name) ||
+            await CubeDriverRegistry.selectByServices(device);
+        if (!DriverClass) {
+            throw new Error(`No driver available for ${device.name || 'this device'}`);
+        }
+
+        console.log(`Using ${DriverClass.profile.name} driver for ${device.name}`);
+        return { driver: new DriverClass(), device: device };
+    }
+
+    /**
+     * Pick driver from advertised name
+     */
+    static selectByName(name) {
+        return CubeDriverRegistry.getDrivers().find(DriverClass => DriverClass.matchesName(name)) || null;
+    }
+
+    /**
+     * Pick driver from primary services, for cubes with unrecognised names
+     */
+    static async selectByServices(device) {
+        try {
+            const server = await device.gatt.connect();
+            const services = await server.getPrimaryServices();
+            const serviceUuids = services.map(service => service.uuid.toLowerCase());
+            return CubeDriverRegistry.getDrivers().find(DriverClass => DriverClass.matchesServices(serviceUuids)) || null;
+        } catch (error) {
+            console.warn('Service discovery failed:', error);
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+window.SmartCubeDriver = SmartCubeDriver;
+window.CubeDriverRegistry = CubeDriverRegistry;
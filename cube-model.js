@@ -0,0 +1,432 @@
+/**
+ * Cube Model Module
+ * 3x3 cube state (corner/edge permutation and orientation plus a facelet view)
+ *
+ * Facelets use the Kociemba order U1-U9, R1-R9, F1-F9, D1-D9, L1-L9, B1-B9.
+ * Each sticker is named after the face its colour belongs to when solved.
+ * Centers are tracked as well, so slice moves and rotations can be applied
+ * and all queries are relative to where the centers currently are.
+ */
+
+// Kociemba facelet indices for each corner (URF, UFL, ULB, UBR, DFR, DLF, DBL, DRB)
+const CORNER_FACELET_MAP = [
+    [8, 9, 20], [6, 18, 38], [0, 36, 47], [2, 45, 11],
+    [29, 26, 15], [27, 44, 24], [33, 53, 42], [35, 17, 51]
+];
+
+// Kociemba facelet indices for each edge (UR, UF, UL, UB, DR, DF, DL, DB, FR, FL, BL, BR)
+const EDGE_FACELET_MAP = [
+    [5, 10], [7, 19], [3, 37], [1, 46], [32, 16], [28, 25],
+    [30, 43], [34, 52], [23, 12], [21, 41], [50, 39], [48, 14]
+];
+
+const SOLVED_FACELETS = 'UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB';
+
+/**
+ * Convert corner/edge permutation and orientation into a Kociemba facelet string
+ */
+function toKociembaFacelets(cp, co, ep, eo) {
+    const faces = 'URFDLB';
+    const facelets = SOLVED_FACELETS.split('');
+    for (let i = 0; i < 8; i++) {
+        for (let p = 0; p < 3; p++) {
+            facelets[CORNER_FACELET_MAP[i][(p + co[i]) % 3]] = faces[Math.floor(CORNER_FACELET_MAP[cp[i]][p] / 9)];
+        }
+    }
+    for (let i = 0; i < 12; i++) {
+        for (let p = 0; p < 2; p++) {
+            facelets[EDGE_FACELET_MAP[i][(p + eo[i]) % 2]] = faces[Math.floor(EDGE_FACELET_MAP[ep[i]][p] / 9)];
+        }
+    }
+    return facelets.join('');
+}
+
+class CubeModel {
+    constructor(facelets = SOLVED_FACELETS) {
+        this.FACES = 'URFDLB';
+
+        // Sticker colours for the usual Western scheme (white top, green front)
+        this.COLORS = { U: 'white', R: 'red', F: 'green', D: 'yellow', L: 'orange', B: 'blue' };
+
+        this.moveTables = CubeModel.getMoveTables();
+        this.setFacelets(facelets);
+    }
+
+    /**
+     * Model of a solved cube with a scramble applied
+     */
+    static fromScramble(notation) {
+        const model = new CubeModel();
+        model.applyAlgorithm(notation);
+        return model;
+    }
+
+    /**
+     * Facelet permutations for outer turns, wide turns, slices and rotations,
+     * built once and shared by every model
+     */
+    static getMoveTables() {
+        if (!CubeModel.moveTables) {
+            CubeModel.moveTables = CubeModel.buildMoveTables();
+        }
+        return CubeModel.moveTables;
+    }
+
+    /**
+     * Stickers are located by cubie position * 2 + face normal, so each
+     * sticker has a unique integer point that a layer rotation maps exactly
+     */
+    static buildMoveTables() {
+        const layouts = {
+            U: { normal: [0, 1, 0], position: (r, c) => [c - 1, 1, r - 1] },
+            R: { normal: [1, 0, 0], position: (r, c) => [1, 1 - r, 1 - c] },
+            F: { normal: [0, 0, 1], position: (r, c) => [c - 1, 1 - r, 1] },
+            D: { normal: [0, -1, 0], position: (r, c) => [c - 1, -1, 1 - r] },
+            L: { normal: [-1, 0, 0], position: (r, c) => [-1, 1 - r, c - 1] },
+            B: { normal: [0, 0, -1], position: (r, c) => [1 - c, 1 - r, -1] }
+        };
+
+        const points = [];
+        for (const face of 'URFDLB') {
+            for (let i = 0; i < 9; i++) {
+                const position = layouts[face].position(Math.floor(i / 3), i % 3);
+                points.push(position.map((value, axis) => value * 2 + layouts[face].normal[axis]));
+            }
+        }
+        const indexOf = (point) => points.findIndex(p => p[0] === point[0] && p[1] === point[1] && p[2] === point[2]);
+        const layerOf = (point, axis) => (point[axis] >= 2 ? 1 : (point[axis] <= -2 ? -1 : 0));
+
+        // sign -1 is clockwise seen from the positive end of the axis
+        const rotate = (point, axis, sign) => {
+            const [x, y, z] = point;
+            if (axis === 0) return sign > 0 ? [x, -z, y] : [x, z, -y];
+            if (axis === 1) return sign > 0 ? [z, y, -x] : [-z, y, x];
+            return sign > 0 ? [-y, x, z] : [y, -x, z];
+        };
+
+        // [axis, layers, direction]: slices follow L/D/F, rotations follow R/U/F
+        const all = [-1, 0, 1];
+        const definitions = {
+            U: [1, [1], -1], D: [1, [-1], 1],
+            R: [0, [1], -1], L: [0, [-1], 1],
+            F: [2, [1], -1], B: [2, [-1], 1],
+            M: [0, [0], 1], E: [1, [0], 1], S: [2, [0], -1],
+            x: [0, all, -1], y: [1, all, -1], z: [2, all, -1]
+        };
+        for (const face of 'URFDLB') {
+            const [axis, layers, direction] = definitions[face];
+            definitions[face.toLowerCase()] = [axis, [layers[0], 0], direction];
+        }
+
+        const tables = {};
+        Object.entries(definitions).forEach(([name, [axis, layers, direction]]) => {
+            tables[name] = points.map((point) => {
+                if (!layers.includes(layerOf(point, axis))) {
+                    return indexOf(point);
+                }
+                return indexOf(rotate(point, axis, direction));
+            });
+        });
+        return tables;
+    }
+
+    /**
+     * Where each face ends up after a whole-cube rotation, e.g. { U: 'D', ... } for x2
+     */
+    static getRotationMap(rotation) {
+        const model = new CubeModel().applyAlgorithm(rotation);
+        const map = {};
+        for (const face of model.FACES) {
+            map[model.getCenter(face)] = face;
+        }
+        return map;
+    }
+
+    /**
+     * Whole-cube rotation that brings the face of a cross colour to D
+     * A cross on U goes down with z2, so the front face stays in front
+     */
+    static getCrossRotation(face) {
+        return { D: '', U: 'z2', F: 'x\'', B: 'x', R: 'z', L: 'z\'' }[face];
+    }
+
+    /**
+     * Apply a single move
+     */
+    applyMove(move) {
+        const { family, turns } = Notation.parseMove(move);
+        const table = this.moveTables[family];
+
+        for (let t = 0; t < turns; t++) {
+            const next = new Array(54);
+            for (let i = 0; i < 54; i++) {
+                next[table[i]] = this.facelets[i];
+            }
+            this.facelets = next;
+        }
+        return this;
+    }
+
+    /**
+     * Apply moves written in any notation Notation.parse understands
+     */
+    applyAlgorithm(notation) {
+        Notation.parse(notation).forEach(move => this.applyMove(move));
+        return this;
+    }
+
+    /**
+     * Rotate the whole cube so the centers are back in their home positions
+     * Two move sequences have the same effect when their normalized states match
+     */
+    normalizeOrientation() {
+        const toUp = { U: '', F: 'x', B: 'x\'', D: 'x2', R: 'z\'', L: 'z' };
+        this.applyAlgorithm(toUp[this.getFaceOfColor('U')]);
+        const toFront = { F: '', R: 'y', B: 'y2', L: 'y\'' };
+        return this.applyAlgorithm(toFront[this.getFaceOfColor('F')]);
+    }
+
+    /**
+     * Back to solved with centers in their home positions
+     */
+    reset() {
+        this.facelets = SOLVED_FACELETS.split('');
+        return this;
+    }
+
+    clone() {
+        return new CubeModel(this.getFacelets());
+    }
+
+    /**
+     * Facelet view as a Kociemba string
+     */
+    getFacelets() {
+        return this.facelets.join('');
+    }
+
+    /**
+     * Replace the state with a facelet string, e.g. as reported by the cube
+     */
+    setFacelets(facelets) {
+        if (typeof facelets !== 'string' || facelets.length !== 54 || /[^URFDLB]/.test(facelets)) {
+            throw new Error('Facelets must be 54 characters of U, R, F, D, L, B');
+        }
+        for (const face of this.FACES) {
+            if (facelets.split(face).length !== 10) {
+                throw new Error(`Facelets must contain nine ${face} stickers`);
+            }
+        }
+
+        this.facelets = facelets.split('');
+        return this;
+    }
+
+    /**
+     * Replace the state with corner/edge permutation and orientation
+     */
+    setCubieState({ cp, co, ep, eo }) {
+        return this.setFacelets(toKociembaFacelets(cp, co, ep, eo));
+    }
+
+    /**
+     * Corner/edge permutation and orientation relative to the current centers
+     * Returns null when the stickers do not form a valid cube
+     */
+    getCubieState() {
+        // Express stickers by the face they currently belong to
+        const faceOfColor = {};
+        for (let f = 0; f < 6; f++) {
+            faceOfColor[this.facelets[f * 9 + 4]] = this.FACES[f];
+        }
+        const sticker = (index) => faceOfColor[this.facelets[index]];
+        const faceOf = (index) => this.FACES[Math.floor(index / 9)];
+
+        const cp = [], co = [], ep = [], eo = [];
+        for (let i = 0; i < 8; i++) {
+            const colors = CORNER_FACELET_MAP[i].map(sticker);
+            const orientation = colors.findIndex(color => color === 'U' || color === 'D');
+            const piece = CORNER_FACELET_MAP.findIndex(home =>
+                home.every((index, p) => faceOf(index) === colors[(orientation + p) % 3]));
+            if (orientation === -1 || piece === -1) {
+                return null;
+            }
+            cp.push(piece);
+            co.push(orientation);
+        }
+        for (let i = 0; i < 12; i++) {
+            const colors = EDGE_FACELET_MAP[i].map(sticker);
+            const piece = EDGE_FACELET_MAP.findIndex(home =>
+                faceOf(home[0]) === colors[0] && faceOf(home[1]) === colors[1]);
+            const flipped = EDGE_FACELET_MAP.findIndex(home =>
+                faceOf(home[0]) === colors[1] && faceOf(home[1]) === colors[0]);
+            if (piece === -1 && flipped === -1) {
+                return null;
+            }
+            ep.push(piece !== -1 ? piece : flipped);
+            eo.push(piece !== -1 ? 0 : 1);
+        }
+        return { cp, co, ep, eo };
+    }
+
+    /**
+     * State whose solutions are the moves that turn this state into target
+     * Returns null when either model does not hold a valid cube
+     */
+    relativeTo(target) {
+        const s = this.getCubieState();
+        const t = target.getCubieState();
+        if (!s || !t) {
+            return null;
+        }
+
+        // target^-1 * this, with (a * b).cp[i] = a.cp[b.cp[i]]
+        const inverse = (perm, ori, modulo) => {
+            const invPerm = [], invOri = [];
+            perm.forEach((piece, i) => {
+                invPerm[piece] = i;
+                invOri[piece] = (modulo - ori[i]) % modulo;
+            });
+            return [invPerm, invOri];
+        };
+        const [tcp, tco] = inverse(t.cp, t.co, 3);
+        const [tep, teo] = inverse(t.ep, t.eo, 2);
+        return new CubeModel().setCubieState({
+            cp: s.cp.map(piece => tcp[piece]),
+            co: s.cp.map((piece, i) => (tco[piece] + s.co[i]) % 3),
+            ep: s.ep.map(piece => tep[piece]),
+            eo: s.ep.map((piece, i) => (teo[piece] + s.eo[i]) % 2)
+        });
+    }
+
+    /**
+     * Current center colour of a face
+     */
+    getCenter(face) {
+        return this.facelets[this.FACES.indexOf(face) * 9 + 4];
+    }
+
+    /**
+     * Face whose center has a colour, given as sticker letter or colour name
+     */
+    getFaceOfColor(color) {
+        const letter = this.FACES.includes(color) && color.length === 1 ? color :
+            Object.keys(this.COLORS).find(key => this.COLORS[key] === String(color).toLowerCase());
+        if (!letter) {
+            throw new Error(`Unknown colour: ${color}`);
+        }
+        return this.FACES[this.FACES.split('').findIndex(face => this.getCenter(face) === letter)];
+    }
+
+    /**
+     * Face opposite to a face
+     */
+    getOppositeFace(face) {
+        return this.FACES.charAt((this.FACES.indexOf(face) + 3) % 6);
+    }
+
+    /**
+     * A piece is solved when each sticker matches the center of its face
+     */
+    isPieceSolved(indices) {
+        return indices.every(index => this.facelets[index] === this.facelets[Math.floor(index / 9) * 9 + 4]);
+    }
+
+    /**
+     * Facelet index groups of the pieces touching all the given faces
+     */
+    getPieces(faces) {
+        const touches = (indices) => faces.every(face =>
+            indices.some(index => this.FACES.charAt(Math.floor(index / 9)) === face));
+        return [...CORNER_FACELET_MAP, ...EDGE_FACELET_MAP].filter(touches);
+    }
+
+    /**
+     * Check whether every face shows a single colour
+     */
+    isSolved() {
+        for (let f = 0; f < 6; f++) {
+            for (let i = 0; i < 9; i++) {
+                if (this.facelets[f * 9 + i] !== this.facelets[f * 9 + 4]) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Is the cross on a colour solved, e.g. isCrossSolved('white') or isCrossSolved('U')
+     */
+    isCrossSolved(color) {
+        const face = this.getFaceOfColor(color);
+        return this.getPieces([face]).filter(piece => piece.length === 2).every(piece => this.isPieceSolved(piece));
+    }
+
+    /**
+     * Colours whose cross is currently solved
+     */
+    getSolvedCrosses() {
+        return this.FACES.split('')
+            .filter(face => this.isCrossSolved(face))
+            .map(face => this.COLORS[face]);
+    }
+
+    /**
+     * F2L slots around a cross colour, named by the two side faces (e.g. 'FR')
+     * in the cube's current frame
+     */
+    getSlots(color) {
+        const face = this.getFaceOfColor(color);
+        const opposite = this.getOppositeFace(face);
+        const sides = this.FACES.split('').filter(side => side !== face && side !== opposite);
+
+        const slots = [];
+        sides.forEach((a, i) => {
+            sides.slice(i + 1).forEach((b) => {
+                if (b !== this.getOppositeFace(a)) {
+                    slots.push([a, b].sort((x, y) => 'UDFBRL'.indexOf(x) - 'UDFBRL'.indexOf(y)).join(''));
+                }
+            });
+        });
+        return slots;
+    }
+
+    /**
+     * Is the corner and edge between a cross colour and two side faces solved
+     */
+    isSlotSolved(color, slot) {
+        const face = this.getFaceOfColor(color);
+        const [a, b] = slot.split('');
+        return this.getPieces([face, a, b]).every(piece => this.isPieceSolved(piece)) &&
+            this.getPieces([a, b]).filter(piece => piece.length === 2).every(piece => this.isPieceSolved(piece));
+    }
+
+    /**
+     * Slots around a cross colour that are currently solved
+     */
+    getSolvedSlots(color) {
+        return this.getSlots(color).filter(slot => this.isSlotSolved(color, slot));
+    }
+
+    /**
+     * Are the first two layers solved under a cross colour
+     */
+    isF2LSolved(color) {
+        return this.isCrossSolved(color) && this.getSolvedSlots(color).length === 4;
+    }
+
+    /**
+     * Is the layer opposite a cross colour oriented (its face a single colour)
+     */
+    isLastLayerOriented(color) {
+        const face = this.getOppositeFace(this.getFaceOfColor(color));
+        const start = this.FACES.indexOf(face) * 9;
+        return this.facelets.slice(start, start + 9).every(sticker => sticker === this.facelets[start + 4]);
+    }
+}
+
+// Export for use in other modules
+window.CubeModel = CubeModel;
+window.toKociembaFacelets = toKociembaFacelets;
+window.SOLVED_FACELETS = SOLVED_FACELETS;
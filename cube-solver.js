@@ -0,0 +1,115 @@
+/**
+ * Cube Solver Module
+ * Page-side client of the two-phase solver running in solver-worker.js
+ *
+ * Solves any cube state the model can hold: reference solutions for a
+ * scramble or a solve's start state, and short solutions from intermediate
+ * states. Emits 'status' with 'building' while the worker builds its tables
+ * and 'ready' once it can solve.
+ */
+
+class CubeSolver {
+    constructor(workerUrl = 'solver-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.status = 'idle';
+        this.requests = new Map();
+        this.nextRequestId = 1;
+        this.eventListeners = new Map();
+    }
+
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => callback(data));
+        }
+    }
+
+    /**
+     * Start the worker and let it load or build its tables in the background
+     */
+    start() {
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => this.failAll(event.message || 'Solver worker failed');
+            this.request({ type: 'init' }).catch(error => console.warn('Solver unavailable:', error.message));
+        }
+        return this;
+    }
+
+    /**
+     * Solve a facelet state
+     * Resolves to { moves, solution, length }; options are passed to
+     * TwoPhaseSolver.solve ({ targetLength, timeLimit })
+     */
+    async solve(facelets, options = {}) {
+        const cube = new CubeModel(facelets).getCubieState();
+        if (!cube) {
+            throw new Error('The stickers do not form a valid cube');
+        }
+
+        const moves = await this.request({ type: 'solve', cube: cube, options: options });
+        return { moves: moves, solution: Notation.format(moves), length: moves.length };
+    }
+
+    /**
+     * Solve the state a scramble produces from solved
+     */
+    solveScramble(scramble, options = {}) {
+        return this.solve(CubeModel.fromScramble(scramble).getFacelets(), options);
+    }
+
+    request(message) {
+        this.start();
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, id: id });
+        });
+    }
+
+    handleMessage(data) {
+        if (data.type === 'status') {
+            this.status = data.status;
+            this.emit('status', data.status);
+            return;
+        }
+
+        const request = this.requests.get(data.id);
+        if (!request) {
+            return;
+        }
+        this.requests.delete(data.id);
+        if (data.error) {
+            request.reject(new Error(data.error));
+        } else {
+            request.resolve(data.moves);
+        }
+    }
+
+    failAll(message) {
+        this.status = 'failed';
+        this.emit('status', 'failed');
+        this.requests.forEach(request => request.reject(new Error(message)));
+        this.requests.clear();
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.failAll('Solver stopped');
+        this.status = 'idle';
+    }
+}
+
+// Export for use in other modules
+window.CubeSolver = CubeSolver;
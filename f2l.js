@@ -0,0 +1,128 @@
+/**
+ * F2L Module
+ * Recognises which slot an F2L pair went into and which of the 41 cases it was
+ *
+ * Cases are numbered as on the usual F2L sheets: 1-24 with corner and edge in
+ * the U layer (17-24 with the cross colour facing up), 25-30 with the corner
+ * in its slot, 31-36 with the edge in its slot and 37-41 with both in the slot.
+ * Like OLL/PLL, a case is recognised by simulating its reference algorithm.
+ */
+
+class F2LRecognizer {
+    constructor() {
+        // Reference algorithms for the FR slot with the cross on D
+        this.F2L_ALGORITHMS = {
+            1: 'U R U\' R\'',
+            2: 'U\' F\' U F',
+            3: 'F\' U\' F',
+            4: 'R U R\'',
+            5: 'U\' R U R\' U2 R U\' R\'',
+            6: 'U F\' U\' F U2 F\' U F',
+            7: 'U\' R U2 R\' U2 R U\' R\'',
+            8: 'U F\' U2 F U2 F\' U F',
+            9: 'U\' R U\' R\' U F\' U\' F',
+            10: 'U\' R U R\' U R U R\'',
+            11: 'U\' R U2 R\' U F\' U\' F',
+            12: 'R U\' R\' U R U\' R\' U2 R U\' R\'',
+            13: 'U F\' U F U\' F\' U\' F',
+            14: 'U\' R U\' R\' U R U R\'',
+            15: 'R B L U\' L\' B\' R\'',
+            16: 'R U\' R\' U2 F\' U\' F',
+            17: 'R U2 R\' U\' R U R\'',
+            18: 'F\' U2 F U F\' U\' F',
+            19: 'U R U2 R\' U R U\' R\'',
+            20: 'U\' F\' U2 F U\' F\' U F',
+            21: 'U2 R U R\' U R U\' R\'',
+            22: 'U2 F\' U\' F U\' F\' U F',
+            23: 'U R U\' R\' U\' R U\' R\' U R U\' R\'',
+            24: 'F U R U\' R\' F\' R U\' R\'',
+            25: 'U\' R\' F R F\' R U R\'',
+            26: 'U R U\' R\' F R\' F\' R',
+            27: 'R U\' R\' U R U\' R\'',
+            28: 'R U R\' U\' F R\' F\' R',
+            29: 'R\' F R F\' U R U\' R\'',
+            30: 'R U R\' U\' R U R\'',
+            31: 'U\' R\' F R F\' R U\' R\'',
+            32: 'U R U\' R\' U R U\' R\' U R U\' R\'',
+            33: 'U\' R U\' R\' U2 R U\' R\'',
+            34: 'U R U R\' U2 R U R\'',
+            35: 'U2 R U\' R\' U\' F\' U\' F',
+            36: 'U F\' U\' F U\' R U R\'',
+            37: 'R2 U2 F R2 F\' U2 R\' U R\'',
+            38: 'R U\' R\' U\' R U R\' U2 R U\' R\'',
+            39: 'R U\' R\' U R U2 R\' U R U\' R\'',
+            40: 'R U\' R\' U\' R U\' R\' U F\' U\' F',
+            41: 'R U R\' U\' R U\' R\' U2 F\' U\' F'
+        };
+
+        this.AUFS = ['', 'U', 'U\'', 'U2'];
+    }
+
+    /**
+     * Name a slot (e.g. 'FR' in the cube's frame) as the solver sees it after
+     * turning the cube by rotation
+     */
+    toSolverSlot(slot, rotation) {
+        const map = CubeModel.getRotationMap(rotation);
+        return slot.split('').map(face => map[face])
+            .sort((a, b) => 'UDFBRL'.indexOf(a) - 'UDFBRL'.indexOf(b)).join('');
+    }
+
+    /**
+     * Recognise the case of the pair that goes into a slot
+     * slot is named in the frame of the facelets. Returns { number, preAuf }, or
+     * null when a piece of the pair sits in another slot or the cross is off
+     */
+    recognizeCase(facelets, crossColor, slot) {
+        const source = new CubeModel(facelets);
+        const sideColors = slot.split('').map(face => source.getCenter(face));
+        const model = source.clone().applyAlgorithm(CubeModel.getCrossRotation(source.getFaceOfColor(crossColor)));
+        const cross = model.getCenter('D');
+
+        // Turn the target slot to FR
+        const angle = ['', 'y', 'y2', 'y\''].find((rotation) => {
+            const turned = model.clone().applyAlgorithm(rotation);
+            return sideColors.map(color => turned.getFaceOfColor(color)).sort().join('') === 'FR';
+        });
+        model.applyAlgorithm(angle);
+
+        if (!model.isCrossSolved(cross) || model.isSlotSolved(cross, 'FR')) {
+            return null;
+        }
+
+        for (const auf of this.AUFS) {
+            for (const [number, algorithm] of Object.entries(this.F2L_ALGORITHMS)) {
+                if (model.clone().applyAlgorithm(`${auf} ${algorithm}`).isSlotSolved(cross, 'FR')) {
+                    return { number: parseInt(number, 10), preAuf: auf };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Which of a slot's corner and edge are in place
+     */
+    getSlotPieces(model, crossColor, slot) {
+        const face = model.getFaceOfColor(crossColor);
+        const [a, b] = slot.split('');
+        const corner = model.getPieces([face, a, b])[0];
+        const edge = model.getPieces([a, b]).find(piece => piece.length === 2);
+        return {
+            corner: model.isPieceSolved(corner),
+            edge: model.isPieceSolved(edge)
+        };
+    }
+
+    /**
+     * Is the cross solved apart from a turn of its own layer, as while pseudo-slotting
+     */
+    isCrossOffset(model, crossColor) {
+        const face = model.getFaceOfColor(crossColor);
+        return !model.isCrossSolved(crossColor) &&
+            ['', '2', '\''].some(amount => model.clone().applyMove(face + amount).isCrossSolved(crossColor));
+    }
+}
+
+// Export for use in other modules
+window.F2LRecognizer = F2LRecognizer;
@@ -1,135 +1,178 @@
 /**
  * GAN Bluetooth Module
- * Handles Bluetooth Low Energy connection to GAN 356i Carry cube
+ * Handles Bluetooth Low Energy connection to GAN Gen2/Gen3/Gen4 smart cubes
  */
 
-class GANBluetooth {
+// GAN Gen2/Gen3/Gen4 service and characteristic UUIDs
+const GAN_PROTOCOLS = [
+    {
+        name: 'Gen2',
+        serviceUuid: '6e400001-b5a4-f393-e0a9-e50e24dcca9e',
+        commandUuid: '28be4a4a-cd67-11e9-a32f-2a2ae2dbcce4', // Write to cube
+        stateUuid: '28be4cb6-cd67-11e9-a32f-2a2ae2dbcce4', // Read from cube
+        Protocol: GanGen2Protocol
+    },
+    {
+        name: 'Gen3',
+        serviceUuid: '8653000a-43e6-47b7-9cb0-5fc21d4ae340',
+        commandUuid: '8653000c-43e6-47b7-9cb0-5fc21d4ae340',
+        stateUuid: '8653000b-43e6-47b7-9cb0-5fc21d4ae340',
+        Protocol: GanGen3Protocol
+    },
+    {
+        name: 'Gen4',
+        serviceUuid: '00000010-0000-fff7-fff6-fff5fff4fff0',
+        commandUuid: '0000fff5-0000-1000-8000-00805f9b34fb',
+        stateUuid: '0000fff6-0000-1000-8000-00805f9b34fb',
+        Protocol: GanGen4Protocol
+    }
+];
+
+class GANBluetooth extends SmartCubeDriver {
     constructor() {
-        // GAN cube service and characteristic UUIDs
-        this.SERVICE_UUID = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
-        this.CHARACTERISTIC_UUID_RX = '6e400002-b5a3-f393-e0a9-e50e24dcca9e'; // Write to cube
-        this.CHARACTERISTIC_UUID_TX = '6e400003-b5a3-f393-e0a9-e50e24dcca9e'; // Read from cube
-        this.BATTERY_SERVICE_UUID = '0000180f-0000-1000-8000-00805f9b34fb';
-        this.BATTERY_CHARACTERISTIC_UUID = '00002a19-0000-1000-8000-00805f9b34fb';
-        
-        this.device = null;
-        this.server = null;
+        super();
+
+        this.PROTOCOLS = GAN_PROTOCOLS;
+
+        // Base AES keys, salted per device with its MAC address
+        this.ENCRYPTION_KEYS = {
+            gan: {
+                key: [0x01, 0x02, 0x42, 0x28, 0x31, 0x91, 0x16, 0x07, 0x20, 0x05, 0x18, 0x54, 0x42, 0x11, 0x12, 0x53],
+                iv: [0x11, 0x03, 0x32, 0x28, 0x21, 0x01, 0x76, 0x27, 0x20, 0x95, 0x78, 0x14, 0x32, 0x12, 0x02, 0x43]
+            },
+            moyuAi: {
+                key: [0x05, 0x12, 0x02, 0x45, 0x02, 0x01, 0x29, 0x56, 0x12, 0x78, 0x12, 0x76, 0x81, 0x01, 0x08, 0x03],
+                iv: [0x01, 0x44, 0x28, 0x06, 0x86, 0x21, 0x22, 0x28, 0x51, 0x05, 0x08, 0x31, 0x82, 0x02, 0x21, 0x06]
+            }
+        };
+
         this.service = null;
-        this.rxCharacteristic = null;
-        this.txCharacteristic = null;
-        this.batteryService = null;
-        this.batteryCharacteristic = null;
-        
-        this.isConnected = false;
-        this.eventListeners = new Map();
-        
-        // Data buffers for parsing multi-packet messages
+        this.commandCharacteristic = null;
+        this.stateCharacteristic = null;
+        this.protocol = null;
+        this.protocolName = null;
+        this.encrypter = null;
+        this.macAddress = null;
+        this.macDeviceId = null; // Device the MAC belongs to
+
+        // Latest cube state
+        this.hardwareInfo = null;
+        this.lastMoveCubeTimestamp = null;
+        this.faceletsRequestTimeout = null;
+        this.pendingBatteryRequests = [];
+
+        // Notification currently being parsed
         this.dataBuffer = new Uint8Array(0);
-        this.expectedPackets = 0;
-        this.receivedPackets = 0;
+
+        // Stable reference, so re-subscribing after a reconnect does not add a second listener
+        this.onStateChanged = (event) => this.handleDataReceived(event.target.value);
     }
 
     /**
-     * Register event listener
+     * GAN cubes, plus MoYu AI 2023 which speaks the GAN Gen2 protocol
      */
-    on(event, callback) {
-        if (!this.eventListeners.has(event)) {
-            this.eventListeners.set(event, []);
-        }
-        this.eventListeners.get(event).push(callback);
+    static get profile() {
+        return {
+            name: 'GAN',
+            namePrefixes: ['GAN', 'Gan', 'MG', 'AiCube'],
+            serviceUuids: GAN_PROTOCOLS.map(protocol => protocol.serviceUuid),
+            optionalServices: [],
+            // Company identifier codes GAN cubes advertise their MAC address under
+            manufacturerIds: Array.from({ length: 256 }, (_, i) => (i << 8) | 0x01)
+        };
     }
 
     /**
-     * Emit event to all listeners
+     * Connect GATT, detect protocol generation and subscribe to notifications
      */
-    emit(event, data) {
-        if (this.eventListeners.has(event)) {
-            this.eventListeners.get(event).forEach(callback => callback(data));
+    async setupConnection() {
+        // Encryption is salted with the MAC, which Web Bluetooth hides from us
+        // Kept per device across reconnects and disconnects, so the user is not asked again
+        if (!this.macAddress || this.macDeviceId !== this.device.id) {
+            console.log('Resolving device MAC address...');
+            this.macAddress = await this.getMacAddress(this.device);
+            this.macDeviceId = this.device.id;
+        }
+
+        console.log('Connecting to GATT server...');
+        this.server = await this.device.gatt.connect();
+
+        console.log('Detecting protocol generation...');
+        const services = await this.server.getPrimaryServices();
+        const serviceUuids = services.map(service => service.uuid.toLowerCase());
+        const definition = this.PROTOCOLS.find(protocol => serviceUuids.includes(protocol.serviceUuid));
+        if (!definition) {
+            throw new Error('Unsupported GAN cube: no known protocol service found');
         }
+
+        this.service = services[serviceUuids.indexOf(definition.serviceUuid)];
+
+        // On reconnect the existing decoder keeps its serial, so missed moves can be recovered
+        if (!this.protocol || this.protocolName !== definition.name) {
+            this.setupProtocol(definition);
+        }
+
+        console.log('Getting characteristics...');
+        this.commandCharacteristic = await this.service.getCharacteristic(definition.commandUuid);
+        this.stateCharacteristic = await this.service.getCharacteristic(definition.stateUuid);
+
+        // Setup notifications for data from cube
+        await this.stateCharacteristic.startNotifications();
+        this.stateCharacteristic.addEventListener('characteristicvaluechanged', this.onStateChanged);
     }
 
     /**
-     * Check if Web Bluetooth is supported
+     * Create frame decoder and encrypter for the detected generation
      */
-    isBluetoothSupported() {
-        return 'bluetooth' in navigator;
+    setupProtocol(definition) {
+        this.protocolName = definition.name;
+        this.protocol = new definition.Protocol((type, options) => this.sendProtocolCommand(type, options));
+
+        const keys = (this.device.name || '').startsWith('AiCube') ? this.ENCRYPTION_KEYS.moyuAi : this.ENCRYPTION_KEYS.gan;
+        this.encrypter = new GanCubeEncrypter(keys.key, keys.iv, GanCubeEncrypter.saltFromMac(this.macAddress));
     }
 
     /**
-     * Connect to GAN cube
+     * Rebuild the decoder of a captured session
      */
-    async connect() {
-        try {
-            if (!this.isBluetoothSupported()) {
-                throw new Error('Web Bluetooth is not supported in this browser');
-            }
+    restoreCaptureInfo(session) {
+        const definition = this.PROTOCOLS.find(protocol => protocol.name === session.protocol);
+        if (!definition) {
+            throw new Error(`Capture uses unknown protocol: ${session.protocol}`);
+        }
 
-            console.log('Requesting Bluetooth device...');
-            this.device = await navigator.bluetooth.requestDevice({
-                filters: [
-                    { namePrefix: 'GAN' },
-                    { namePrefix: 'Gan' },
-                    { services: [this.SERVICE_UUID] }
-                ],
-                optionalServices: [this.SERVICE_UUID, this.BATTERY_SERVICE_UUID]
-            });
-
-            console.log('Connecting to GATT server...');
-            this.server = await this.device.gatt.connect();
-
-            console.log('Getting primary service...');
-            this.service = await this.server.getPrimaryService(this.SERVICE_UUID);
-
-            console.log('Getting characteristics...');
-            this.rxCharacteristic = await this.service.getCharacteristic(this.CHARACTERISTIC_UUID_RX);
-            this.txCharacteristic = await this.service.getCharacteristic(this.CHARACTERISTIC_UUID_TX);
-
-            // Setup notifications for data from cube
-            await this.txCharacteristic.startNotifications();
-            this.txCharacteristic.addEventListener('characteristicvaluechanged', (event) => {
-                this.handleDataReceived(event.target.value);
-            });
-
-            // Try to get battery service (optional)
-            try {
-                this.batteryService = await this.server.getPrimaryService(this.BATTERY_SERVICE_UUID);
-                this.batteryCharacteristic = await this.batteryService.getCharacteristic(this.BATTERY_CHARACTERISTIC_UUID);
-            } catch (error) {
-                console.warn('Battery service not available:', error);
-            }
+        this.macAddress = session.macAddress;
+        this.setupProtocol(definition);
+        if (session.decoderState) {
+            this.protocol.setState(session.decoderState);
+        }
+    }
 
-            // Listen for disconnection
-            this.device.addEventListener('gattserverdisconnected', () => {
-                this.handleDisconnection();
-            });
-
-            this.isConnected = true;
-            
-            // Initialize cube communication
-            await this.initializeCube();
-            
-            this.emit('connected', {
-                name: this.device.name,
-                id: this.device.id
-            });
-
-            // Get initial battery level
-            if (this.batteryCharacteristic) {
-                try {
-                    const batteryValue = await this.batteryCharacteristic.readValue();
-                    const batteryLevel = batteryValue.getUint8(0);
-                    this.emit('batteryLevel', batteryLevel);
-                } catch (error) {
-                    console.warn('Could not read battery level:', error);
-                }
-            }
+    /**
+     * Feed one captured notification through the normal parsing path
+     */
+    replayPacket(data, timestamp) {
+        this.handleDataReceived(new DataView(Uint8Array.from(data).buffer), timestamp);
+    }
 
-            return true;
-        } catch (error) {
-            console.error('Connection failed:', error);
-            this.emit('error', `Connection failed: ${error.message}`);
-            throw error;
-        }
+    /**
+     * Describe the connection so captured sessions can be decrypted later
+     */
+    getCaptureInfo() {
+        return {
+            driver: this.constructor.profile.name,
+            protocol: this.protocolName,
+            deviceName: this.device ? this.device.name : null,
+            macAddress: this.macAddress,
+            decoderState: this.protocol ? this.protocol.getState() : null
+        };
+    }
+
+    /**
+     * Ask for the facelets; the answer also sets the decoder's serial
+     */
+    async requestState() {
+        await this.sendProtocolCommand('REQUEST_FACELETS');
     }
 
     /**
@@ -137,13 +180,13 @@ class GANBluetooth {
      */
     async initializeCube() {
         try {
-            // Send initialization commands to enable solve data transmission
-            // These are typical GAN cube initialization commands
-            await this.sendCommand([0x01, 0x02]); // Enable notifications
+            // Facelets must come first: moves are only accepted after the
+            // cube has reported its initial serial number
+            await this.sendProtocolCommand('REQUEST_FACELETS');
             await this.sleep(100);
-            await this.sendCommand([0x02, 0x01]); // Request cube state
+            await this.sendProtocolCommand('REQUEST_HARDWARE');
             await this.sleep(100);
-            await this.sendCommand([0x03, 0x01]); // Enable solve data
+            await this.sendProtocolCommand('REQUEST_BATTERY');
         } catch (error) {
             console.warn('Cube initialization warning:', error);
         }
@@ -153,157 +196,175 @@ class GANBluetooth {
      * Send command to cube
      */
     async sendCommand(data) {
-        if (!this.isConnected || !this.rxCharacteristic) {
+        if (!this.isConnected || !this.commandCharacteristic) {
             throw new Error('Not connected to cube');
         }
 
-        const buffer = new Uint8Array(data);
-        await this.rxCharacteristic.writeValue(buffer);
+        const buffer = this.encrypter.encrypt(new Uint8Array(data));
+        await this.commandCharacteristic.writeValue(buffer);
+    }
+
+    /**
+     * Send a named protocol command (REQUEST_FACELETS, REQUEST_BATTERY, ...)
+     */
+    async sendProtocolCommand(type, options) {
+        // Replayed sessions already contain the cube's answers
+        if (this.isReplaying) {
+            return;
+        }
+
+        const message = this.protocol ? this.protocol.createCommand(type, options) : null;
+        if (!message) {
+            return;
+        }
+
+        try {
+            await this.sendCommand(message);
+        } catch (error) {
+            console.warn(`Failed to send ${type}:`, error);
+        }
     }
 
     /**
      * Handle incoming data from cube
      */
-    handleDataReceived(dataValue) {
-        const data = new Uint8Array(dataValue.buffer);
+    handleDataReceived(dataValue, timestamp = this.clock.now()) {
+        this.emitRawData(dataValue);
+
+        const data = new Uint8Array(dataValue.buffer, dataValue.byteOffset, dataValue.byteLength);
         console.log('Received data:', Array.from(data).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
 
-        // Append data to buffer
-        const newBuffer = new Uint8Array(this.dataBuffer.length + data.length);
-        newBuffer.set(this.dataBuffer);
-        newBuffer.set(data, this.dataBuffer.length);
-        this.dataBuffer = newBuffer;
+        // Every notification carries exactly one encrypted frame
+        this.dataBuffer = Uint8Array.from(data);
 
-        // Try to parse complete messages
-        this.parseDataBuffer();
+        this.parseDataBuffer(timestamp);
     }
 
     /**
-     * Parse accumulated data buffer for complete messages
+     * Decrypt the buffered frame and dispatch the events it contains
      */
-    parseDataBuffer() {
-        // Look for message headers and parse complete messages
-        let offset = 0;
-        
-        while (offset < this.dataBuffer.length) {
-            // Check for different message types based on GAN protocol
-            if (this.dataBuffer[offset] === 0x01) {
-                // Cube state message
-                if (this.dataBuffer.length >= offset + 6) {
-                    const cubeState = this.parseCubeState(this.dataBuffer.slice(offset, offset + 6));
-                    this.emit('cubeState', cubeState);
-                    offset += 6;
-                } else {
-                    break; // Wait for more data
-                }
-            } else if (this.dataBuffer[offset] === 0x02) {
-                // Move data message
-                if (this.dataBuffer.length >= offset + 4) {
-                    const moveData = this.parseMoveData(this.dataBuffer.slice(offset, offset + 4));
-                    this.emit('moveData', moveData);
-                    offset += 4;
-                } else {
-                    break; // Wait for more data
-                }
-            } else if (this.dataBuffer[offset] === 0x03) {
-                // Solve completion message
-                if (this.dataBuffer.length >= offset + 8) {
-                    const solveData = this.parseSolveCompletion(this.dataBuffer.slice(offset, offset + 8));
-                    this.emit('solveComplete', solveData);
-                    offset += 8;
-                } else {
-                    break; // Wait for more data
-                }
-            } else if (this.dataBuffer[offset] === 0x04) {
-                // Gyroscope/orientation data
-                if (this.dataBuffer.length >= offset + 12) {
-                    const gyroData = this.parseGyroData(this.dataBuffer.slice(offset, offset + 12));
-                    this.emit('gyroData', gyroData);
-                    offset += 12;
-                } else {
-                    break; // Wait for more data
-                }
-            } else {
-                // Unknown message type, skip byte
-                offset++;
-            }
+    parseDataBuffer(timestamp = this.clock.now()) {
+        if (this.dataBuffer.length < 16 || !this.encrypter || !this.protocol) {
+            this.dataBuffer = new Uint8Array(0);
+            return;
         }
 
-        // Keep remaining data in buffer
-        if (offset > 0) {
-            this.dataBuffer = this.dataBuffer.slice(offset);
+        const frame = this.encrypter.decrypt(this.dataBuffer);
+        this.dataBuffer = new Uint8Array(0);
+
+        const events = this.protocol.decode(frame, timestamp);
+        events.forEach(event => this.handleCubeEvent(event));
+    }
+
+    /**
+     * Translate decoded protocol events into module events
+     */
+    handleCubeEvent(event) {
+        switch (event.type) {
+            case 'MOVE':
+                this.emit('moveData', this.parseMoveData(event));
+                this.scheduleFaceletsRequest();
+                break;
+            case 'FACELETS':
+                this.emit('cubeState', this.parseCubeState(event));
+                break;
+            case 'GYRO':
+                this.emit('gyroData', this.parseGyroData(event));
+                break;
+            case 'BATTERY':
+                this.batteryLevel = event.batteryLevel;
+                this.pendingBatteryRequests.splice(0).forEach(resolve => resolve(event.batteryLevel));
+                this.emit('batteryLevel', event.batteryLevel);
+                break;
+            case 'HARDWARE':
+                this.hardwareInfo = {
+                    hardwareName: event.hardwareName,
+                    hardwareVersion: event.hardwareVersion,
+                    softwareVersion: event.softwareVersion,
+                    productDate: event.productDate || null,
+                    gyroSupported: event.gyroSupported
+                };
+                this.emit('hardwareInfo', this.hardwareInfo);
+                break;
+            case 'MISSED_MOVES':
+                this.emit('missedMoves', { timestamp: event.timestamp, count: event.count });
+                break;
+            case 'DISCONNECT':
+                // Cube is going to sleep: drop the link and let auto-reconnect wait for it to wake
+                if (this.isReplaying) {
+                    this.disconnect();
+                } else if (this.server) {
+                    this.server.disconnect();
+                }
+                break;
         }
     }
 
     /**
-     * Parse cube state data
+     * Ask for facelets once the cube is idle, so solved state follows moves
      */
-    parseCubeState(data) {
-        return {
-            type: 'cubeState',
-            timestamp: Date.now(),
-            scrambled: data[1] === 0x01,
-            solved: data[2] === 0x01,
-            battery: data[3],
-            temperature: data[4]
-        };
+    scheduleFaceletsRequest() {
+        clearTimeout(this.faceletsRequestTimeout);
+        this.faceletsRequestTimeout = setTimeout(() => {
+            this.sendProtocolCommand('REQUEST_FACELETS');
+        }, 100);
     }
 
     /**
-     * Parse move data
+     * Parse cube state data
      */
-    parseMoveData(data) {
-        // GAN cube move encoding
-        const moveMap = {
-            0x01: "U", 0x02: "U'", 0x03: "U2",
-            0x04: "D", 0x05: "D'", 0x06: "D2",
-            0x07: "R", 0x08: "R'", 0x09: "R2",
-            0x0A: "L", 0x0B: "L'", 0x0C: "L2",
-            0x0D: "F", 0x0E: "F'", 0x0F: "F2",
-            0x10: "B", 0x11: "B'", 0x12: "B2"
-        };
+    parseCubeState(event) {
+        const solved = event.facelets === SOLVED_FACELETS;
 
         return {
-            type: 'move',
-            timestamp: Date.now(),
-            move: moveMap[data[1]] || 'Unknown',
-            duration: (data[2] << 8) | data[3], // Duration in milliseconds
-            raw: Array.from(data)
+            type: 'cubeState',
+            timestamp: event.timestamp,
+            scrambled: !solved,
+            solved: solved,
+            battery: this.batteryLevel,
+            facelets: event.facelets,
+            state: event.state,
+            serial: event.serial
         };
     }
 
     /**
-     * Parse solve completion data
+     * Parse move data
      */
-    parseSolveCompletion(data) {
-        const totalTime = (data[1] << 24) | (data[2] << 16) | (data[3] << 8) | data[4];
-        const moveCount = (data[5] << 8) | data[6];
-        
+    parseMoveData(event) {
+        // Duration since previous move, measured by the cube's own clock
+        let duration = 0;
+        if (event.cubeTimestamp !== null && this.lastMoveCubeTimestamp !== null) {
+            duration = Math.max(0, event.cubeTimestamp - this.lastMoveCubeTimestamp);
+        }
+        if (event.cubeTimestamp !== null) {
+            this.lastMoveCubeTimestamp = event.cubeTimestamp;
+        }
+
         return {
-            type: 'solveComplete',
-            timestamp: Date.now(),
-            totalTime: totalTime, // in milliseconds
-            moveCount: moveCount,
-            tps: moveCount / (totalTime / 1000),
-            raw: Array.from(data)
+            type: 'move',
+            timestamp: this.cubeClock.align(event.cubeTimestamp, event.timestamp),
+            receivedAt: event.timestamp,
+            move: event.move,
+            duration: duration, // Duration in milliseconds
+            cubeTimestamp: event.cubeTimestamp,
+            serial: event.serial,
+            recovered: event.recovered
         };
     }
 
     /**
      * Parse gyroscope/orientation data
      */
-    parseGyroData(data) {
-        const x = (data[1] << 8) | data[2];
-        const y = (data[3] << 8) | data[4];
-        const z = (data[5] << 8) | data[6];
-        
+    parseGyroData(event) {
         return {
             type: 'gyro',
-            timestamp: Date.now(),
-            x: x - 32768, // Convert from unsigned to signed
-            y: y - 32768,
-            z: z - 32768,
-            raw: Array.from(data)
+            timestamp: event.timestamp,
+            quaternion: event.quaternion,
+            velocity: event.velocity,
+            x: event.velocity.x,
+            y: event.velocity.y,
+            z: event.velocity.z
         };
     }
 
@@ -311,56 +372,33 @@ class GANBluetooth {
      * Get battery level
      */
     async getBatteryLevel() {
-        if (!this.batteryCharacteristic) {
+        if (!this.isConnected) {
             return null;
         }
 
-        try {
-            const value = await this.batteryCharacteristic.readValue();
-            return value.getUint8(0);
-        } catch (error) {
-            console.error('Failed to read battery level:', error);
-            return null;
-        }
-    }
+        const response = new Promise(resolve => this.pendingBatteryRequests.push(resolve));
+        await this.sendProtocolCommand('REQUEST_BATTERY');
 
-    /**
-     * Disconnect from cube
-     */
-    async disconnect() {
-        try {
-            if (this.device && this.device.gatt.connected) {
-                await this.device.gatt.disconnect();
-            }
-        } catch (error) {
-            console.error('Disconnect error:', error);
-        }
-        
-        this.handleDisconnection();
+        // Fall back to the last known level if the cube does not answer
+        return Promise.race([response, this.sleep(2000).then(() => this.batteryLevel)]);
     }
 
     /**
-     * Handle disconnection cleanup
+     * Reset GAN-specific connection state
      */
-    handleDisconnection() {
-        this.isConnected = false;
-        this.device = null;
-        this.server = null;
+    resetState() {
+        clearTimeout(this.faceletsRequestTimeout);
         this.service = null;
-        this.rxCharacteristic = null;
-        this.txCharacteristic = null;
-        this.batteryService = null;
-        this.batteryCharacteristic = null;
+        this.commandCharacteristic = null;
+        this.stateCharacteristic = null;
+        this.protocol = null;
+        this.protocolName = null;
+        this.encrypter = null;
+        this.hardwareInfo = null;
+        this.lastMoveCubeTimestamp = null;
+        this.cubeClock.reset();
+        this.pendingBatteryRequests.splice(0).forEach(resolve => resolve(null));
         this.dataBuffer = new Uint8Array(0);
-        
-        this.emit('disconnected');
-    }
-
-    /**
-     * Utility function for delays
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     /**
@@ -368,12 +406,14 @@ class GANBluetooth {
      */
     getConnectionStatus() {
         return {
-            isConnected: this.isConnected,
-            deviceName: this.device ? this.device.name : null,
-            deviceId: this.device ? this.device.id : null
+            ...super.getConnectionStatus(),
+            protocol: this.protocolName,
+            hardware: this.hardwareInfo
         };
     }
 }
 
+CubeDriverRegistry.register(GANBluetooth);
+
 // Export for use in other modules
 window.GANBluetooth = GANBluetooth;
@@ -0,0 +1,627 @@
+/**
+ * GAN Protocol Module
+ * Decrypts and decodes GAN Gen2/Gen3/Gen4 smart cube frames
+ */
+
+/**
+ * Complete a 7-corner/11-edge state reported by the cube with the implied last piece
+ */
+function completeCubieState(cp, co, ep, eo) {
+    const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+    cp.push(28 - sum(cp));
+    co.push((3 - (sum(co) % 3)) % 3);
+    ep.push(66 - sum(ep));
+    eo.push((2 - (sum(eo) % 2)) % 2);
+
+    return { cp, co, ep, eo };
+}
+
+/**
+ * Encrypter shared by Gen2, Gen3 and Gen4 cubes
+ * The first and last 16 bytes of each frame are AES-128 encrypted with an
+ * IV xor, using a key and IV salted with the device MAC address
+ */
+class GanCubeEncrypter {
+    constructor(key, iv, salt) {
+        if (salt.length !== 6) {
+            throw new Error('Salt must be 6 bytes long');
+        }
+
+        const saltedKey = Uint8Array.from(key);
+        this.iv = Uint8Array.from(iv);
+        for (let i = 0; i < 6; i++) {
+            saltedKey[i] = (key[i] + salt[i]) % 0xFF;
+            this.iv[i] = (iv[i] + salt[i]) % 0xFF;
+        }
+
+        this.cipher = new AES128(saltedKey);
+    }
+
+    /**
+     * Build salt from a MAC address string such as "AB:12:CD:34:EF:56"
+     */
+    static saltFromMac(macAddress) {
+        const bytes = macAddress.split(/[:\-\s]+/).map(part => parseInt(part, 16));
+        if (bytes.length !== 6 || bytes.some(byte => isNaN(byte))) {
+            throw new Error(`Invalid MAC address: ${macAddress}`);
+        }
+        return Uint8Array.from(bytes.reverse());
+    }
+
+    /**
+     * Encrypt a command frame
+     */
+    encrypt(data) {
+        if (data.length < 16) {
+            throw new Error('Frame must be at least 16 bytes long');
+        }
+
+        const result = Uint8Array.from(data);
+        this.encryptChunk(result, 0);
+        if (result.length > 16) {
+            this.encryptChunk(result, result.length - 16);
+        }
+        return result;
+    }
+
+    /**
+     * Decrypt a notification frame
+     */
+    decrypt(data) {
+        if (data.length < 16) {
+            throw new Error('Frame must be at least 16 bytes long');
+        }
+
+        const result = Uint8Array.from(data);
+        if (result.length > 16) {
+            this.decryptChunk(result, result.length - 16);
+        }
+        this.decryptChunk(result, 0);
+        return result;
+    }
+
+    encryptChunk(buffer, offset) {
+        for (let i = 0; i < 16; i++) {
+            buffer[offset + i] ^= this.iv[i];
+        }
+        buffer.set(this.cipher.encryptBlock(buffer.subarray(offset, offset + 16)), offset);
+    }
+
+    decryptChunk(buffer, offset) {
+        buffer.set(this.cipher.decryptBlock(buffer.subarray(offset, offset + 16)), offset);
+        for (let i = 0; i < 16; i++) {
+            buffer[offset + i] ^= this.iv[i];
+        }
+    }
+}
+
+/**
+ * Bit-level reader for decrypted frames
+ */
+class GanMessageView {
+    constructor(message) {
+        this.bits = Array.from(message).map(byte => (byte + 0x100).toString(2).slice(1)).join('');
+    }
+
+    /**
+     * Read an unsigned word of up to 8 bits, or a 16/32-bit word
+     */
+    getBitWord(startBit, bitLength, littleEndian = false) {
+        if (bitLength <= 8) {
+            return parseInt(this.bits.slice(startBit, startBit + bitLength), 2);
+        }
+
+        if (bitLength !== 16 && bitLength !== 32) {
+            throw new Error('Invalid bit word size');
+        }
+
+        const bytes = new Uint8Array(bitLength / 8);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(this.bits.slice(startBit + 8 * i, startBit + 8 * i + 8), 2);
+        }
+        const view = new DataView(bytes.buffer);
+        return bitLength === 16 ? view.getUint16(0, littleEndian) : view.getUint32(0, littleEndian);
+    }
+
+    /**
+     * Decode signed quaternion component (sign bit + 15-bit magnitude)
+     */
+    getQuaternionComponent(startBit) {
+        const raw = this.getBitWord(startBit, 16);
+        return (1 - (raw >> 15) * 2) * (raw & 0x7FFF) / 0x7FFF;
+    }
+
+    /**
+     * Decode signed angular velocity component (sign bit + 3-bit magnitude)
+     */
+    getVelocityComponent(startBit) {
+        const raw = this.getBitWord(startBit, 4);
+        return (1 - (raw >> 3) * 2) * (raw & 0x7);
+    }
+}
+
+/**
+ * Base class for the per-generation frame decoders
+ * Decoders turn decrypted frames into a list of cube events
+ * (MOVE, MISSED_MOVES, FACELETS, GYRO, BATTERY, HARDWARE, DISCONNECT)
+ */
+class GanProtocol {
+    constructor(sendCommand) {
+        this.sendCommand = sendCommand || (() => {});
+        this.lastSerial = -1;
+        this.lastMoveTimestamp = 0;
+    }
+
+    /**
+     * Decoder state a capture starts from, so frames recorded mid-session
+     * decode on replay as they did live
+     */
+    getState() {
+        return { lastSerial: this.lastSerial };
+    }
+
+    setState(state) {
+        this.lastSerial = state.lastSerial;
+    }
+
+    /**
+     * Build facelets event from cubie data
+     */
+    createFaceletsEvent(serial, timestamp, cubieState) {
+        const { cp, co, ep, eo } = completeCubieState(...cubieState);
+        return {
+            type: 'FACELETS',
+            serial: serial,
+            timestamp: timestamp,
+            facelets: toKociembaFacelets(cp, co, ep, eo),
+            state: { cp, co, ep, eo }
+        };
+    }
+
+    /**
+     * Build move event
+     */
+    createMoveEvent(face, direction, serial, timestamp, cubeTimestamp, recovered = false) {
+        return {
+            type: 'MOVE',
+            serial: serial,
+            timestamp: timestamp,
+            cubeTimestamp: cubeTimestamp,
+            face: face,
+            direction: direction,
+            move: 'URFDLB'.charAt(face) + (direction ? '\'' : ''),
+            recovered: recovered
+        };
+    }
+}
+
+/**
+ * GAN Gen2 protocol (GAN 356i Carry, GAN Mini ui, GAN 11/12 ui, MoYu AI 2023)
+ */
+class GanGen2Protocol extends GanProtocol {
+    constructor(sendCommand) {
+        super(sendCommand);
+        this.cubeTimestamp = 0;
+    }
+
+    getState() {
+        return { ...super.getState(), cubeTimestamp: this.cubeTimestamp };
+    }
+
+    setState(state) {
+        super.setState(state);
+        this.cubeTimestamp = state.cubeTimestamp || 0;
+    }
+
+    createCommand(type) {
+        const message = new Uint8Array(20);
+        switch (type) {
+            case 'REQUEST_FACELETS':
+                message[0] = 0x04;
+                break;
+            case 'REQUEST_HARDWARE':
+                message[0] = 0x05;
+                break;
+            case 'REQUEST_BATTERY':
+                message[0] = 0x09;
+                break;
+            case 'REQUEST_RESET':
+                message.set([0x0A, 0x05, 0x39, 0x77, 0x00, 0x00, 0x01, 0x23, 0x45, 0x67, 0x89, 0xAB]);
+                break;
+            default:
+                return null;
+        }
+        return message;
+    }
+
+    decode(frame, timestamp) {
+        const msg = new GanMessageView(frame);
+        const eventType = msg.getBitWord(0, 4);
+        const events = [];
+
+        if (eventType === 0x01) {
+            events.push({
+                type: 'GYRO',
+                timestamp: timestamp,
+                quaternion: {
+                    w: msg.getQuaternionComponent(4),
+                    x: msg.getQuaternionComponent(20),
+                    y: msg.getQuaternionComponent(36),
+                    z: msg.getQuaternionComponent(52)
+                },
+                velocity: {
+                    x: msg.getVelocityComponent(68),
+                    y: msg.getVelocityComponent(72),
+                    z: msg.getVelocityComponent(76)
+                }
+            });
+        } else if (eventType === 0x02) {
+            // Moves are only meaningful once the first facelets frame set the serial
+            if (this.lastSerial === -1) {
+                return events;
+            }
+
+            // Each frame carries the last 7 moves, so missed ones can be replayed
+            const serial = msg.getBitWord(4, 8);
+            const distance = (serial - this.lastSerial) & 0xFF;
+            const missed = Math.min(distance, 7);
+            this.lastSerial = serial;
+
+            // Older moves fell out of the history, e.g. during a long dropout
+            if (distance > 7) {
+                events.push({ type: 'MISSED_MOVES', timestamp: timestamp, count: distance - 7 });
+            }
+
+            for (let i = missed - 1; i >= 0; i--) {
+                const face = msg.getBitWord(12 + 5 * i, 4);
+                const direction = msg.getBitWord(16 + 5 * i, 1);
+                let elapsed = msg.getBitWord(47 + 16 * i, 16);
+                if (elapsed === 0) {
+                    // 16-bit cube timer overflowed, fall back to host time
+                    elapsed = timestamp - this.lastMoveTimestamp;
+                }
+                this.cubeTimestamp += elapsed;
+                events.push(this.createMoveEvent(face, direction, (serial - i) & 0xFF, timestamp, this.cubeTimestamp, i > 0));
+            }
+
+            if (missed > 0) {
+                this.lastMoveTimestamp = timestamp;
+            }
+        } else if (eventType === 0x04) {
+            const serial = msg.getBitWord(4, 8);
+            if (this.lastSerial === -1) {
+                this.lastSerial = serial;
+            }
+
+            const cp = [], co = [], ep = [], eo = [];
+            for (let i = 0; i < 7; i++) {
+                cp.push(msg.getBitWord(12 + i * 3, 3));
+                co.push(msg.getBitWord(33 + i * 2, 2));
+            }
+            for (let i = 0; i < 11; i++) {
+                ep.push(msg.getBitWord(47 + i * 4, 4));
+                eo.push(msg.getBitWord(91 + i, 1));
+            }
+            events.push(this.createFaceletsEvent(serial, timestamp, [cp, co, ep, eo]));
+        } else if (eventType === 0x05) {
+            let hardwareName = '';
+            for (let i = 0; i < 8; i++) {
+                hardwareName += String.fromCharCode(msg.getBitWord(40 + i * 8, 8));
+            }
+            events.push({
+                type: 'HARDWARE',
+                timestamp: timestamp,
+                hardwareName: hardwareName.replace(/\0/g, '').trim(),
+                hardwareVersion: `${msg.getBitWord(8, 8)}.${msg.getBitWord(16, 8)}`,
+                softwareVersion: `${msg.getBitWord(24, 8)}.${msg.getBitWord(32, 8)}`,
+                gyroSupported: msg.getBitWord(104, 1) === 1
+            });
+        } else if (eventType === 0x09) {
+            events.push({ type: 'BATTERY', timestamp: timestamp, batteryLevel: Math.min(msg.getBitWord(8, 8), 100) });
+        } else if (eventType === 0x0D) {
+            events.push({ type: 'DISCONNECT', timestamp: timestamp });
+        }
+
+        return events;
+    }
+}
+
+/**
+ * Shared logic for Gen3/Gen4 cubes, which report one move per frame with a
+ * 16-bit serial and can be asked for the history of missed moves
+ */
+class GanSerialProtocol extends GanProtocol {
+    constructor(sendCommand) {
+        super(sendCommand);
+        this.moveBuffer = [];
+        this.historyRequested = false;
+    }
+
+    /**
+     * Queue a live move and flush everything that is now in order
+     */
+    bufferMove(event) {
+        if (event.face < 0) {
+            return [];
+        }
+        this.moveBuffer.push(event);
+        return this.flushMoveBuffer();
+    }
+
+    /**
+     * Insert moves recovered from a history frame
+     */
+    injectMissedMove(event) {
+        if (event.face < 0) {
+            return;
+        }
+
+        const distance = (event.serial - this.lastSerial) & 0xFF;
+        const alreadyBuffered = this.moveBuffer.some(move => (move.serial & 0xFF) === event.serial);
+        if (distance === 0 || distance > 128 || alreadyBuffered) {
+            return;
+        }
+
+        this.moveBuffer.push(event);
+        this.moveBuffer.sort((a, b) => ((a.serial - this.lastSerial) & 0xFF) - ((b.serial - this.lastSerial) & 0xFF));
+    }
+
+    /**
+     * Emit buffered moves in serial order, requesting history for gaps
+     */
+    flushMoveBuffer() {
+        const events = [];
+
+        while (this.moveBuffer.length > 0) {
+            const next = this.moveBuffer[0];
+            const distance = (next.serial - this.lastSerial) & 0xFF;
+
+            if (distance === 1 || this.moveBuffer.length > 16) {
+                // In order, or we waited long enough for the missing moves
+                this.moveBuffer.shift();
+                this.lastSerial = next.serial & 0xFF;
+                events.push(next);
+                this.historyRequested = false;
+            } else if (distance === 0 || distance > 128) {
+                // Duplicate or stale
+                this.moveBuffer.shift();
+            } else {
+                if (!this.historyRequested) {
+                    this.historyRequested = true;
+                    this.sendCommand('REQUEST_MOVE_HISTORY', { serial: (next.serial - 1) & 0xFF, count: distance - 1 });
+                }
+                break;
+            }
+        }
+
+        return events;
+    }
+
+    decodeFacelets(msg, serialBit, cornerBit, orientationBit, edgeBit, flipBit, timestamp) {
+        const serial = msg.getBitWord(serialBit, 16, true) & 0xFF;
+        if (this.lastSerial === -1) {
+            this.lastSerial = serial;
+        }
+
+        const cp = [], co = [], ep = [], eo = [];
+        for (let i = 0; i < 7; i++) {
+            cp.push(msg.getBitWord(cornerBit + i * 3, 3));
+            co.push(msg.getBitWord(orientationBit + i * 2, 2));
+        }
+        for (let i = 0; i < 11; i++) {
+            ep.push(msg.getBitWord(edgeBit + i * 4, 4));
+            eo.push(msg.getBitWord(flipBit + i, 1));
+        }
+        return this.createFaceletsEvent(serial, timestamp, [cp, co, ep, eo]);
+    }
+
+    decodeMove(msg, timestampBit, timestamp) {
+        const cubeTimestamp = msg.getBitWord(timestampBit, 32, true);
+        const serial = msg.getBitWord(timestampBit + 32, 16, true) & 0xFF;
+        const direction = msg.getBitWord(timestampBit + 48, 2);
+        const face = [2, 32, 8, 1, 16, 4].indexOf(msg.getBitWord(timestampBit + 50, 6));
+        return this.createMoveEvent(face, direction, serial, timestamp, cubeTimestamp);
+    }
+
+    decodeMoveHistory(msg, startBit, dataLength, timestamp) {
+        const startSerial = msg.getBitWord(startBit, 8);
+        const count = (dataLength - 1) * 2;
+
+        for (let i = 0; i < count; i++) {
+            const face = [1, 5, 3, 0, 4, 2].indexOf(msg.getBitWord(startBit + 8 + 4 * i, 3));
+            const direction = msg.getBitWord(startBit + 11 + 4 * i, 1);
+            this.injectMissedMove(this.createMoveEvent(face, direction, (startSerial - i) & 0xFF, timestamp, null, true));
+        }
+
+        return this.flushMoveBuffer();
+    }
+}
+
+/**
+ * GAN Gen3 protocol (GAN356 i Carry 2)
+ */
+class GanGen3Protocol extends GanSerialProtocol {
+    createCommand(type, options = {}) {
+        const message = new Uint8Array(16);
+        switch (type) {
+            case 'REQUEST_FACELETS':
+                message.set([0x68, 0x01]);
+                break;
+            case 'REQUEST_HARDWARE':
+                message.set([0x68, 0x04]);
+                break;
+            case 'REQUEST_BATTERY':
+                message.set([0x68, 0x07]);
+                break;
+            case 'REQUEST_MOVE_HISTORY':
+                message.set([0x68, 0x03, options.serial, 0x00, options.count, 0x00]);
+                break;
+            case 'REQUEST_RESET':
+                message.set([0x68, 0x05, 0x05, 0x39, 0x77, 0x00, 0x00, 0x01, 0x23, 0x45, 0x67, 0x89, 0xAB]);
+                break;
+            default:
+                return null;
+        }
+        return message;
+    }
+
+    decode(frame, timestamp) {
+        const msg = new GanMessageView(frame);
+        const magic = msg.getBitWord(0, 8);
+        const eventType = msg.getBitWord(8, 8);
+        const dataLength = msg.getBitWord(16, 8);
+
+        if (magic !== 0x55 || dataLength === 0) {
+            return [];
+        }
+
+        if (eventType === 0x01) {
+            if (this.lastSerial === -1) {
+                return [];
+            }
+            return this.bufferMove(this.decodeMove(msg, 24, timestamp));
+        } else if (eventType === 0x06) {
+            return this.decodeMoveHistory(msg, 24, dataLength, timestamp);
+        } else if (eventType === 0x02) {
+            return [this.decodeFacelets(msg, 24, 40, 61, 77, 121, timestamp)];
+        } else if (eventType === 0x07) {
+            let hardwareName = '';
+            for (let i = 0; i < 5; i++) {
+                hardwareName += String.fromCharCode(msg.getBitWord(32 + i * 8, 8));
+            }
+            return [{
+                type: 'HARDWARE',
+                timestamp: timestamp,
+                hardwareName: hardwareName.replace(/\0/g, '').trim(),
+                hardwareVersion: `${msg.getBitWord(80, 4)}.${msg.getBitWord(84, 4)}`,
+                softwareVersion: `${msg.getBitWord(72, 4)}.${msg.getBitWord(76, 4)}`,
+                gyroSupported: false
+            }];
+        } else if (eventType === 0x10) {
+            return [{ type: 'BATTERY', timestamp: timestamp, batteryLevel: Math.min(msg.getBitWord(24, 8), 100) }];
+        } else if (eventType === 0x11) {
+            return [{ type: 'DISCONNECT', timestamp: timestamp }];
+        }
+
+        return [];
+    }
+}
+
+/**
+ * GAN Gen4 protocol (GAN 12 ui Maglev, GAN 14 ui FreePlay)
+ */
+class GanGen4Protocol extends GanSerialProtocol {
+    constructor(sendCommand) {
+        super(sendCommand);
+        this.hardwareInfo = {};
+    }
+
+    createCommand(type, options = {}) {
+        const message = new Uint8Array(20);
+        switch (type) {
+            case 'REQUEST_FACELETS':
+                message.set([0xDD, 0x04, 0x00, 0xED, 0x00, 0x00]);
+                break;
+            case 'REQUEST_HARDWARE':
+                this.hardwareInfo = {};
+                message.set([0xDF, 0x03, 0x00, 0x00, 0x00]);
+                break;
+            case 'REQUEST_BATTERY':
+                message.set([0xDD, 0x04, 0x00, 0xEF, 0x00, 0x00]);
+                break;
+            case 'REQUEST_MOVE_HISTORY':
+                message.set([0xD1, 0x04, options.serial, 0x00, options.count, 0x00]);
+                break;
+            case 'REQUEST_RESET':
+                message.set([0xD2, 0x0D, 0x05, 0x39, 0x77, 0x00, 0x00, 0x01, 0x23, 0x45, 0x67, 0x89, 0xAB]);
+                break;
+            default:
+                return null;
+        }
+        return message;
+    }
+
+    decode(frame, timestamp) {
+        const msg = new GanMessageView(frame);
+        const eventType = msg.getBitWord(0, 8);
+        const dataLength = msg.getBitWord(8, 8);
+
+        if (eventType === 0x01) {
+            if (this.lastSerial === -1) {
+                return [];
+            }
+            return this.bufferMove(this.decodeMove(msg, 16, timestamp));
+        } else if (eventType === 0xD1) {
+            return this.decodeMoveHistory(msg, 16, dataLength, timestamp);
+        } else if (eventType === 0xED) {
+            return [this.decodeFacelets(msg, 16, 32, 53, 69, 113, timestamp)];
+        } else if (eventType >= 0xFA && eventType <= 0xFE) {
+            return this.decodeHardwareField(msg, eventType, dataLength, timestamp);
+        } else if (eventType === 0xEC) {
+            return [{
+                type: 'GYRO',
+                timestamp: timestamp,
+                quaternion: {
+                    w: msg.getQuaternionComponent(16),
+                    x: msg.getQuaternionComponent(32),
+                    y: msg.getQuaternionComponent(48),
+                    z: msg.getQuaternionComponent(64)
+                },
+                velocity: {
+                    x: msg.getVelocityComponent(80),
+                    y: msg.getVelocityComponent(84),
+                    z: msg.getVelocityComponent(88)
+                }
+            }];
+        } else if (eventType === 0xEF) {
+            return [{ type: 'BATTERY', timestamp: timestamp, batteryLevel: Math.min(msg.getBitWord(8 + dataLength * 8, 8), 100) }];
+        } else if (eventType === 0xEA) {
+            return [{ type: 'DISCONNECT', timestamp: timestamp }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Gen4 cubes send hardware info as four separate frames
+     */
+    decodeHardwareField(msg, eventType, dataLength, timestamp) {
+        if (eventType === 0xFA) {
+            const year = msg.getBitWord(24, 16, true);
+            this.hardwareInfo.productDate = `${year}-${msg.getBitWord(40, 8)}-${msg.getBitWord(48, 8)}`;
+        } else if (eventType === 0xFC) {
+            let hardwareName = '';
+            for (let i = 0; i < dataLength - 1; i++) {
+                hardwareName += String.fromCharCode(msg.getBitWord(24 + i * 8, 8));
+            }
+            this.hardwareInfo.hardwareName = hardwareName.replace(/\0/g, '').trim();
+        } else if (eventType === 0xFD) {
+            this.hardwareInfo.softwareVersion = `${msg.getBitWord(24, 4)}.${msg.getBitWord(28, 4)}`;
+        } else if (eventType === 0xFE) {
+            this.hardwareInfo.hardwareVersion = `${msg.getBitWord(24, 4)}.${msg.getBitWord(28, 4)}`;
+        }
+
+        if (Object.keys(this.hardwareInfo).length < 4) {
+            return [];
+        }
+
+        const info = this.hardwareInfo;
+        this.hardwareInfo = {};
+        return [{
+            type: 'HARDWARE',
+            timestamp: timestamp,
+            hardwareName: info.hardwareName,
+            hardwareVersion: info.hardwareVersion,
+            softwareVersion: info.softwareVersion,
+            productDate: info.productDate,
+            gyroSupported: ['GAN12uiFrameless', 'GAN12ui'].includes(info.hardwareName)
+        }];
+    }
+}
+
+// Export for use in other modules
+window.GanCubeEncrypter = GanCubeEncrypter;
+window.GanGen2Protocol = GanGen2Protocol;
+window.GanGen3Protocol = GanGen3Protocol;
+window.GanGen4Protocol = GanGen4Protocol;
@@ -0,0 +1,223 @@
+/**
+ * GiiKER Bluetooth Module
+ * Handles Bluetooth Low Energy connection to GiiKER / Xiaomi Mi smart cubes
+ */
+
+class GiikerBluetooth extends SmartCubeDriver {
+    constructor() {
+        super();
+
+        this.SERVICE_UUID_DATA = '0000aadb-0000-1000-8000-00805f9b34fb';
+        this.CHARACTERISTIC_UUID_DATA = '0000aadc-0000-1000-8000-00805f9b34fb';
+        this.SERVICE_UUID_RW = '0000aaaa-0000-1000-8000-00805f9b34fb';
+        this.CHARACTERISTIC_UUID_READ = '0000aaab-0000-1000-8000-00805f9b34fb';
+        this.CHARACTERISTIC_UUID_WRITE = '0000aaac-0000-1000-8000-00805f9b34fb';
+
+        // Newer firmware obfuscates state frames with this table
+        this.DECRYPTION_KEY = [
+            176, 81, 104, 224, 86, 137, 237, 119, 38, 26, 193, 161, 210, 126, 150, 81, 93, 13,
+            236, 249, 89, 235, 88, 24, 113, 81, 214, 131, 130, 199, 2, 169, 39, 165, 171, 41
+        ];
+
+        this.dataCharacteristic = null;
+        this.readCharacteristic = null;
+        this.writeCharacteristic = null;
+        this.lastState = null;
+
+        // Stable references, so re-subscribing after a reconnect does not add second listeners
+        this.onStateChanged = (event) => this.handleStateReceived(event.target.value);
+        this.onResponseChanged = (event) => this.handleResponseReceived(event.target.value);
+    }
+
+    static get profile() {
+        return {
+            name: 'GiiKER',
+            namePrefixes: ['Gi', 'Mi Smart Magic Cube', 'Hi-'],
+            serviceUuids: ['0000aadb-0000-1000-8000-00805f9b34fb'],
+            optionalServices: ['0000aaaa-0000-1000-8000-00805f9b34fb'],
+            manufacturerIds: []
+        };
+    }
+
+    /**
+     * Connect GATT and subscribe to state notifications
+     */
+    async setupConnection() {
+        console.log('Connecting to GATT server...');
+        this.server = await this.device.gatt.connect();
+
+        console.log('Getting characteristics...');
+        const dataService = await this.server.getPrimaryService(this.SERVICE_UUID_DATA);
+        this.dataCharacteristic = await dataService.getCharacteristic(this.CHARACTERISTIC_UUID_DATA);
+        await this.dataCharacteristic.startNotifications();
+        this.dataCharacteristic.addEventListener('characteristicvaluechanged', this.onStateChanged);
+
+        // Read/write service only carries battery level (optional)
+        try {
+            const rwService = await this.server.getPrimaryService(this.SERVICE_UUID_RW);
+            this.readCharacteristic = await rwService.getCharacteristic(this.CHARACTERISTIC_UUID_READ);
+            this.writeCharacteristic = await rwService.getCharacteristic(this.CHARACTERISTIC_UUID_WRITE);
+            await this.readCharacteristic.startNotifications();
+            this.readCharacteristic.addEventListener('characteristicvaluechanged', this.onResponseChanged);
+        } catch (error) {
+            console.warn('GiiKER read/write service not available:', error);
+        }
+    }
+
+    /**
+     * Initialize cube communication
+     */
+    async initializeCube() {
+        try {
+            // Current state, so the first move is not reported twice
+            const value = await this.dataCharacteristic.readValue();
+            this.lastState = this.parseState(value);
+            this.emit('cubeState', this.createCubeState(this.lastState));
+
+            await this.requestBattery();
+        } catch (error) {
+            console.warn('Cube initialization warning:', error);
+        }
+    }
+
+    /**
+     * Ask cube for its battery level, answered on the read characteristic
+     */
+    async requestBattery() {
+        if (this.writeCharacteristic) {
+            await this.writeCharacteristic.writeValue(new Uint8Array([0xB5]));
+        }
+    }
+
+    /**
+     * Decode a 20-byte state frame into nibbles
+     */
+    parseState(dataValue) {
+        let raw = [];
+        for (let i = 0; i < 20; i++) {
+            raw.push(dataValue.getUint8(i));
+        }
+
+        if (raw[18] === 0xA7) {
+            const k1 = (raw[19] >> 4) & 0xF;
+            const k2 = raw[19] & 0xF;
+            for (let i = 0; i < 18; i++) {
+                raw[i] = (raw[i] + this.DECRYPTION_KEY[i + k1] + this.DECRYPTION_KEY[i + k2]) & 0xFF;
+            }
+            raw = raw.slice(0, 18);
+        }
+
+        const nibbles = [];
+        raw.forEach((byte) => {
+            nibbles.push((byte >> 4) & 0xF, byte & 0xF);
+        });
+
+        // Move history: face 1-6 as B D L U R F, amount 1 = cw, 2/9 = half, 3 = ccw
+        const moves = [];
+        for (let i = 32; i < 40; i += 2) {
+            const face = 'BDLURF'.charAt(nibbles[i] - 1);
+            const amount = ['', '2', '\''][(nibbles[i + 1] - 1) % 7] || '';
+            if (face) {
+                moves.push(face + amount);
+            }
+        }
+
+        return {
+            cornerPositions: nibbles.slice(0, 8),
+            cornerOrientations: nibbles.slice(8, 16),
+            edgePositions: nibbles.slice(16, 28),
+            edgeOrientations: nibbles.slice(28, 31),
+            moves: moves
+        };
+    }
+
+    /**
+     * Check whether decoded state is solved
+     */
+    isSolved(state) {
+        return state.cornerPositions.every((position, i) => position === i + 1) &&
+            state.cornerOrientations.every(orientation => orientation % 3 === 0) &&
+            state.edgePositions.every((position, i) => position === i + 1) &&
+            state.edgeOrientations.every(orientation => orientation === 0);
+    }
+
+    /**
+     * Handle state notification: every turn sends the full state and last moves
+     */
+    handleStateReceived(dataValue, timestamp = this.clock.now()) {
+        this.emitRawData(dataValue, 'state');
+
+        const state = this.parseState(dataValue);
+        this.lastState = state;
+
+        if (state.moves.length > 0) {
+            this.emit('moveData', {
+                type: 'move',
+                timestamp: timestamp,
+                move: state.moves[0],
+                duration: 0
+            });
+        }
+
+        this.emit('cubeState', this.createCubeState(state, timestamp));
+    }
+
+    /**
+     * Build cubeState event
+     */
+    createCubeState(state, timestamp = this.clock.now()) {
+        const solved = this.isSolved(state);
+        return {
+            type: 'cubeState',
+            timestamp: timestamp,
+            scrambled: !solved,
+            solved: solved,
+            battery: this.batteryLevel
+        };
+    }
+
+    /**
+     * Handle command response on the read characteristic
+     */
+    handleResponseReceived(dataValue) {
+        this.emitRawData(dataValue, 'response');
+
+        if (dataValue.getUint8(0) === 0xB5) {
+            this.batteryLevel = dataValue.getUint8(1);
+            this.emit('batteryLevel', this.batteryLevel);
+        }
+    }
+
+    /**
+     * Feed one captured notification through the normal parsing path
+     */
+    replayPacket(data, timestamp, source) {
+        const dataValue = new DataView(Uint8Array.from(data).buffer);
+        if (source === 'response') {
+            this.handleResponseReceived(dataValue);
+        } else {
+            this.handleStateReceived(dataValue, timestamp);
+        }
+    }
+
+    /**
+     * Get battery level
+     */
+    async getBatteryLevel() {
+        await this.requestBattery();
+        await this.sleep(300);
+        return this.batteryLevel;
+    }
+
+    resetState() {
+        this.dataCharacteristic = null;
+        this.readCharacteristic = null;
+        this.writeCharacteristic = null;
+        this.lastState = null;
+    }
+}
+
+CubeDriverRegistry.register(GiikerBluetooth);
+
+// Export for use in other modules
+window.GiikerBluetooth = GiikerBluetooth;
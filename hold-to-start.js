@@ -0,0 +1,162 @@
+/**
+ * Hold-to-Start Module
+ * csTimer/stackmat-style manual timing with the space bar or a touch screen
+ *
+ * Hold space (or a finger on the touch target) until the hold delay has
+ * passed and the timer is ready, then release to start. While the timer runs,
+ * any key or touch stops it. Releasing early cancels. While canSplit() is
+ * true, keys other than space record a split instead of stopping.
+ *
+ * Emits 'holding' when a hold begins, 'ready' once it was long enough,
+ * 'cancel' when released early, and 'start' / 'stop' / 'split' for the app
+ * to act on.
+ */
+
+class HoldToStart {
+    /**
+     * isRunning tells whether the timer is running; ignoreKey(event) marks
+     * keys that belong to someone else, e.g. virtual cube turns; start and
+     * stop timestamps are read from clock
+     */
+    constructor({ isRunning, ignoreKey = () => false, canSplit = () => false, holdDelay = 300, clock = new Clock() } = {}) {
+        this.clock = clock;
+        this.isRunning = isRunning;
+        this.ignoreKey = ignoreKey;
+        this.canSplit = canSplit;
+        this.holdDelay = holdDelay;
+        this.state = 'idle'; // idle, holding, ready, stopped
+        this.holdTimeout = null;
+        this.eventListeners = new Map();
+        this.handlers = null;
+    }
+
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => callback(data));
+        }
+    }
+
+    /**
+     * Listen to the keyboard and to touches on touchTarget
+     */
+    attach(keyTarget = document, touchTarget = null) {
+        this.detach();
+
+        const isTyping = (event) => {
+            const tag = event.target && event.target.tagName;
+            return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+        };
+        this.handlers = {
+            keydown: (event) => {
+                if (isTyping(event) || event.repeat || this.ignoreKey(event)) {
+                    return;
+                }
+                if (this.isRunning() && event.code !== 'Space' && this.canSplit()) {
+                    event.preventDefault();
+                    this.emit('split', { timestamp: this.clock.now() });
+                    return;
+                }
+                if (this.isRunning() || event.code === 'Space') {
+                    event.preventDefault();
+                    this.press(event.code === 'Space');
+                }
+            },
+            keyup: (event) => {
+                if (isTyping(event)) {
+                    return;
+                }
+                if (event.code === 'Space') {
+                    event.preventDefault();
+                    this.release();
+                } else if (this.state === 'stopped') {
+                    this.state = 'idle';
+                }
+            },
+            touchstart: (event) => {
+                event.preventDefault();
+                this.press(true);
+            },
+            touchend: (event) => {
+                event.preventDefault();
+                this.release();
+            }
+        };
+
+        keyTarget.addEventListener('keydown', this.handlers.keydown);
+        keyTarget.addEventListener('keyup', this.handlers.keyup);
+        if (touchTarget) {
+            touchTarget.addEventListener('touchstart', this.handlers.touchstart, { passive: false });
+            touchTarget.addEventListener('touchend', this.handlers.touchend, { passive: false });
+        }
+        this.keyTarget = keyTarget;
+        this.touchTarget = touchTarget;
+    }
+
+    detach() {
+        if (!this.handlers) {
+            return;
+        }
+        this.keyTarget.removeEventListener('keydown', this.handlers.keydown);
+        this.keyTarget.removeEventListener('keyup', this.handlers.keyup);
+        if (this.touchTarget) {
+            this.touchTarget.removeEventListener('touchstart', this.handlers.touchstart);
+            this.touchTarget.removeEventListener('touchend', this.handlers.touchend);
+        }
+        this.handlers = null;
+        this.cancelHold();
+    }
+
+    /**
+     * Key or touch down; canHold is false for keys that only stop the timer
+     */
+    press(canHold) {
+        if (this.isRunning()) {
+            // The release that follows a stop must not start a new hold
+            this.state = 'stopped';
+            this.emit('stop', { timestamp: this.clock.now() });
+            return;
+        }
+        if (!canHold || this.state !== 'idle') {
+            return;
+        }
+
+        this.state = 'holding';
+        this.emit('holding');
+        this.holdTimeout = setTimeout(() => {
+            this.holdTimeout = null;
+            this.state = 'ready';
+            this.emit('ready');
+        }, this.holdDelay);
+    }
+
+    /**
+     * Key or touch up: starts when ready, cancels an early release
+     */
+    release() {
+        const state = this.state;
+        this.cancelHold();
+        if (state === 'ready') {
+            this.emit('start', { timestamp: this.clock.now() });
+        } else if (state === 'holding') {
+            this.emit('cancel');
+        }
+    }
+
+    cancelHold() {
+        if (this.holdTimeout) {
+            clearTimeout(this.holdTimeout);
+            this.holdTimeout = null;
+        }
+        this.state = 'idle';
+    }
+}
+
+// Export for use in other modules
+window.HoldToStart = HoldToStart;
@@ -0,0 +1,207 @@
+/**
+ * Last Layer Module
+ * Recognises OLL and PLL cases from the cube state
+ *
+ * A case is recognised by simulation: the reference algorithm of each case,
+ * preceded by an AUF, is applied to the state at the start of the phase and
+ * the case whose algorithm orients (OLL) or solves (PLL) the last layer wins.
+ * This makes recognition independent of how the user actually solved it.
+ */
+
+class LastLayerRecognizer {
+    constructor() {
+        // Reference algorithms, executed with the cross on D and the case in front
+        this.OLL_ALGORITHMS = {
+            1: 'R U2 R2 F R F\' U2 R\' F R F\'',
+            2: 'F R U R\' U\' F\' f R U R\' U\' f\'',
+            3: 'f R U R\' U\' f\' U\' F R U R\' U\' F\'',
+            4: 'f R U R\' U\' f\' U F R U R\' U\' F\'',
+            5: 'r\' U2 R U R\' U r',
+            6: 'r U2 R\' U\' R U\' r\'',
+            7: 'r U R\' U R U2 r\'',
+            8: 'l\' U\' L U\' L\' U2 l',
+            9: 'R U R\' U\' R\' F R2 U R\' U\' F\'',
+            10: 'R U R\' U R\' F R F\' R U2 R\'',
+            11: 'r U R\' U R\' F R F\' R U2 r\'',
+            12: 'M\' R\' U\' R U\' R\' U2 R U\' R r\'',
+            13: 'F U R U\' R2 F\' R U R U\' R\'',
+            14: 'R\' F R U R\' F\' R F U\' F\'',
+            15: 'l\' U\' l L\' U\' L U l\' U l',
+            16: 'r U r\' R U R\' U\' r U\' r\'',
+            17: 'F R\' F\' R2 r\' U R U\' R\' U\' M\'',
+            18: 'r U R\' U R U2 r2 U\' R U\' R\' U2 r',
+            19: 'r\' R U R U R\' U\' M\' R\' F R F\'',
+            20: 'r U R\' U\' M2 U R U\' R\' U\' M\'',
+            21: 'R U2 R\' U\' R U R\' U\' R U\' R\'',
+            22: 'R U2 R2 U\' R2 U\' R2 U2 R',
+            23: 'R2 D\' R U2 R\' D R U2 R',
+            24: 'r U R\' U\' r\' F R F\'',
+            25: 'F\' r U R\' U\' r\' F R',
+            26: 'R U2 R\' U\' R U\' R\'',
+            27: 'R U R\' U R U2 R\'',
+            28: 'r U R\' U\' r\' R U R U\' R\'',
+            29: 'R U R\' U\' R U\' R\' F\' U\' F R U R\'',
+            30: 'F R\' F R2 U\' R\' U\' R U R\' F2',
+            31: 'R\' U\' F U R U\' R\' F\' R',
+            32: 'L U F\' U\' L\' U L F L\'',
+            33: 'R U R\' U\' R\' F R F\'',
+            34: 'R U R2 U\' R\' F R U R U\' F\'',
+            35: 'R U2 R2 F R F\' R U2 R\'',
+            36: 'L\' U\' L U\' L\' U L U L F\' L\' F',
+            37: 'F R\' F\' R U R U\' R\'',
+            38: 'R U R\' U R U\' R\' U\' R\' F R F\'',
+            39: 'L F\' L\' U\' L U F U\' L\'',
+            40: 'R\' F R U R\' U\' F\' U R',
+            41: 'R U R\' U R U2 R\' F R U R\' U\' F\'',
+            42: 'R\' U\' R U\' R\' U2 R F R U R\' U\' F\'',
+            43: 'F\' U\' L\' U L F',
+            44: 'F U R U\' R\' F\'',
+            45: 'F R U R\' U\' F\'',
+            46: 'R\' U\' R\' F R F\' U R',
+            47: 'R\' U\' R\' F R F\' R\' F R F\' U R',
+            48: 'F R U R\' U\' R U R\' U\' F\'',
+            49: 'r U\' r2 U r2 U r2 U\' r',
+            50: 'r\' U r2 U\' r2 U\' r2 U r\'',
+            51: 'F U R U\' R\' U R U\' R\' F\'',
+            52: 'R U R\' U R U\' B U\' B\' R\'',
+            53: 'l\' U2 L U L\' U\' L U L\' U l',
+            54: 'r U2 R\' U\' R U R\' U\' R U\' r\'',
+            55: 'R\' F R U R U\' R2 F\' R2 U\' R\' U R U R\'',
+            56: 'r\' U\' r U\' R\' U R U\' R\' U R r\' U r',
+            57: 'R U R\' U\' M\' U R U\' r\''
+        };
+
+        this.PLL_ALGORITHMS = {
+            Aa: 'x R\' U R\' D2 R U\' R\' D2 R2 x\'',
+            Ab: 'x R2 D2 R U R\' D2 R U\' R x\'',
+            E: 'x\' R U\' R\' D R U R\' D\' R U R\' D R U\' R\' D\' x',
+            F: 'R\' U\' F\' R U R\' U\' R\' F R2 U\' R\' U\' R U R\' U R',
+            Ga: 'R2 U R\' U R\' U\' R U\' R2 D U\' R\' U R D\'',
+            Gb: 'R\' U\' R U D\' R2 U R\' U R U\' R U\' R2 D',
+            Gc: 'R2 U\' R U\' R U R\' U R2 D\' U R U\' R\' D',
+            Gd: 'R U R\' U\' D R2 U\' R U\' R\' U R\' U R2 D\'',
+            H: 'M2 U M2 U2 M2 U M2',
+            Ja: 'x R2 F R F\' R U2 r\' U r U2 x\'',
+            Jb: 'R U R\' F\' R U R\' U\' R\' F R2 U\' R\'',
+            Na: 'R U R\' U R U R\' F\' R U R\' U\' R\' F R2 U\' R\' U2 R U\' R\'',
+            Nb: 'R\' U R U\' R\' F\' U\' F R U R\' F R\' F\' R U\' R',
+            Ra: 'R U\' R\' U\' R U R D R\' U\' R D\' R\' U2 R\'',
+            Rb: 'R2 F R U R U\' R\' F\' R U2 R\' U2 R',
+            T: 'R U R\' U\' R\' F R2 U\' R\' U\' R U R\' F\'',
+            Ua: 'M2 U M U2 M\' U M2',
+            Ub: 'M2 U\' M U2 M\' U\' M2',
+            V: 'R U\' R U R\' D R D\' R U\' D R2 U R2 D\' R2',
+            Y: 'F R U\' R\' U\' R U R\' F\' R U R\' U\' R\' F R F\'',
+            Z: 'M\' U M2 U M2 U M\' U2 M2'
+        };
+
+        // Tried in this order so the smallest AUF is reported for symmetric cases
+        this.AUFS = ['', 'U', 'U\'', 'U2'];
+    }
+
+    /**
+     * Model of a state turned so the cross colour is on D
+     */
+    toCrossFrame(facelets, crossColor) {
+        const model = new CubeModel(facelets);
+        return model.applyAlgorithm(CubeModel.getCrossRotation(model.getFaceOfColor(crossColor)));
+    }
+
+    /**
+     * Recognise the OLL case at the start of the OLL phase
+     * Returns { number, preAuf }, { number: 0 } for a skip, or null if F2L is not solved
+     */
+    recognizeOLL(facelets, crossColor) {
+        const model = this.toCrossFrame(facelets, crossColor);
+        const cross = model.getCenter('D');
+        if (!model.isF2LSolved(cross)) {
+            return null;
+        }
+        if (model.isLastLayerOriented(cross)) {
+            return { number: 0, preAuf: '' };
+        }
+
+        for (const auf of this.AUFS) {
+            for (const [number, algorithm] of Object.entries(this.OLL_ALGORITHMS)) {
+                const result = model.clone().applyAlgorithm(`${auf} ${algorithm}`);
+                if (result.isF2LSolved(cross) && result.isLastLayerOriented(cross)) {
+                    return { number: parseInt(number, 10), preAuf: auf };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Recognise the PLL case at the start of the PLL phase
+     * Returns { name, preAuf, postAuf }, { name: 'skip', postAuf } when only an AUF
+     * is left, or null if the last layer is not oriented
+     */
+    recognizePLL(facelets, crossColor) {
+        const model = this.toCrossFrame(facelets, crossColor);
+        const cross = model.getCenter('D');
+        if (!model.isF2LSolved(cross) || !model.isLastLayerOriented(cross)) {
+            return null;
+        }
+
+        const postAuf = (result) => this.AUFS.find(auf => result.clone().applyAlgorithm(auf).isSolved());
+        const skipAuf = postAuf(model);
+        if (skipAuf !== undefined) {
+            return { name: 'skip', preAuf: '', postAuf: skipAuf };
+        }
+
+        for (const auf of this.AUFS) {
+            for (const [name, algorithm] of Object.entries(this.PLL_ALGORITHMS)) {
+                const after = postAuf(model.clone().applyAlgorithm(`${auf} ${algorithm}`));
+                if (after !== undefined) {
+                    return { name: name, preAuf: auf, postAuf: after };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Express cube moves (named by center colour) in the solver's frame with the
+     * cross on D; the y orientation is picked so the algorithm reads mostly as
+     * R, U and F turns, since the physical front cannot be seen
+     */
+    toSolverFrame(moves, crossColor) {
+        const base = CubeModel.getCrossRotation(new CubeModel().getFaceOfColor(crossColor));
+        let best = null;
+
+        ['', 'y', 'y2', 'y\''].forEach((y) => {
+            const translated = Notation.translate(moves, `${base} ${y}`);
+            const score = translated.filter(move => 'RUFruf'.includes(Notation.parseMove(move).family)).length;
+            if (best === null || score > best.score) {
+                best = { moves: translated, score: score };
+            }
+        });
+        return best ? best.moves : [];
+    }
+
+    /**
+     * Split a phase's moves into leading AUF, executed algorithm and trailing AUF
+     * AUFs are simplified, so U U' reads as none and U U as U2
+     */
+    splitAuf(moves) {
+        const isAuf = move => Notation.parseMove(move).family === 'U';
+        let start = 0;
+        let end = moves.length;
+        while (start < end && isAuf(moves[start])) {
+            start++;
+        }
+        while (end > start && isAuf(moves[end - 1])) {
+            end--;
+        }
+
+        return {
+            preAuf: Notation.format(Notation.simplify(moves.slice(0, start))),
+            execution: Notation.format(moves.slice(start, end)),
+            postAuf: Notation.format(Notation.simplify(moves.slice(end)))
+        };
+    }
+}
+
+// Export for use in other modules
+window.LastLayerRecognizer = LastLayerRecognizer;
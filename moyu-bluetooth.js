@@ -0,0 +1,134 @@
+/**
+ * MoYu Bluetooth Module
+ * Handles Bluetooth Low Energy connection to MoYu AI (MHC) smart cubes
+ *
+ * MoYu AI 2023 cubes speak the GAN Gen2 protocol and are handled by GANBluetooth.
+ * MHC cubes only stream face rotations, so no facelet state is reported.
+ */
+
+class MoYuBluetooth extends SmartCubeDriver {
+    constructor() {
+        super();
+
+        this.SERVICE_UUID = '00001000-0000-1000-8000-00805f9b34fb';
+        this.CHARACTERISTIC_UUID_TURN = '00001003-0000-1000-8000-00805f9b34fb';
+
+        this.turnCharacteristic = null;
+
+        // Faces report rotation in ninths of a turn; a move completes when
+        // the face crosses the halfway point between two positions
+        this.faceStatus = [0, 0, 0, 0, 0, 0];
+        this.lastMoveCubeTimestamp = null;
+
+        // Stable reference, so re-subscribing after a reconnect does not add a second listener
+        this.onTurnChanged = (event) => this.handleTurnReceived(event.target.value);
+    }
+
+    static get profile() {
+        return {
+            name: 'MoYu',
+            namePrefixes: ['MHC'],
+            serviceUuids: ['00001000-0000-1000-8000-00805f9b34fb'],
+            optionalServices: [],
+            manufacturerIds: []
+        };
+    }
+
+    /**
+     * Connect GATT and subscribe to turn notifications
+     */
+    async setupConnection() {
+        console.log('Connecting to GATT server...');
+        this.server = await this.device.gatt.connect();
+
+        console.log('Getting characteristics...');
+        const service = await this.server.getPrimaryService(this.SERVICE_UUID);
+        this.turnCharacteristic = await service.getCharacteristic(this.CHARACTERISTIC_UUID_TURN);
+        await this.turnCharacteristic.startNotifications();
+        this.turnCharacteristic.addEventListener('characteristicvaluechanged', this.onTurnChanged);
+    }
+
+    /**
+     * Parse turn notification: count byte followed by 6-byte turn records
+     */
+    handleTurnReceived(dataValue, timestamp = this.clock.now()) {
+        this.emitRawData(dataValue, 'turn');
+
+        if (dataValue.byteLength < 1) {
+            return;
+        }
+
+        const count = dataValue.getUint8(0);
+        if (dataValue.byteLength < 1 + count * 6) {
+            return;
+        }
+
+        for (let i = 0; i < count; i++) {
+            const offset = 1 + i * 6;
+            const rawTime = (dataValue.getUint8(offset + 1) << 24) | (dataValue.getUint8(offset) << 16) |
+                (dataValue.getUint8(offset + 3) << 8) | dataValue.getUint8(offset + 2);
+            const cubeTimestamp = Math.round((rawTime >>> 0) / 65536 * 1000);
+            const face = dataValue.getUint8(offset + 4);
+            const steps = Math.round(dataValue.getInt8(offset + 5) / 36);
+
+            const move = this.trackFaceRotation(face, steps);
+            if (!move) {
+                continue;
+            }
+
+            const duration = this.lastMoveCubeTimestamp === null ? 0 : Math.max(0, cubeTimestamp - this.lastMoveCubeTimestamp);
+            this.lastMoveCubeTimestamp = cubeTimestamp;
+
+            this.emit('moveData', {
+                type: 'move',
+                timestamp: this.cubeClock.align(cubeTimestamp, timestamp),
+                receivedAt: timestamp,
+                move: move,
+                duration: duration,
+                cubeTimestamp: cubeTimestamp
+            });
+        }
+    }
+
+    /**
+     * Feed one captured notification through the normal parsing path
+     */
+    replayPacket(data, timestamp) {
+        this.handleTurnReceived(new DataView(Uint8Array.from(data).buffer), timestamp);
+    }
+
+    /**
+     * Accumulate partial face rotation and return a move once it completes
+     */
+    trackFaceRotation(face, steps) {
+        if (face > 5) {
+            return null;
+        }
+
+        const previous = this.faceStatus[face];
+        const current = previous + steps;
+        this.faceStatus[face] = (current + 9) % 9;
+
+        // Cube face indices map to D, L, B, R, F, U
+        const faceName = 'DLBRFU'.charAt(face);
+        if (previous >= 5 && current <= 4) {
+            return faceName + '\'';
+        }
+        if (previous <= 4 && current >= 5) {
+            return faceName;
+        }
+        return null;
+    }
+
+    resetState() {
+        this.turnCharacteristic = null;
+        this.faceStatus = [0, 0, 0, 0, 0, 0];
+        this.lastMoveCubeTimestamp = null;
+        this.cubeClock.reset();
+    }
+}
+
+CubeDriverRegistry.register(MoYuBluetooth);
+
+// Export for use in other modules
+window.MoYuBluetooth = MoYuBluetooth;
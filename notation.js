@@ -0,0 +1,280 @@
+/**
+ * Notation Module
+ * Parses, prints and transforms WCA/SiGN move notation
+ *
+ * A move is a family plus a number of clockwise quarter turns (1-3). Families
+ * are outer faces (URFDLB), wide turns (urfdlb, printed Rw in WCA style),
+ * slices (MES) and whole-cube rotations (xyz). Parsed sequences are arrays of
+ * canonical move strings such as R, U2, r' or x, so they can be fed to
+ * CubeModel and the drivers unchanged.
+ */
+
+class Notation {
+    /**
+     * Expand notation into canonical moves
+     * Understands compact and spaced moves, Rw and r wide turns, R2' and R3,
+     * (groups)n and [groups]n with an optional ' to invert them, and the
+     * commutator [A, B] and conjugate [A: B] shorthands
+     */
+    static parse(notation) {
+        if (Array.isArray(notation)) {
+            return notation.flatMap(move => Notation.parse(move));
+        }
+
+        const state = { text: String(notation || '').replace(/[’‘`´]/g, '\''), pos: 0 };
+        return Notation.parseSequence(state, null);
+    }
+
+    /**
+     * Parse up to the closing bracket (or the end when closing is null)
+     */
+    static parseSequence(state, closing) {
+        const parts = [[]];
+        let separator = null;
+
+        while (state.pos < state.text.length) {
+            const char = state.text[state.pos];
+            if (/\s/.test(char)) {
+                state.pos++;
+            } else if (char === closing) {
+                state.pos++;
+                return Notation.combineParts(parts, separator);
+            } else if (char === ')' || char === ']') {
+                throw new Error(`Unbalanced "${char}" in notation`);
+            } else if (char === ',' || char === ':') {
+                // Only [A, B] and [A: B] take a separator
+                if (closing !== ']' || separator !== null) {
+                    throw new Error(`Unexpected "${char}" in notation`);
+                }
+                separator = char;
+                parts.push([]);
+                state.pos++;
+            } else if (char === '(' || char === '[') {
+                state.pos++;
+                const group = Notation.parseSequence(state, char === '(' ? ')' : ']');
+                parts[parts.length - 1].push(...Notation.readRepetition(state, group));
+            } else {
+                const pattern = /([URFDLB]w|[URFDLBMESxyzurfdlb])(\d*)('?)/y;
+                pattern.lastIndex = state.pos;
+                const match = pattern.exec(state.text);
+                if (!match) {
+                    throw new Error(`Unsupported move: ${state.text.slice(state.pos).split(/[\s()[\]]/)[0]}`);
+                }
+                state.pos = pattern.lastIndex;
+                const move = Notation.parseMove(match[0]);
+                if (move.turns > 0) {
+                    parts[parts.length - 1].push(Notation.formatMove(move));
+                }
+            }
+        }
+
+        if (closing) {
+            throw new Error(`Missing "${closing}" in notation`);
+        }
+        return Notation.combineParts(parts, separator);
+    }
+
+    static combineParts(parts, separator) {
+        const [a, b] = parts;
+        if (separator === ',') {
+            return [...a, ...b, ...Notation.invert(a), ...Notation.invert(b)];
+        }
+        if (separator === ':') {
+            return [...a, ...b, ...Notation.invert(a)];
+        }
+        return a;
+    }
+
+    /**
+     * Repeat a group by the count written after it, inverting it for a '
+     */
+    static readRepetition(state, group) {
+        const pattern = /(\d*)('?)/y;
+        pattern.lastIndex = state.pos;
+        const [text, count, prime] = pattern.exec(state.text);
+        state.pos += text.length;
+
+        const moves = prime ? Notation.invert(group) : group;
+        return Array.from({ length: count === '' ? 1 : parseInt(count, 10) }, () => moves).flat();
+    }
+
+    /**
+     * Split a single move such as R, U2, Rw', r2 or x' into family and quarter turns
+     */
+    static parseMove(move) {
+        const match = /^([URFDLB]w|[URFDLBMESxyzurfdlb])(\d*)('?)$/.exec(move);
+        if (!match) {
+            throw new Error(`Unsupported move: ${move}`);
+        }
+
+        const family = match[1].length === 2 ? match[1].charAt(0).toLowerCase() : match[1];
+        const amount = match[2] === '' ? 1 : parseInt(match[2], 10);
+        const turns = ((match[3] ? -amount : amount) % 4 + 4) % 4;
+        return { family: family, turns: turns };
+    }
+
+    /**
+     * Print a parsed move; style 'wca' writes wide turns as Rw instead of r
+     */
+    static formatMove(move, style = 'sign') {
+        const family = style === 'wca' && Notation.getKind(move.family) === 'wide' ?
+            `${move.family.toUpperCase()}w` : move.family;
+        return family + ['', '', '2', '\''][move.turns];
+    }
+
+    /**
+     * Print moves (or notation) as a space-separated sequence
+     */
+    static format(moves, style = 'sign') {
+        return Notation.parse(moves).map(move => Notation.formatMove(Notation.parseMove(move), style)).join(' ');
+    }
+
+    /**
+     * 'face', 'wide', 'slice' or 'rotation'
+     */
+    static getKind(family) {
+        if ('URFDLB'.includes(family)) return 'face';
+        if ('urfdlb'.includes(family)) return 'wide';
+        if ('MES'.includes(family)) return 'slice';
+        return 'rotation';
+    }
+
+    /**
+     * Axis a family turns about, named after its rotation
+     */
+    static getAxis(family) {
+        if ('RLrlMx'.includes(family)) return 'x';
+        if ('UDudEy'.includes(family)) return 'y';
+        return 'z';
+    }
+
+    /**
+     * Undo a single move: R -> R', R2 -> R2, R' -> R
+     */
+    static invertMove(move) {
+        const { family, turns } = Notation.parseMove(move);
+        return Notation.formatMove({ family: family, turns: (4 - turns) % 4 });
+    }
+
+    static invert(moves) {
+        return [...Notation.parse(moves)].reverse().map(move => Notation.invertMove(move));
+    }
+
+    /**
+     * Reflect a move through a slice plane (M by default, between R and L)
+     * The faces on either side of the plane swap; slices and rotations about
+     * the plane's axis keep their direction and every other turn reverses
+     */
+    static mirrorMove(move, plane = 'M') {
+        const axis = Notation.getAxis(plane);
+        const swaps = { x: 'RLrl', y: 'UDud', z: 'FBfb' }[axis];
+        const { family, turns } = Notation.parseMove(move);
+
+        const kind = Notation.getKind(family);
+        if (Notation.getAxis(family) === axis && (kind === 'slice' || kind === 'rotation')) {
+            return Notation.formatMove({ family: family, turns: turns });
+        }
+        const index = swaps.indexOf(family);
+        const mirrored = index === -1 ? family : swaps[index ^ 1];
+        return Notation.formatMove({ family: mirrored, turns: (4 - turns) % 4 });
+    }
+
+    static mirror(moves, plane = 'M') {
+        return Notation.parse(moves).map(move => Notation.mirrorMove(move, plane));
+    }
+
+    /**
+     * Cancel and merge turns of the same family, also across parallel turns
+     * that commute with them: R R' -> nothing, R R -> R2, R L R -> R2 L
+     */
+    static simplify(moves) {
+        const result = [];
+        Notation.parse(moves).map(move => Notation.parseMove(move)).forEach((move) => {
+            const axis = Notation.getAxis(move.family);
+            for (let i = result.length - 1; i >= 0 && Notation.getAxis(result[i].family) === axis; i--) {
+                if (result[i].family === move.family) {
+                    const turns = (result[i].turns + move.turns) % 4;
+                    if (turns === 0) {
+                        result.splice(i, 1);
+                    } else {
+                        result[i] = { family: move.family, turns: turns };
+                    }
+                    return;
+                }
+            }
+            result.push(move);
+        });
+        return result.map(move => Notation.formatMove(move));
+    }
+
+    /**
+     * Rename moves for a cube held after a whole-cube rotation, so the same
+     * physical turns read as the solver sees them
+     */
+    static translate(moves, rotation) {
+        const map = CubeModel.getRotationMap(rotation);
+        // Face whose clockwise direction each slice and rotation follows
+        const slices = { M: 'L', E: 'D', S: 'F' };
+        const rotations = { x: 'R', y: 'U', z: 'F' };
+        const opposite = { U: 'D', D: 'U', R: 'L', L: 'R', F: 'B', B: 'F' };
+
+        const rename = (table, face, turns) => {
+            const direct = Object.keys(table).find(family => table[family] === face);
+            if (direct) {
+                return { family: direct, turns: turns };
+            }
+            const reversed = Object.keys(table).find(family => table[family] === opposite[face]);
+            return { family: reversed, turns: (4 - turns) % 4 };
+        };
+
+        return Notation.parse(moves).map((move) => {
+            const { family, turns } = Notation.parseMove(move);
+            const kind = Notation.getKind(family);
+            if (kind === 'face') {
+                return Notation.formatMove({ family: map[family], turns: turns });
+            }
+            if (kind === 'wide') {
+                return Notation.formatMove({ family: map[family.toUpperCase()].toLowerCase(), turns: turns });
+            }
+            const table = kind === 'slice' ? slices : rotations;
+            return Notation.formatMove(rename(table, map[table[family]], turns));
+        });
+    }
+
+    /**
+     * Count moves in a metric:
+     * HTM - outer and wide turns of any angle count 1, slices 2, rotations 0
+     * QTM - quarter turns count 1 and half turns 2, slices twice, rotations 0
+     * STM - every layer turn counts 1 including slices, rotations 0
+     * ETM - every move counts 1 including rotations
+     */
+    static count(moves, metric = 'htm') {
+        return Notation.parse(moves).map(move => Notation.parseMove(move)).reduce((total, { family, turns }) => {
+            const kind = Notation.getKind(family);
+            const layers = kind === 'slice' ? 2 : 1;
+            switch (metric) {
+                case 'htm': return total + (kind === 'rotation' ? 0 : layers);
+                case 'qtm': return total + (kind === 'rotation' ? 0 : layers * (turns === 2 ? 2 : 1));
+                case 'stm': return total + (kind === 'rotation' ? 0 : 1);
+                case 'etm': return total + 1;
+                default: throw new Error(`Unknown metric: ${metric}`);
+            }
+        }, 0);
+    }
+
+    /**
+     * Move counts in all metrics: { htm, qtm, stm, etm }
+     */
+    static getMetrics(moves) {
+        const parsed = Notation.parse(moves);
+        return {
+            htm: Notation.count(parsed, 'htm'),
+            qtm: Notation.count(parsed, 'qtm'),
+            stm: Notation.count(parsed, 'stm'),
+            etm: Notation.count(parsed, 'etm')
+        };
+    }
+}
+
+// Export for use in other modules
+window.Notation = Notation;
@@ -0,0 +1,249 @@
+/**
+ * Packet Recorder Module
+ * Captures raw BLE notifications of a cube driver and replays them later
+ *
+ * A capture holds everything needed to decode the session again, so a solve
+ * can be reproduced exactly through the driver's normal parsing path:
+ * {
+ *   format: 'cubecoach-ble-capture', version: 1,
+ *   driver, deviceName, startedAt, ...driver capture info (protocol, macAddress, decoderState),
+ *   packets: [{ t: ms since start, source, data: hex }]
+ * }
+ * A capture started mid-session carries the decoder state it starts from and
+ * asks the cube for its facelets, so the replay starts from the same state.
+ */
+
+class PacketRecorder {
+    constructor() {
+        this.FORMAT = 'cubecoach-ble-capture';
+        this.VERSION = 1;
+
+        this.session = null;
+        this.driver = null;
+        this.startTime = null;
+        this.rawDataHandler = null;
+    }
+
+    /**
+     * Start capturing notifications of a connected driver
+     */
+    start(driver) {
+        if (!driver || !driver.isConnected) {
+            throw new Error('Connect a cube before recording');
+        }
+
+        this.stop();
+
+        this.driver = driver;
+        this.startTime = driver.clock.now();
+        this.session = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            ...driver.getCaptureInfo(),
+            startedAt: new Date().toISOString(),
+            packets: []
+        };
+
+        this.rawDataHandler = (packet) => this.capture(driver, packet);
+        driver.on('rawData', this.rawDataHandler);
+        driver.requestState().catch(error => console.warn('Could not request the cube state:', error));
+    }
+
+    /**
+     * Store one notification
+     */
+    capture(driver, packet) {
+        if (driver !== this.driver || !this.session) {
+            return;
+        }
+
+        this.session.packets.push({
+            t: Math.round((packet.timestamp - this.startTime) * 1000) / 1000,
+            source: packet.source,
+            data: PacketRecorder.toHex(packet.data)
+        });
+    }
+
+    /**
+     * Stop capturing and return the session
+     */
+    stop() {
+        const session = this.session;
+        if (this.driver) {
+            this.driver.off('rawData', this.rawDataHandler);
+        }
+        this.driver = null;
+        this.rawDataHandler = null;
+        this.session = null;
+        return session;
+    }
+
+    /**
+     * Check whether a capture is in progress
+     */
+    isRecording() {
+        return this.session !== null;
+    }
+
+    /**
+     * Offer a session as a JSON file download
+     */
+    download(session) {
+        const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const stamp = session.startedAt.replace(/[:.]/g, '-');
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `cube-capture-${stamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Encode bytes as lowercase hex
+     */
+    static toHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Decode lowercase or uppercase hex into bytes
+     */
+    static fromHex(hex) {
+        if (hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+            throw new Error('Capture contains malformed packet data');
+        }
+
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+}
+
+/**
+ * Replays a captured session through a fresh driver
+ * Packets are stamped with replay start + recorded offset regardless of
+ * playback speed, so the analysis is identical at 1x and instant replay
+ */
+class PacketReplay {
+    constructor(session) {
+        this.session = PacketReplay.validate(session);
+        this.timeouts = [];
+        this.resolvePlayback = null;
+    }
+
+    /**
+     * Parse a capture file's text
+     */
+    static fromText(text) {
+        let session;
+        try {
+            session = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Capture file is not valid JSON');
+        }
+        return new PacketReplay(session);
+    }
+
+    /**
+     * Check the capture format and decode packet data
+     */
+    static validate(session) {
+        if (!session || session.format !== 'cubecoach-ble-capture') {
+            throw new Error('Not a cube capture file');
+        }
+        if (session.version !== 1) {
+            throw new Error(`Unsupported capture version: ${session.version}`);
+        }
+        if (!Array.isArray(session.packets)) {
+            throw new Error('Capture has no packets');
+        }
+
+        return {
+            ...session,
+            packets: session.packets.map(packet => ({
+                t: Number(packet.t) || 0,
+                source: packet.source || 'state',
+                data: PacketRecorder.fromHex(packet.data)
+            }))
+        };
+    }
+
+    /**
+     * Create a driver of the recorded brand, ready to receive packets
+     */
+    createDriver() {
+        const DriverClass = CubeDriverRegistry.getDrivers()
+            .find(driverClass => driverClass.profile.name === this.session.driver);
+        if (!DriverClass) {
+            throw new Error(`No driver available for capture of ${this.session.driver}`);
+        }
+        return new DriverClass();
+    }
+
+    /**
+     * Feed packets to a driver prepared with prepareReplay()
+     * speed is a multiplier; Infinity plays everything synchronously
+     * Resolves once the last packet was delivered or playback was stopped
+     */
+    play(driver, speed = 1, startTime = driver.clock.now()) {
+        this.stop();
+        const packets = this.session.packets;
+
+        if (speed === Infinity) {
+            packets.forEach(packet => driver.replayPacket(packet.data, startTime + packet.t, packet.source));
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            if (packets.length === 0) {
+                resolve();
+                return;
+            }
+
+            this.resolvePlayback = resolve;
+            packets.forEach((packet, index) => {
+                const timeoutId = setTimeout(() => {
+                    driver.replayPacket(packet.data, startTime + packet.t, packet.source);
+                    if (index === packets.length - 1) {
+                        this.finish();
+                    }
+                }, packet.t / speed);
+                this.timeouts.push(timeoutId);
+            });
+        });
+    }
+
+    /**
+     * Cancel scheduled packets
+     */
+    stop() {
+        this.timeouts.forEach(timeoutId => clearTimeout(timeoutId));
+        this.finish();
+    }
+
+    finish() {
+        this.timeouts = [];
+        if (this.resolvePlayback) {
+            this.resolvePlayback();
+            this.resolvePlayback = null;
+        }
+    }
+
+    /**
+     * Duration of the capture in milliseconds
+     */
+    getDuration() {
+        const packets = this.session.packets;
+        return packets.length > 0 ? packets[packets.length - 1].t : 0;
+    }
+}
+
+// Export for use in other modules
+window.PacketRecorder = PacketRecorder;
+window.PacketReplay = PacketReplay;
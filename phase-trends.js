@@ -0,0 +1,183 @@
+/**
+ * Phase Trends Module
+ * Phase statistics of many solves, grouped by day or by session
+ *
+ * Works on the phases SolveParser.analyzePhases() records: per group, the
+ * mean and best time, mean move count and TPS of the cross, each F2L pair,
+ * the whole F2L, OLL and PLL. A least-squares line through the group means
+ * shows which phases are getting faster. Deleted and DNF solves are left out.
+ */
+
+class PhaseTrends {
+    constructor() {
+        this.PHASES = [
+            { name: 'cross', label: 'Cross' },
+            { name: 'pair1', label: 'F2L 1' },
+            { name: 'pair2', label: 'F2L 2' },
+            { name: 'pair3', label: 'F2L 3' },
+            { name: 'pair4', label: 'F2L 4' },
+            { name: 'f2l', label: 'F2L' },
+            { name: 'oll', label: 'OLL' },
+            { name: 'pll', label: 'PLL' }
+        ];
+        this.METRICS = ['time', 'moves', 'tps'];
+    }
+
+    /**
+     * { time, moveCount } of a phase of a solve; 'f2l' is the four pairs together
+     */
+    getPhase(solve, name) {
+        const phases = solve.phases;
+        if (name === 'f2l') {
+            return Object.values(phases.f2l).reduce((total, pair) => ({
+                time: total.time + pair.time,
+                moveCount: total.moveCount + pair.moveCount
+            }), { time: 0, moveCount: 0 });
+        }
+        return name.startsWith('pair') ? phases.f2l[name] : phases[name];
+    }
+
+    /**
+     * Solves whose phases count: analysed, not deleted and not DNF
+     */
+    filterSolves(solves) {
+        return solves.filter(solve => !solve.deleted && solve.penalty !== 'DNF' &&
+            solve.totalMoves > 0 && solve.date);
+    }
+
+    /**
+     * Group solves by 'day' (local date) or 'session', oldest group first
+     * sessions ({ id, name }) name the session groups. position places a group
+     * on the trend's x axis: its day number for days, so skipped days count,
+     * and its index for sessions
+     */
+    group(solves, by = 'day', sessions = []) {
+        const groups = new Map();
+        this.filterSolves(solves).sort((a, b) => a.date - b.date).forEach((solve) => {
+            const key = by === 'session' ? solve.sessionId : this.getDayKey(solve.date);
+            if (!groups.has(key)) {
+                const session = sessions.find(entry => entry.id === key);
+                groups.set(key, {
+                    key: key,
+                    label: by === 'session' ? (session ? session.name : 'Unsaved') : key,
+                    position: by === 'session' ? groups.size : this.getDayNumber(key),
+                    solves: []
+                });
+            }
+            groups.get(key).solves.push(solve);
+        });
+        return [...groups.values()];
+    }
+
+    /**
+     * Local date as YYYY-MM-DD
+     */
+    getDayKey(timestamp) {
+        const date = new Date(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Days since 1970-01-01 of a YYYY-MM-DD day key
+     */
+    getDayNumber(dayKey) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return Date.UTC(year, month - 1, day) / 86400000;
+    }
+
+    /**
+     * Per phase: mean and best time (ms), mean moves and TPS of a list of solves
+     * TPS is total moves over total time, so short phases do not dominate
+     */
+    summarize(solves) {
+        const phases = {};
+        this.PHASES.forEach(({ name }) => {
+            let time = 0;
+            let moves = 0;
+            let best = Infinity;
+            solves.forEach((solve) => {
+                const phase = this.getPhase(solve, name);
+                time += phase.time;
+                moves += phase.moveCount;
+                best = Math.min(best, phase.time);
+            });
+            phases[name] = {
+                meanTime: time / solves.length,
+                bestTime: best,
+                meanMoves: moves / solves.length,
+                tps: time > 0 ? moves / (time / 1000) : 0
+            };
+        });
+        return phases;
+    }
+
+    /**
+     * Groups with their phase statistics: [{ key, label, position, count, phases }]
+     */
+    analyze(solves, by = 'day', sessions = []) {
+        return this.group(solves, by, sessions).map(group => ({
+            key: group.key,
+            label: group.label,
+            position: group.position,
+            count: group.solves.length,
+            phases: this.summarize(group.solves)
+        }));
+    }
+
+    /**
+     * Value of a metric from a group's phase statistics
+     */
+    getValue(phaseStats, metric) {
+        if (metric === 'moves') {
+            return phaseStats.meanMoves;
+        }
+        return metric === 'tps' ? phaseStats.tps : phaseStats.meanTime;
+    }
+
+    /**
+     * Least-squares line through one value per group: value = intercept + slope * position
+     * positions default to the indices; null with fewer than two groups
+     */
+    fitTrend(values, positions = values.map((value, index) => index)) {
+        const n = values.length;
+        if (n < 2) {
+            return null;
+        }
+
+        const meanX = positions.reduce((sum, position) => sum + position, 0) / n;
+        const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0;
+        let variance = 0;
+        values.forEach((value, index) => {
+            covariance += (positions[index] - meanX) * (value - meanY);
+            variance += (positions[index] - meanX) * (positions[index] - meanX);
+        });
+        const slope = covariance / variance;
+        return { slope: slope, intercept: meanY - slope * meanX };
+    }
+
+    /**
+     * Trend of every phase for a metric: { phase: { slope, start, end } } where
+     * slope is the change per day or per session and start and end are the
+     * fitted values at the first and last group
+     */
+    getTrends(groups, metric = 'time') {
+        const trends = {};
+        const positions = groups.map(group => group.position);
+        this.PHASES.forEach(({ name }) => {
+            const fit = this.fitTrend(groups.map(group => this.getValue(group.phases[name], metric)), positions);
+            if (fit) {
+                trends[name] = {
+                    slope: fit.slope,
+                    start: fit.intercept + fit.slope * positions[0],
+                    end: fit.intercept + fit.slope * positions[positions.length - 1]
+                };
+            }
+        });
+        return trends;
+    }
+}
+
+// Export for use in other modules
+window.PhaseTrends = PhaseTrends;
@@ -0,0 +1,216 @@
+/**
+ * QiYi Bluetooth Module
+ * Handles Bluetooth Low Energy connection to QiYi / XMD smart cubes
+ */
+
+class QiYiBluetooth extends SmartCubeDriver {
+    constructor() {
+        super();
+
+        this.SERVICE_UUID = '0000fff0-0000-1000-8000-00805f9b34fb';
+        this.CHARACTERISTIC_UUID = '0000fff6-0000-1000-8000-00805f9b34fb';
+
+        // Fixed AES-128 key, frames are encrypted block by block (ECB)
+        this.ENCRYPTION_KEY = [87, 177, 249, 171, 205, 90, 232, 167, 156, 185, 140, 231, 87, 140, 81, 8];
+
+        this.characteristic = null;
+        this.cipher = new AES128(this.ENCRYPTION_KEY);
+        this.macAddress = null;
+        this.lastMoveCubeTimestamp = null;
+
+        // Stable reference, so re-subscribing after a reconnect does not add a second listener
+        this.onDataChanged = (event) => this.handleDataReceived(event.target.value);
+    }
+
+    static get profile() {
+        return {
+            name: 'QiYi',
+            namePrefixes: ['QY-QYSC', 'XMD-Tornado'],
+            serviceUuids: ['0000fff0-0000-1000-8000-00805f9b34fb'],
+            optionalServices: [],
+            manufacturerIds: [0x0504]
+        };
+    }
+
+    /**
+     * QiYi stores the MAC in the first 6 bytes, least significant first
+     */
+    extractMacAddress(data) {
+        const mac = [];
+        for (let i = 5; i >= 0; i--) {
+            mac.push(data.getUint8(i).toString(16).toUpperCase().padStart(2, '0'));
+        }
+        return mac.join(':');
+    }
+
+    /**
+     * Connect GATT and subscribe to notifications
+     */
+    async setupConnection() {
+        // The hello message must contain the MAC address
+        if (!this.macAddress) {
+            console.log('Resolving device MAC address...');
+            this.macAddress = await this.getMacAddress(this.device);
+        }
+
+        console.log('Connecting to GATT server...');
+        this.server = await this.device.gatt.connect();
+
+        console.log('Getting characteristics...');
+        const service = await this.server.getPrimaryService(this.SERVICE_UUID);
+        this.characteristic = await service.getCharacteristic(this.CHARACTERISTIC_UUID);
+        await this.characteristic.startNotifications();
+        this.characteristic.addEventListener('characteristicvaluechanged', this.onDataChanged);
+    }
+
+    /**
+     * Initialize cube communication
+     */
+    async initializeCube() {
+        try {
+            const content = [0x00, 0x6B, 0x01, 0x00, 0x00, 0x22, 0x06, 0x00, 0x02, 0x08, 0x00];
+            const macBytes = this.macAddress.split(/[:\-\s]+/).map(part => parseInt(part, 16));
+            content.push(...macBytes.reverse());
+            await this.sendMessage(content);
+        } catch (error) {
+            console.warn('Cube initialization warning:', error);
+        }
+    }
+
+    /**
+     * CRC-16/MODBUS checksum used by QiYi frames
+     */
+    crc16(data) {
+        let crc = 0xFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc ^= data[i];
+            for (let j = 0; j < 8; j++) {
+                crc = (crc & 0x1) ? (crc >> 1) ^ 0xA001 : crc >> 1;
+            }
+        }
+        return crc;
+    }
+
+    /**
+     * Frame, checksum, pad and encrypt a message
+     */
+    async sendMessage(content) {
+        if (!this.characteristic) {
+            throw new Error('Not connected to cube');
+        }
+
+        const message = [0xFE, content.length + 4, ...content];
+        const crc = this.crc16(message);
+        message.push(crc & 0xFF, crc >> 8);
+        while (message.length % 16 !== 0) {
+            message.push(0);
+        }
+
+        const encrypted = new Uint8Array(message.length);
+        for (let i = 0; i < message.length; i += 16) {
+            encrypted.set(this.cipher.encryptBlock(message.slice(i, i + 16)), i);
+        }
+        await this.characteristic.writeValue(encrypted);
+    }
+
+    /**
+     * Handle incoming data from cube
+     */
+    handleDataReceived(dataValue, timestamp = this.clock.now()) {
+        this.emitRawData(dataValue);
+
+        const data = new Uint8Array(dataValue.buffer, dataValue.byteOffset, dataValue.byteLength);
+        const decrypted = [];
+        for (let i = 0; i + 16 <= data.length; i += 16) {
+            decrypted.push(...this.cipher.decryptBlock(data.subarray(i, i + 16)));
+        }
+
+        const message = decrypted.slice(0, decrypted[1]);
+        if (message.length < 3 || message[0] !== 0xFE || this.crc16(message) !== 0) {
+            console.warn('Dropping invalid QiYi frame');
+            return;
+        }
+
+        this.parseMessage(message, timestamp);
+    }
+
+    /**
+     * Feed one captured notification through the normal parsing path
+     */
+    replayPacket(data, timestamp) {
+        this.handleDataReceived(new DataView(Uint8Array.from(data).buffer), timestamp);
+    }
+
+    /**
+     * Parse decrypted message
+     */
+    parseMessage(message, timestamp = this.clock.now()) {
+        const opcode = message[2];
+        const cubeTimestamp = ((message[3] << 24) | (message[4] << 16) | (message[5] << 8) | message[6]) >>> 0;
+
+        if (opcode !== 0x02 && opcode !== 0x03) {
+            return;
+        }
+
+        // Both hello and state frames must be acknowledged
+        if (!this.isReplaying) {
+            this.sendMessage(message.slice(2, 7)).catch(error => console.warn('QiYi ack failed:', error));
+        }
+
+        if (opcode === 0x03) {
+            // Move code: 1 = L', 2 = L, 3 = R', 4 = R...; odd = counter-clockwise, even = clockwise
+            const code = message[34];
+            const face = 'URFDLB'.charAt([4, 1, 3, 0, 2, 5][(code - 1) >> 1]);
+            const duration = this.lastMoveCubeTimestamp === null ? 0 : Math.max(0, cubeTimestamp - this.lastMoveCubeTimestamp);
+            this.lastMoveCubeTimestamp = cubeTimestamp;
+
+            this.emit('moveData', {
+                type: 'move',
+                timestamp: this.cubeClock.align(cubeTimestamp, timestamp),
+                receivedAt: timestamp,
+                move: face + (code & 1 ? '\'' : ''),
+                duration: duration,
+                cubeTimestamp: cubeTimestamp
+            });
+        }
+
+        const facelets = this.parseFacelets(message.slice(7, 34));
+        const solved = facelets === SOLVED_FACELETS;
+        this.emit('cubeState', {
+            type: 'cubeState',
+            timestamp: timestamp,
+            scrambled: !solved,
+            solved: solved,
+            battery: message[35],
+            facelets: facelets
+        });
+
+        if (message[35] !== this.batteryLevel) {
+            this.batteryLevel = message[35];
+            this.emit('batteryLevel', this.batteryLevel);
+        }
+    }
+
+    /**
+     * Decode 27 bytes of packed facelet colours into a Kociemba facelet string
+     */
+    parseFacelets(bytes) {
+        let facelets = '';
+        for (let i = 0; i < 54; i++) {
+            facelets += 'LRDUFB'.charAt((bytes[i >> 1] >> ((i % 2) << 2)) & 0xF);
+        }
+        return facelets;
+    }
+
+    resetState() {
+        this.characteristic = null;
+        this.macAddress = null;
+        this.lastMoveCubeTimestamp = null;
+        this.cubeClock.reset();
+    }
+}
+
+CubeDriverRegistry.register(QiYiBluetooth);
+
+// Export for use in other modules
+window.QiYiBluetooth = QiYiBluetooth;
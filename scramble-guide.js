@@ -0,0 +1,155 @@
+/**
+ * Scramble Guide Module
+ * Follows a scramble being applied to a smart cube, move by move
+ *
+ * The expected state after every scramble move is computed up front, and the
+ * live cube state is matched against them, so progress survives repeated
+ * reports and a half turn may be done as two quarter turns either way. When
+ * the cube matches none of them, the shortest correction back onto the
+ * scramble is looked up with the cube solver.
+ *
+ * Emits 'update' with { status, progress, partial, total, correction }:
+ * status is 'idle' (nothing to follow), 'tracking', 'diverged' or 'scrambled'.
+ */
+
+class ScrambleGuide {
+    constructor(solver = new CubeSolver()) {
+        this.solver = solver;
+        this.CORRECTION_TIME_LIMIT = 200; // ms per solver call
+        this.eventListeners = new Map();
+        this.setScramble('');
+    }
+
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => callback(data));
+        }
+    }
+
+    /**
+     * Follow a new scramble; throws on invalid notation
+     */
+    setScramble(scramble) {
+        this.moves = scramble ? Notation.parse(scramble) : [];
+
+        const model = new CubeModel();
+        this.states = [model.getFacelets()];
+        this.halfway = [];
+        this.moves.forEach((move) => {
+            const { family, turns } = Notation.parseMove(move);
+            // A half turn passes through one of two quarter-turn states
+            this.halfway.push(turns === 2 ?
+                [1, 3].map(quarter => model.clone().applyMove(Notation.formatMove({ family, turns: quarter })).getFacelets()) :
+                []);
+            this.states.push(model.applyMove(move).getFacelets());
+        });
+
+        this.status = this.moves.length > 0 ? 'tracking' : 'idle';
+        this.progress = 0;
+        this.partial = false;
+        this.correction = null;
+        this.facelets = null;
+        this.emitUpdate();
+    }
+
+    getScrambleMoves() {
+        return this.moves;
+    }
+
+    /**
+     * True once the cube shows the scramble's state exactly
+     */
+    isScrambled() {
+        return this.status === 'scrambled';
+    }
+
+    /**
+     * Match the live cube state against the scramble
+     */
+    update(facelets) {
+        if (this.status === 'idle' || facelets === this.facelets) {
+            return;
+        }
+        this.facelets = facelets;
+
+        const step = this.locate(facelets);
+        if (step) {
+            this.progress = step.progress;
+            this.partial = step.partial;
+            this.correction = null;
+            this.status = step.progress === this.moves.length ? 'scrambled' : 'tracking';
+        } else {
+            // Progress stays at the last move done right
+            this.status = 'diverged';
+            this.correction = null;
+            this.findCorrection(facelets);
+        }
+        this.emitUpdate();
+    }
+
+    /**
+     * Scramble step a state belongs to, preferring the furthest one
+     */
+    locate(facelets) {
+        for (let progress = this.moves.length; progress >= 0; progress--) {
+            if (this.states[progress] === facelets) {
+                return { progress, partial: false };
+            }
+        }
+        const progress = this.halfway.findIndex(states => states.includes(facelets));
+        return progress === -1 ? null : { progress, partial: true };
+    }
+
+    /**
+     * Shortest way back to the scramble: either to the state before the
+     * current move or straight past it, whichever leaves fewer moves in total
+     */
+    async findCorrection(facelets) {
+        const current = new CubeModel(facelets);
+        const targets = [this.progress, this.progress + 1].filter(target => target <= this.moves.length);
+
+        let best = null;
+        try {
+            for (const target of targets) {
+                const relative = current.relativeTo(new CubeModel(this.states[target]));
+                if (!relative) {
+                    throw new Error('The cube state is not valid');
+                }
+                const result = await this.solver.solve(relative.getFacelets(), { timeLimit: this.CORRECTION_TIME_LIMIT });
+                const cost = result.length + this.moves.length - target;
+                if (!best || cost < best.cost) {
+                    best = { moves: result.solution, resume: target, cost: cost };
+                }
+            }
+        } catch (error) {
+            console.warn('No scramble correction:', error.message);
+            best = { moves: null, resume: this.progress };
+        }
+
+        // The cube may have moved on while the solver was busy
+        if (this.facelets === facelets && this.status === 'diverged') {
+            this.correction = { moves: best.moves, resume: best.resume };
+            this.emitUpdate();
+        }
+    }
+
+    emitUpdate() {
+        this.emit('update', {
+            status: this.status,
+            progress: this.progress,
+            partial: this.partial,
+            total: this.moves.length,
+            correction: this.correction
+        });
+    }
+}
+
+// Export for use in other modules
+window.ScrambleGuide = ScrambleGuide;
@@ -0,0 +1,126 @@
+/**
+ * Scrambler Module
+ * WCA-style random-state 3x3 scrambles
+ *
+ * A seeded generator picks a uniformly random reachable cube state; the
+ * scramble is the inverse of a two-phase solution of that state, limited to
+ * 21 moves like the WCA's own scrambler. The search stops at the first such
+ * solution, so a seed always gives the same scramble. States that are solved
+ * in fewer than two moves are rolled again.
+ */
+
+class Scrambler {
+    constructor(solver = new CubeSolver()) {
+        this.solver = solver;
+        this.MAX_LENGTH = 21;
+        this.MIN_DISTANCE = 2;
+        this.RANDOM_MOVE_LENGTH = 25;
+    }
+
+    /**
+     * Fresh 32-bit seed
+     */
+    static randomSeed() {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+
+    /**
+     * Seeded generator of numbers in [0, 1) (mulberry32)
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Uniformly random reachable cubie state
+     */
+    static randomState(random) {
+        const shuffle = (items) => {
+            for (let i = items.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [items[i], items[j]] = [items[j], items[i]];
+            }
+            return items;
+        };
+        const orient = (count, modulo) => {
+            const values = Array.from({ length: count - 1 }, () => Math.floor(random() * modulo));
+            const sum = values.reduce((total, value) => total + value, 0);
+            return [...values, (modulo - sum % modulo) % modulo];
+        };
+
+        const cp = shuffle([0, 1, 2, 3, 4, 5, 6, 7]);
+        const ep = shuffle([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+        // Corner and edge permutations must have the same parity
+        if (Scrambler.parity(cp) !== Scrambler.parity(ep)) {
+            [ep[10], ep[11]] = [ep[11], ep[10]];
+        }
+        return { cp, co: orient(8, 3), ep, eo: orient(12, 2) };
+    }
+
+    static parity(permutation) {
+        let parity = 0;
+        for (let i = 0; i < permutation.length; i++) {
+            for (let j = i + 1; j < permutation.length; j++) {
+                parity ^= permutation[i] > permutation[j] ? 1 : 0;
+            }
+        }
+        return parity;
+    }
+
+    /**
+     * Random-state scramble from a seed
+     * Resolves to { scramble, seed, type: 'random-state', facelets }
+     */
+    async generate(seed = Scrambler.randomSeed()) {
+        const random = Scrambler.createRandom(seed);
+        for (;;) {
+            const facelets = new CubeModel().setCubieState(Scrambler.randomState(random)).getFacelets();
+            const result = await this.solver.solve(facelets, { targetLength: this.MAX_LENGTH, timeLimit: Infinity });
+            if (result.length >= this.MIN_DISTANCE) {
+                return {
+                    scramble: Notation.format(Notation.invert(result.moves)),
+                    seed: seed,
+                    type: 'random-state',
+                    facelets: facelets
+                };
+            }
+        }
+    }
+
+    /**
+     * Random-move scramble from a seed, for when the solver is unavailable
+     * No face is turned twice in a row, nor an axis three times in a row
+     */
+    generateRandomMoves(seed = Scrambler.randomSeed()) {
+        const random = Scrambler.createRandom(seed);
+        const moves = [];
+        while (moves.length < this.RANDOM_MOVE_LENGTH) {
+            const face = 'URFDLB'[Math.floor(random() * 6)];
+            const amount = ['', '2', '\''][Math.floor(random() * 3)];
+            const previous = moves.slice(-2).map(move => move.charAt(0));
+            const sameAxis = previous.length === 2 &&
+                previous.every(other => Notation.getAxis(other) === Notation.getAxis(face));
+            if (previous[previous.length - 1] !== face && !sameAxis) {
+                moves.push(face + amount);
+            }
+        }
+
+        const scramble = moves.join(' ');
+        return {
+            scramble: scramble,
+            seed: seed,
+            type: 'random-move',
+            facelets: CubeModel.fromScramble(scramble).getFacelets()
+        };
+    }
+}
+
+// Export for use in other modules
+window.Scrambler = Scrambler;
@@ -4,88 +4,197 @@
  */
 
 class SolveParser {
-    constructor() {
+    /**
+     * clock is the app's shared time base; solve and move timestamps are on it
+     */
+    constructor(clock = new Clock()) {
+        this.clock = clock;
         this.moves = [];
         this.currentSolve = null;
         this.solveHistory = [];
         this.isRecording = false;
         this.startTime = null;
-        
-        // Phase detection patterns
-        this.crossMoves = new Set(['D', 'D\'', 'D2', 'F', 'F\'', 'F2', 'R', 'R\'', 'R2', 'L', 'L\'', 'L2', 'B', 'B\'', 'B2']);
-        this.f2lMoves = new Set(['U', 'U\'', 'U2', 'R', 'R\'', 'R2', 'F', 'F\'', 'F2', 'L', 'L\'', 'L2', 'B', 'B\'', 'B2']);
-        
-        // Common algorithm patterns for OLL/PLL detection
-        this.ollPatterns = this.initializeOLLPatterns();
-        this.pllPatterns = this.initializePLLPatterns();
-    }
+        this.cubeModel = null; // Cube state during the current solve, null if unknown
+        this.states = []; // Facelets after each move, null where the state was unknown
+        this.orientations = []; // Gyro samples { timestamp, quaternion } of the solve, with the last one before it
 
-    /**
-     * Initialize common OLL algorithm patterns
-     */
-    initializeOLLPatterns() {
-        return {
-            'OLL 21': ['R U R\' U R U2 R\''],
-            'OLL 22': ['R U2 R2 U\' R2 U\' R2 U2 R'],
-            'OLL 23': ['R2 D R\' U2 R D\' R\' U2 R\''],
-            'OLL 24': ['R U R\' U\' R\' F R F\''],
-            'OLL 25': ['F\' R U R\' U\' R\' F R'],
-            'OLL 26': ['R U2 R\' U\' R U\' R\''],
-            'OLL 27': ['R U R\' U R U2 R\''],
-            // Add more patterns as needed
-        };
-    }
+        // Quarter turns of one layer axis reported this close together (ms) are one move
+        this.MERGE_WINDOW = 100;
 
-    /**
-     * Initialize common PLL algorithm patterns
-     */
-    initializePLLPatterns() {
-        return {
-            'T Perm': ['R U R\' F\' R U R\' U\' R\' F R2 U\' R\''],
-            'A Perm': ['R\' F R\' B2 R F\' R\' B2 R2'],
-            'U Perm': ['R U\' R F\' R2 U\' R U\' R U R\' F R U R\' F'],
-            'H Perm': ['M2 U M2 U2 M2 U M2'],
-            'Z Perm': ['M\' U M2 U M2 U M\' U2 M2'],
-            'Y Perm': ['R U\' R\' F R F\' R U R\' F\' R U R\' U\' F'],
-            'V Perm': ['R\' U R\' U\' y R\' F\' R2 U\' R\' U R\' F R F'],
-            'N Perm': ['R U R\' F\' R U R\' U\' R\' F R2 U\' R\' U2 R U\' R\''],
-            // Add more patterns as needed
-        };
+        // Live splits, in solve order; each one is the time since the start
+        this.SPLITS = [
+            { name: 'cross', label: 'Cross' },
+            { name: 'pair1', label: 'F2L 1' },
+            { name: 'pair2', label: 'F2L 2' },
+            { name: 'pair3', label: 'F2L 3' },
+            { name: 'pair4', label: 'F2L 4' },
+            { name: 'oll', label: 'OLL' },
+            { name: 'pll', label: 'PLL' }
+        ];
+        this.splitCrossColor = null; // Cross colour the live splits follow, once the cross is done
+
+        // OLL/PLL cases are recognised from the last-layer state
+        this.lastLayer = new LastLayerRecognizer();
+        this.algLibrary = new AlgLibrary(this.lastLayer);
+        this.f2l = new F2LRecognizer();
+        this.crossSolver = new CrossSolver();
     }
 
     /**
      * Start recording a new solve
+     * startTime defaults to now; pass the first move's timestamp for exact timing
+     * initialFacelets is the cube state before the first move; without it the
+     * scramble applied to a solved cube is assumed
+     * generator is { type, seed } for scrambles made by the Scrambler, which
+     * reproduce them; typed scrambles have none
      */
-    startSolve(scramble = '') {
+    startSolve(scramble = '', startTime = this.clock.now(), initialFacelets = null, generator = null) {
         this.moves = [];
+        this.states = [];
         this.isRecording = true;
-        this.startTime = Date.now();
+        this.startTime = startTime;
+        this.cubeModel = this.createInitialModel(scramble, initialFacelets);
+        this.splitCrossColor = null;
+        this.orientations = this.orientations.slice(-1);
         
         this.currentSolve = {
             id: Date.now(),
+            date: Date.now(), // Wall-clock start, for history; timing uses the shared clock
             scramble: scramble,
+            scrambleGenerator: generator,
             startTime: this.startTime,
             endTime: null,
             totalTime: 0,
             moves: [],
-            phases: {
-                cross: { moves: [], time: 0, moveCount: 0 },
-                f2l: { 
-                    pair1: { moves: [], time: 0, moveCount: 0 },
-                    pair2: { moves: [], time: 0, moveCount: 0 },
-                    pair3: { moves: [], time: 0, moveCount: 0 },
-                    pair4: { moves: [], time: 0, moveCount: 0 }
-                },
-                oll: { moves: [], time: 0, moveCount: 0, algorithm: '' },
-                pll: { moves: [], time: 0, moveCount: 0, algorithm: '' }
-            },
+            phases: this.createPhases(),
             totalMoves: 0,
-            tps: 0
+            tps: 0,
+            gaps: [],
+            splits: [], // { name, time } as shown live, time since the start
+            inspection: null,
+            penalty: null, // null (OK), '+2' or 'DNF'
+            comment: '',
+            deleted: false,
+            initialFacelets: this.cubeModel ? this.cubeModel.getFacelets() : null,
+            startFromScramble: !initialFacelets,
+            phaseDetection: null
         };
         
         console.log('Started new solve recording');
     }
 
+    /**
+     * Empty phase records of a solve
+     */
+    createPhases() {
+        return {
+            cross: { moves: [], time: 0, moveCount: 0 },
+            f2l: { 
+                pair1: { moves: [], time: 0, moveCount: 0 },
+                pair2: { moves: [], time: 0, moveCount: 0 },
+                pair3: { moves: [], time: 0, moveCount: 0 },
+                pair4: { moves: [], time: 0, moveCount: 0 }
+            },
+            oll: { moves: [], time: 0, moveCount: 0, algorithm: '' },
+            pll: { moves: [], time: 0, moveCount: 0, algorithm: '' }
+        };
+    }
+
+    /**
+     * Record the inspection before this solve: { duration, penalty }
+     * Its penalty (+2 or DNF) becomes the solve's penalty
+     */
+    setInspection(inspection) {
+        if (this.currentSolve && inspection) {
+            this.currentSolve.inspection = { duration: inspection.duration, penalty: inspection.penalty };
+            this.currentSolve.penalty = inspection.penalty;
+        }
+    }
+
+    /**
+     * Record a live split of the current solve
+     */
+    addSplit(split) {
+        if (this.isRecording && this.currentSolve) {
+            this.currentSolve.splits.push({ name: split.name, time: split.time });
+        }
+    }
+
+    /**
+     * How many of SPLITS the live solve state has reached, 0 when unknown
+     * The first colour to get its cross is followed for the rest of the solve;
+     * stages reached together (multislot, OLL skip) all count
+     */
+    getSplitsReached() {
+        if (!this.isRecording || !this.cubeModel) {
+            return 0;
+        }
+
+        const cube = this.cubeModel;
+        if (cube.isSolved()) {
+            return this.SPLITS.length;
+        }
+        const stage = (face) => {
+            if (!cube.isCrossSolved(face)) {
+                return 0;
+            }
+            if (cube.isF2LSolved(face)) {
+                return cube.isLastLayerOriented(face) ? 6 : 5;
+            }
+            return 1 + cube.getSolvedSlots(face).length;
+        };
+
+        const faces = this.splitCrossColor ? [this.splitCrossColor] : cube.FACES.split('');
+        let reached = 0;
+        faces.forEach((face) => {
+            const value = stage(face);
+            if (value > reached) {
+                reached = value;
+                this.splitCrossColor = face;
+            }
+        });
+        return reached;
+    }
+
+    /**
+     * Splits to compare a live solve with, by split name: those of the best
+     * single that has splits, and the mean of every solve's; DNFs are left out
+     * Returns null without any earlier splits
+     */
+    getSplitReference(solves = this.getActiveSolves()) {
+        const timed = solves.filter(solve => solve.splits && solve.splits.length > 0 && solve.penalty !== 'DNF');
+        if (timed.length === 0) {
+            return null;
+        }
+
+        const best = timed.reduce((fastest, solve) => this.getResult(solve) < this.getResult(fastest) ? solve : fastest);
+        const reference = { best: {}, average: {} };
+        best.splits.forEach((split) => {
+            reference.best[split.name] = split.time;
+        });
+        this.SPLITS.forEach(({ name }) => {
+            const times = timed.map(solve => solve.splits.find(split => split.name === name))
+                .filter(split => split)
+                .map(split => split.time);
+            if (times.length > 0) {
+                reference.average[name] = times.reduce((sum, time) => sum + time, 0) / times.length;
+            }
+        });
+        return reference;
+    }
+
+    /**
+     * Build the state model a solve starts from
+     */
+    createInitialModel(scramble, initialFacelets) {
+        try {
+            return initialFacelets ? new CubeModel(initialFacelets) : CubeModel.fromScramble(scramble);
+        } catch (error) {
+            console.warn('Solve start state unknown:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Add a move to the current solve
      */
@@ -98,31 +207,149 @@ class SolveParser {
             notation: moveData.move,
             timestamp: moveData.timestamp,
             duration: moveData.duration,
-            relativeTime: moveData.timestamp - this.startTime
+            relativeTime: moveData.timestamp - this.startTime,
+            recovered: !!moveData.recovered
         };
 
+        // Moves replayed from the cube's history after a dropout
+        const gaps = this.currentSolve.gaps;
+        if (move.recovered && gaps.length > 0) {
+            gaps[gaps.length - 1].recoveredMoves++;
+        }
+
         this.moves.push(move);
         this.currentSolve.moves.push(move);
+
+        if (this.cubeModel) {
+            try {
+                this.cubeModel.applyMove(move.notation);
+            } catch (error) {
+                console.warn('Solve state lost:', error.message);
+                this.cubeModel = null;
+            }
+        }
+        this.states.push(this.cubeModel ? this.cubeModel.getFacelets() : null);
         
         console.log(`Added move: ${move.notation} at ${move.relativeTime}ms`);
     }
 
+    /**
+     * Replace the solve state with facelets reported by the cube,
+     * e.g. after missed moves
+     */
+    syncFacelets(facelets) {
+        if (!this.isRecording) {
+            return;
+        }
+
+        if (!this.cubeModel) {
+            this.cubeModel = new CubeModel(facelets);
+        } else if (this.cubeModel.getFacelets() !== facelets) {
+            console.warn('Solve state corrected from cube facelets');
+            this.cubeModel.setFacelets(facelets);
+        }
+
+        // The state after the latest move is now known
+        if (this.states.length > 0) {
+            this.states[this.states.length - 1] = facelets;
+        }
+    }
+
+    /**
+     * Check whether the tracked solve state is solved
+     */
+    isCubeSolved() {
+        return !!this.cubeModel && this.cubeModel.isSolved();
+    }
+
+    /**
+     * Mark the start of a connection dropout; recording stays open
+     */
+    beginGap(timestamp) {
+        if (!this.isRecording || !this.currentSolve) {
+            return;
+        }
+
+        this.currentSolve.gaps.push({
+            startTime: timestamp - this.startTime,
+            endTime: null,
+            moveIndex: this.moves.length,
+            recoveredMoves: 0,
+            missedMoves: 0
+        });
+    }
+
+    /**
+     * Mark the end of the current dropout
+     */
+    endGap(timestamp) {
+        const gap = this.getOpenGap();
+        if (gap) {
+            gap.endTime = timestamp - this.startTime;
+        }
+    }
+
+    /**
+     * Record moves the cube reported as lost
+     * Without an open dropout the loss is recorded as a gap of its own
+     */
+    markMissedMoves(count, timestamp) {
+        if (!this.isRecording || !this.currentSolve) {
+            return;
+        }
+
+        const gaps = this.currentSolve.gaps;
+        if (gaps.length === 0) {
+            this.beginGap(timestamp);
+            this.endGap(timestamp);
+        }
+        gaps[gaps.length - 1].missedMoves += count;
+    }
+
+    getOpenGap() {
+        if (!this.currentSolve) {
+            return null;
+        }
+        const gaps = this.currentSolve.gaps;
+        const last = gaps[gaps.length - 1];
+        return last && last.endTime === null ? last : null;
+    }
+
     /**
      * Stop recording and analyze the solve
+     * endTime defaults to now; pass the last move's timestamp for exact timing
      */
-    stopSolve() {
+    stopSolve(endTime = this.clock.now()) {
         if (!this.isRecording || !this.currentSolve) {
             return null;
         }
 
         this.isRecording = false;
-        this.currentSolve.endTime = Date.now();
+        this.currentSolve.endTime = endTime;
+
+        // Solve ended while still disconnected
+        this.endGap(endTime);
+
         this.currentSolve.totalTime = this.currentSolve.endTime - this.currentSolve.startTime;
+
+        // Analysis works on the moves the solver made; the cube's report is kept as rawMoves
+        const merged = this.mergeMoves(this.moves, this.orientations);
+        this.states = merged.map(move => this.states[move.rawEnd]);
+        this.moves = merged;
+        this.currentSolve.rawMoves = this.currentSolve.moves;
+        this.currentSolve.moves = merged;
+
         this.currentSolve.totalMoves = this.moves.length;
         this.currentSolve.tps = this.currentSolve.totalMoves / (this.currentSolve.totalTime / 1000);
 
+        // Move counts of the solution as turned and after cancelling R R' and merging R R
+        const notations = this.moves.map(move => move.notation);
+        this.currentSolve.metrics = Notation.getMetrics(notations);
+        this.currentSolve.simplifiedMetrics = Notation.getMetrics(Notation.simplify(notations));
+
         // Analyze phases
         this.analyzePhases();
+        this.analyzeCross();
         
         // Add to history
         this.solveHistory.push(this.currentSolve);
@@ -132,23 +359,211 @@ class SolveParser {
     }
 
     /**
-     * Analyze solve phases based on move patterns and timing
+     * Turn the cube's quarter-turn report into the moves the solver made
+     * Turns on one axis reported within MERGE_WINDOW of each other are one move:
+     * R R is R2, R R' is a wobble and dropped, and opposite faces turning the
+     * same way are a slice. Smart cubes report against their centers, so a
+     * slice shows up as R L' (an M with the cube turned by x); moves after it are
+     * renamed for the turned cube, which keeps slice algorithms readable.
+     * A wide turn is reported as a turn of the opposite face while the centers
+     * turn with it (r is L x). With gyro samples in orientations, a single face
+     * turn whose centers turned the matching way within MERGE_WINDOW is a wide
+     * turn; without them it stays a turn of the opposite face.
+     * Each merged move keeps rawStart/rawEnd, its indices in the raw moves,
+     * cubeNotation, the same turn as the cube reported it (R L' for a slice),
+     * and frame, the rotation notation was renamed by. States are simulated
+     * with cubeNotation; notation is for display and algorithm matching.
+     */
+    mergeMoves(rawMoves, orientations = []) {
+        const merged = [];
+        const slices = { x: ['M', 1], y: ['E', 1], z: ['S', -1] };
+        let frame = '';
+        let start = 0;
+
+        while (start < rawMoves.length) {
+            const axis = Notation.getAxis(Notation.parseMove(rawMoves[start].notation).family);
+            let end = start;
+            while (end + 1 < rawMoves.length &&
+                rawMoves[end + 1].timestamp - rawMoves[end].timestamp <= this.MERGE_WINDOW &&
+                Notation.getAxis(Notation.parseMove(rawMoves[end + 1].notation).family) === axis) {
+                end++;
+            }
+
+            // Quarter turns per face, in the order the faces were first turned
+            const group = rawMoves.slice(start, end + 1);
+            const turns = {};
+            group.forEach((move) => {
+                const { family, turns: amount } = Notation.parseMove(move.notation);
+                turns[family] = ((turns[family] || 0) + amount) % 4;
+            });
+            const faces = Object.keys(turns).filter(face => turns[face] > 0);
+
+            // The face turning clockwise about the axis (R, U, F) comes first in its pair
+            const [positive, negative] = { x: 'RL', y: 'UD', z: 'FB' }[axis];
+            const faceTurns = faces.map(face => Notation.formatMove({ family: face, turns: turns[face] }));
+            const moveFrame = frame;
+            let notations;
+            let cubeNotations;
+            // The centers turn with a wide turn of the opposite face, following it;
+            // the gyro is read from just before the group to just after it
+            const wideFace = faces.length === 1 ? new CubeModel().getOppositeFace(faces[0]) : null;
+            let isWide = false;
+            let wideRotation = '';
+            if (wideFace && orientations.length > 0) {
+                wideRotation = Notation.formatMove({
+                    family: axis,
+                    turns: positive === wideFace ? turns[faces[0]] : (4 - turns[faces[0]]) % 4
+                });
+                const from = Math.max(rawMoves[start].timestamp - this.MERGE_WINDOW,
+                    start > 0 ? rawMoves[start - 1].timestamp : -Infinity);
+                const to = Math.min(rawMoves[end].timestamp + this.MERGE_WINDOW,
+                    end + 1 < rawMoves.length ? rawMoves[end + 1].timestamp : Infinity);
+                isWide = this.getGyroRotation(orientations, from, to, axis) === wideRotation;
+            }
+
+            if (faces.length === 2 && (turns[positive] + turns[negative]) % 4 === 0) {
+                const [slice, sign] = slices[axis];
+                const amount = turns[positive];
+                notations = Notation.translate([Notation.formatMove({ family: slice, turns: (4 + sign * amount) % 4 })], frame);
+                cubeNotations = [Notation.format(faceTurns)];
+                frame = Notation.format(Notation.simplify([Notation.formatMove({ family: axis, turns: (4 - amount) % 4 }), frame]));
+            } else if (isWide) {
+                notations = Notation.translate([Notation.formatMove({ family: wideFace.toLowerCase(), turns: turns[faces[0]] })], frame);
+                cubeNotations = faceTurns;
+                frame = Notation.format(Notation.simplify([wideRotation, frame]));
+            } else {
+                notations = Notation.translate(faceTurns, frame);
+                cubeNotations = faceTurns;
+            }
+
+            const last = group[group.length - 1];
+            notations.forEach((notation, i) => {
+                merged.push({
+                    ...last,
+                    notation: notation,
+                    cubeNotation: cubeNotations[i],
+                    frame: moveFrame,
+                    recovered: group.some(move => move.recovered),
+                    rawStart: start,
+                    rawEnd: end
+                });
+            });
+            start = end + 1;
+        }
+        return merged;
+    }
+
+    /**
+     * Record a gyro sample (gyroData of cubes with a gyroscope)
+     * Between solves only the latest is kept, as the orientation before the first move
+     */
+    addOrientation(gyroData) {
+        const sample = { timestamp: gyroData.timestamp, quaternion: gyroData.quaternion };
+        if (this.isRecording) {
+            this.orientations.push(sample);
+        } else {
+            this.orientations = [sample];
+        }
+    }
+
+    /**
+     * Whole-cube rotation about axis ('x', 'y' or 'z') between the gyro samples
+     * at two times, e.g. 'x', 'x2' or 'x\'', or '' when the centers did not turn
+     * a quarter about that axis. The gyro's x, y and z point to R, B and U.
+     */
+    getGyroRotation(orientations, from, to, axis) {
+        const sampleAt = time => orientations.filter(sample => sample.timestamp <= time).pop();
+        const first = sampleAt(from);
+        const last = sampleAt(to);
+        if (!first || !last) {
+            return '';
+        }
+
+        // Change of orientation in the cube's own axes: first^-1 * last
+        const toCube = ({ w, x, y, z }) => ({ w: w, R: x, U: z, F: -y });
+        const a = toCube(first.quaternion);
+        const b = toCube(last.quaternion);
+        const change = {
+            w: a.w * b.w + a.R * b.R + a.U * b.U + a.F * b.F,
+            R: a.w * b.R - a.R * b.w - a.U * b.F + a.F * b.U,
+            U: a.w * b.U - a.U * b.w - a.F * b.R + a.R * b.F,
+            F: a.w * b.F - a.F * b.w - a.R * b.U + a.U * b.R
+        };
+
+        const along = { x: 'R', y: 'U', z: 'F' }[axis];
+        const across = Math.hypot(...['R', 'U', 'F'].filter(key => key !== along).map(key => change[key]));
+        const size = Math.hypot(change.w, change[along], across);
+        // Turned about another axis as well: not a rotation about this one
+        if (size === 0 || across / size > Math.sin(Math.PI / 8)) {
+            return '';
+        }
+        // Clockwise about R, U or F is a negative angle about that axis
+        const angle = 2 * Math.atan2(change[along], change.w);
+        const turns = ((Math.round(-angle / (Math.PI / 2)) % 4) + 4) % 4;
+        return turns === 0 ? '' : Notation.formatMove({ family: axis, turns: turns });
+    }
+
+    /**
+     * A merged move as the cube reported it, in the cube's own frame
+     * Solves saved before cubeNotation was kept have only notation
+     */
+    getCubeNotation(move) {
+        return move.cubeNotation || move.notation;
+    }
+
+    /**
+     * Compare the cross with the optimal crosses of the start state
+     * Optimal crosses count face turns, so the user's cross is counted in HTM
+     */
+    analyzeCross() {
+        const initial = this.currentSolve.initialFacelets;
+        if (!initial) {
+            return;
+        }
+
+        const crosses = this.crossSolver.solve(initial);
+        const own = crosses.find(result => result.color === this.currentSolve.crossColor);
+        this.currentSolve.crossAnalysis = {
+            movesUsed: Notation.count(this.currentSolve.phases.cross.moves, 'htm'),
+            optimal: own ? own.length : null,
+            crosses: crosses
+        };
+    }
+
+    /**
+     * Analyze solve phases
+     * Boundaries come from the cube state after each move when it is known;
+     * move-pattern heuristics are only used when the state was never known
      */
     analyzePhases() {
         if (!this.currentSolve || this.moves.length === 0) {
             return;
         }
 
+        const boundaries = this.detectPhaseBoundaries();
+        if (boundaries) {
+            this.currentSolve.phaseDetection = 'state';
+            const f2lMoves = this.moves.slice(boundaries.cross + 1, boundaries.pairs[3] + 1);
+            this.setOrientation(boundaries.crossColor, f2lMoves);
+            this.applyPhaseBoundaries(boundaries);
+            return;
+        }
+
+        this.currentSolve.phaseDetection = 'heuristic';
         const moves = this.moves;
         let phaseIndex = 0;
+
+        // Without the state, the last layer is taken to be the most turned face
+        const lastLayerFace = this.guessLastLayerFace(moves);
+        this.setOrientation(new CubeModel().getOppositeFace(lastLayerFace), moves);
         
         // Phase 1: Cross (typically first 4-12 moves)
-        const crossEndIndex = this.detectCrossEnd(moves);
+        const crossEndIndex = this.detectCrossEnd(moves, lastLayerFace);
         this.analyzePhase('cross', moves.slice(0, crossEndIndex + 1));
         phaseIndex = crossEndIndex + 1;
 
         // Phase 2: F2L (typically next 20-40 moves, split into 4 pairs)
-        const f2lEndIndex = this.detectF2LEnd(moves, phaseIndex);
+        const f2lEndIndex = this.detectF2LEnd(moves, phaseIndex, lastLayerFace);
         const f2lMoves = moves.slice(phaseIndex, f2lEndIndex + 1);
         this.analyzeF2LPairs(f2lMoves);
         phaseIndex = f2lEndIndex + 1;
@@ -157,23 +572,285 @@ class SolveParser {
         const ollEndIndex = this.detectOLLEnd(moves, phaseIndex);
         const ollMoves = moves.slice(phaseIndex, ollEndIndex + 1);
         this.analyzePhase('oll', ollMoves);
-        this.detectOLLAlgorithm(ollMoves);
+        this.currentSolve.phases.oll.algorithm = 'Unknown OLL';
         phaseIndex = ollEndIndex + 1;
 
         // Phase 4: PLL (remaining moves)
         const pllMoves = moves.slice(phaseIndex);
         this.analyzePhase('pll', pllMoves);
-        this.detectPLLAlgorithm(pllMoves);
+        this.currentSolve.phases.pll.algorithm = 'Unknown PLL';
+    }
+
+    /**
+     * Store the cross colour and the way the cube was held on the solve
+     * With the cross on the bottom, the front is the one from which the F2L
+     * moves read mostly as R and U turns. rotation turns the cube from white
+     * top, green front into that orientation.
+     */
+    setOrientation(crossFace, moves) {
+        const notations = Notation.parse(moves.map(move => this.getCubeNotation(move)).join(' '));
+        const base = CubeModel.getCrossRotation(crossFace);
+        let best = null;
+
+        ['', 'y', 'y2', 'y\''].forEach((y) => {
+            const rotation = `${base} ${y}`.trim();
+            const score = Notation.translate(notations, rotation)
+                .filter(move => 'RUru'.includes(Notation.parseMove(move).family)).length;
+            if (best === null || score > best.score) {
+                best = { rotation: rotation, score: score };
+            }
+        });
+
+        const held = new CubeModel().applyAlgorithm(best.rotation);
+        this.currentSolve.crossColor = held.COLORS[held.getCenter('D')];
+        this.currentSolve.orientation = {
+            bottom: held.COLORS[held.getCenter('D')],
+            front: held.COLORS[held.getCenter('F')],
+            rotation: best.rotation
+        };
+    }
+
+    /**
+     * Find the move index at which each phase ends from the states after each move
+     * Index -1 means the phase was already done before the first move.
+     * Returns null when states are missing.
+     */
+    detectPhaseBoundaries() {
+        const initial = this.currentSolve.initialFacelets;
+        if (!initial || this.states.some(state => state === null)) {
+            return null;
+        }
+
+        const states = [initial, ...this.states];
+        const model = new CubeModel();
+        const stateAt = (index) => model.setFacelets(states[index + 1]);
+        const last = this.moves.length - 1;
+
+        // First index from start at which a condition holds
+        const firstIndex = (start, condition) => {
+            for (let i = start; i <= last; i++) {
+                if (condition(stateAt(i))) {
+                    return i;
+                }
+            }
+            return null;
+        };
+
+        // The method's cross colour is the one whose F2L is finished first
+        let crossColor = null;
+        let f2lEnd = null;
+        model.FACES.split('').forEach((face) => {
+            const end = firstIndex(-1, cube => cube.isF2LSolved(face));
+            if (end !== null && (f2lEnd === null || end < f2lEnd)) {
+                crossColor = face;
+                f2lEnd = end;
+            }
+        });
+        if (crossColor === null) {
+            // Unfinished F2L: use the colour with the most solved slots at the end
+            const scores = model.FACES.split('').map((face) => {
+                const cube = stateAt(last);
+                return cube.isCrossSolved(face) ? 1 + cube.getSolvedSlots(face).length : 0;
+            });
+            const best = Math.max(...scores);
+            if (best === 0) {
+                return null;
+            }
+            crossColor = model.FACES.charAt(scores.indexOf(best));
+            f2lEnd = last;
+        }
+
+        const crossEnd = firstIndex(-1, cube => cube.isCrossSolved(crossColor));
+
+        // Pair n ends when n slots are solved on top of the cross
+        const pairEnds = [];
+        let index = crossEnd;
+        for (let pair = 1; pair <= 4; pair++) {
+            const end = firstIndex(index, cube =>
+                cube.isCrossSolved(crossColor) && cube.getSolvedSlots(crossColor).length >= pair);
+            index = end === null || end > f2lEnd ? f2lEnd : end;
+            pairEnds.push(index);
+        }
+
+        const ollEnd = firstIndex(f2lEnd, cube => cube.isF2LSolved(crossColor) && cube.isLastLayerOriented(crossColor));
+        const pllEnd = firstIndex(ollEnd === null ? f2lEnd : ollEnd, cube => cube.isSolved());
+
+        return {
+            crossColor: crossColor,
+            cross: crossEnd === null ? f2lEnd : crossEnd,
+            pairs: pairEnds,
+            oll: ollEnd === null ? last : ollEnd,
+            pll: pllEnd === null ? last : pllEnd
+        };
+    }
+
+    /**
+     * Fill the phases object from phase end indices
+     * A phase runs from the previous phase end, so its time includes recognition
+     */
+    applyPhaseBoundaries(boundaries) {
+        const ends = [
+            ['cross', boundaries.cross],
+            ...boundaries.pairs.map((end, i) => [`f2l_pair${i + 1}`, end]),
+            ['oll', boundaries.oll],
+            ['pll', boundaries.pll]
+        ];
+
+        let previousEnd = -1;
+        const starts = {};
+        ends.forEach(([phaseName, end]) => {
+            starts[phaseName] = previousEnd + 1;
+            const phaseMoves = this.moves.slice(previousEnd + 1, end + 1);
+            const startTime = previousEnd < 0 ? 0 : this.moves[previousEnd].relativeTime;
+            const endTime = end < 0 ? 0 : this.moves[end].relativeTime;
+            this.analyzePhase(phaseName, phaseMoves, endTime - startTime);
+            previousEnd = Math.max(previousEnd, end);
+        });
+
+        this.describeF2LPairs(boundaries);
+        this.recognizeLastLayer(boundaries, starts);
+    }
+
+    /**
+     * Facelets after a move index; index -1 is the state before the first move
+     */
+    getStateAfter(index) {
+        return index < 0 ? this.currentSolve.initialFacelets : this.states[index];
+    }
+
+    /**
+     * Record the target slot, case and technique flags of each F2L pair
+     * A pair finished by the same move as the phase before it has no case of its
+     * own: it was multislotted, or built into an XCross when that phase was the cross
+     */
+    describeF2LPairs(boundaries) {
+        const crossColor = boundaries.crossColor;
+        const pairs = this.currentSolve.phases.f2l;
+        const model = new CubeModel();
+        const filled = [];
+        let previousEnd = boundaries.cross;
+
+        boundaries.pairs.forEach((end, i) => {
+            const pair = pairs[`pair${i + 1}`];
+            const slot = model.setFacelets(this.getStateAfter(end)).getSolvedSlots(crossColor)
+                .find(name => !filled.includes(name));
+            if (!slot) {
+                previousEnd = end;
+                return;
+            }
+            filled.push(slot);
+
+            pair.slot = this.f2l.toSolverSlot(slot, this.currentSolve.orientation.rotation);
+            pair.caseId = null;
+            // Slots solved before the first move carry no flags
+            pair.xcross = end >= 0 && end === boundaries.cross;
+            pair.multislot = end >= 0 && end === previousEnd && !pair.xcross;
+            pair.pseudoSlot = false;
+            pair.keyhole = false;
+            if (pair.multislot && i > 0) {
+                pairs[`pair${i}`].multislot = true;
+            }
+
+            if (end !== previousEnd) {
+                const start = this.getStateAfter(previousEnd);
+                const recognized = this.f2l.recognizeCase(start, crossColor, slot);
+                pair.caseId = recognized ? recognized.number : null;
+
+                // Keyhole: one piece placed on its own and left there for the other
+                const startPieces = this.f2l.getSlotPieces(model.setFacelets(start), crossColor, slot);
+                let lonePiece = null;
+                for (let k = previousEnd + 1; k < end; k++) {
+                    model.setFacelets(this.getStateAfter(k));
+                    if (this.f2l.isCrossOffset(model, crossColor)) {
+                        pair.pseudoSlot = true;
+                    }
+                    const pieces = this.f2l.getSlotPieces(model, crossColor, slot);
+                    const placed = pieces.corner && !pieces.edge && !startPieces.corner ? 'corner' :
+                        pieces.edge && !pieces.corner && !startPieces.edge ? 'edge' : null;
+                    lonePiece = placed && (lonePiece === null || lonePiece === placed) ? placed : null;
+                }
+                pair.keyhole = lonePiece !== null && model.isCrossSolved(crossColor);
+            }
+            previousEnd = end;
+        });
+    }
+
+    /**
+     * Name the OLL and PLL cases from the state at the start of each phase and
+     * split the user's moves into pre-AUF, executed algorithm and post-AUF
+     * starts holds the index of each phase's first move
+     */
+    recognizeLastLayer(boundaries, starts) {
+        const phases = this.currentSolve.phases;
+        const crossColor = boundaries.crossColor;
+
+        const oll = this.lastLayer.recognizeOLL(this.getStateAfter(boundaries.pairs[3]), crossColor);
+        const pll = this.lastLayer.recognizePLL(this.getStateAfter(boundaries.oll), crossColor);
+
+        // Phase moves are renamed for the frame at their first move; the cross
+        // colour is in the cube's own frame, so undo that rotation first
+        const toSolverFrame = (phase, start) => {
+            const frame = start < this.moves.length ? this.moves[start].frame || '' : '';
+            const moves = Notation.translate(phase.moves, Notation.format(Notation.invert(frame)));
+            return this.lastLayer.toSolverFrame(moves, crossColor);
+        };
+
+        const describe = (phase, start, name, caseKey = null) => {
+            const split = this.lastLayer.splitAuf(toSolverFrame(phase, start));
+            phase.algorithm = name;
+            phase.preAuf = split.preAuf;
+            phase.execution = split.execution;
+            phase.postAuf = split.postAuf;
+            if (caseKey && split.execution) {
+                phase.libraryMatch = this.algLibrary.matchExecution(caseKey, split.execution);
+            }
+        };
+
+        if (!oll) {
+            describe(phases.oll, starts.oll, 'Unknown OLL');
+        } else {
+            phases.oll.caseId = oll.number;
+            describe(phases.oll, starts.oll, oll.number === 0 ? 'OLL skip' : `OLL ${oll.number}`, oll.number === 0 ? null : `OLL ${oll.number}`);
+        }
+
+        if (!pll) {
+            describe(phases.pll, starts.pll, 'Unknown PLL');
+        } else if (pll.name === 'skip') {
+            phases.pll.caseId = 'skip';
+            describe(phases.pll, starts.pll, 'PLL skip');
+            // Nothing but the final AUF was needed
+            phases.pll.postAuf = Notation.format(Notation.simplify([phases.pll.preAuf, phases.pll.postAuf]));
+            phases.pll.preAuf = '';
+        } else {
+            phases.pll.caseId = pll.name;
+            describe(phases.pll, starts.pll, `${pll.name} Perm`, `PLL ${pll.name}`);
+        }
+    }
+
+    /**
+     * Face turned most often, which in CFOP is the last layer
+     */
+    guessLastLayerFace(moves) {
+        const counts = {};
+        moves.forEach((move) => {
+            Notation.parse(this.getCubeNotation(move)).forEach((turn) => {
+                const { family } = Notation.parseMove(turn);
+                if (Notation.getKind(family) === 'face') {
+                    counts[family] = (counts[family] || 0) + 1;
+                }
+            });
+        });
+        return Object.keys(counts).reduce((best, face) => (counts[face] > counts[best] ? face : best), 'U');
     }
 
     /**
      * Detect end of cross phase
      */
-    detectCrossEnd(moves) {
-        // Simple heuristic: cross typically ends when we see first U move
-        // or after first 12 moves (whichever comes first)
+    detectCrossEnd(moves, lastLayerFace = 'U') {
+        // Simple heuristic: cross typically ends when we see the first last-layer
+        // move or after first 12 moves (whichever comes first)
         for (let i = 0; i < Math.min(moves.length, 12); i++) {
-            if (moves[i].notation.startsWith('U')) {
+            if (this.getCubeNotation(moves[i]).startsWith(lastLayerFace)) {
                 return Math.max(0, i - 1);
             }
         }
@@ -183,14 +860,14 @@ class SolveParser {
     /**
      * Detect end of F2L phase
      */
-    detectF2LEnd(moves, startIndex) {
+    detectF2LEnd(moves, startIndex, lastLayerFace = 'U') {
         // F2L typically ends when we see pattern changes indicating OLL
         // Look for sequences that don't include U moves (indicating last pair insertion)
         let consecutiveNonU = 0;
         let lastNonUIndex = startIndex;
         
         for (let i = startIndex; i < moves.length; i++) {
-            if (!moves[i].notation.startsWith('U')) {
+            if (!this.getCubeNotation(moves[i]).startsWith(lastLayerFace)) {
                 consecutiveNonU++;
                 lastNonUIndex = i;
             } else {
@@ -232,7 +909,7 @@ class SolveParser {
         if (moves.length < 3) return false;
         
         // Look for common ending patterns
-        const lastThree = moves.slice(-3).map(m => m.notation).join(' ');
+        const lastThree = Notation.format(moves.slice(-3).map(m => m.notation));
         const endingPatterns = [
             'R U R\'', 'R\' U\' R', 'F R F\'', 'F\' L F',
             'U R U\'', 'U\' R\' U'
@@ -261,13 +938,14 @@ class SolveParser {
 
     /**
      * Analyze a specific phase
+     * phaseTime defaults to the time between the phase's first and last move
      */
-    analyzePhase(phaseName, moves) {
+    analyzePhase(phaseName, moves, phaseTime = null) {
         if (moves.length === 0) return;
         
-        const startTime = moves[0].relativeTime;
-        const endTime = moves[moves.length - 1].relativeTime;
-        const phaseTime = endTime - startTime;
+        if (phaseTime === null) {
+            phaseTime = moves[moves.length - 1].relativeTime - moves[0].relativeTime;
+        }
         
         if (phaseName === 'cross') {
             this.currentSolve.phases.cross = {
@@ -300,74 +978,165 @@ class SolveParser {
     }
 
     /**
-     * Detect OLL algorithm
+     * Get current solve data
      */
-    detectOLLAlgorithm(moves) {
-        const moveSequence = moves.map(m => m.notation).join(' ');
-        
-        for (const [name, patterns] of Object.entries(this.ollPatterns)) {
-            for (const pattern of patterns) {
-                if (this.sequenceContainsPattern(moveSequence, pattern)) {
-                    this.currentSolve.phases.oll.algorithm = name;
-                    return;
-                }
-            }
+    getCurrentSolve() {
+        return this.currentSolve;
+    }
+
+    /**
+     * Get solve history, deleted solves included
+     */
+    getSolveHistory() {
+        return this.solveHistory;
+    }
+
+    /**
+     * Solves that count: everything not deleted
+     */
+    getActiveSolves() {
+        return this.solveHistory.filter(solve => !solve.deleted);
+    }
+
+    /**
+     * Result the WCA way: +2 adds two seconds and DNF is worse than any time
+     */
+    getResult(solve) {
+        if (solve.penalty === 'DNF') {
+            return Infinity;
         }
-        
-        this.currentSolve.phases.oll.algorithm = 'Unknown OLL';
+        return solve.totalTime + (solve.penalty === '+2' ? 2000 : 0);
     }
 
     /**
-     * Detect PLL algorithm
+     * Result as text, e.g. '12.345', '14.345+' or 'DNF'
      */
-    detectPLLAlgorithm(moves) {
-        const moveSequence = moves.map(m => m.notation).join(' ');
-        
-        for (const [name, patterns] of Object.entries(this.pllPatterns)) {
-            for (const pattern of patterns) {
-                if (this.sequenceContainsPattern(moveSequence, pattern)) {
-                    this.currentSolve.phases.pll.algorithm = name;
-                    return;
-                }
-            }
+    formatResult(solve) {
+        if (solve.penalty === 'DNF') {
+            return 'DNF';
         }
-        
-        this.currentSolve.phases.pll.algorithm = 'Unknown PLL';
+        return `${(this.getResult(solve) / 1000).toFixed(3)}${solve.penalty === '+2' ? '+' : ''}`;
     }
 
     /**
-     * Check if move sequence contains a pattern
+     * Set a solve's penalty: 'OK' (or null), '+2' or 'DNF'
      */
-    sequenceContainsPattern(sequence, pattern) {
-        // Normalize both sequences for comparison
-        const normalizedSequence = this.normalizeMoveSequence(sequence);
-        const normalizedPattern = this.normalizeMoveSequence(pattern);
-        
-        return normalizedSequence.includes(normalizedPattern);
+    setPenalty(solve, penalty) {
+        if (![null, 'OK', '+2', 'DNF'].includes(penalty)) {
+            throw new Error(`Unknown penalty: ${penalty}`);
+        }
+        solve.penalty = penalty === 'OK' ? null : penalty;
+    }
+
+    setComment(solve, comment) {
+        solve.comment = String(comment).trim();
     }
 
     /**
-     * Normalize move sequence for pattern matching
+     * Deleted solves stay in the history, out of every statistic, until restored
      */
-    normalizeMoveSequence(sequence) {
-        return sequence
-            .replace(/\s+/g, ' ')
-            .trim()
-            .toLowerCase();
+    deleteSolve(solve) {
+        solve.deleted = true;
+    }
+
+    restoreSolve(solve) {
+        solve.deleted = false;
     }
 
     /**
-     * Get current solve data
+     * Correct the scramble recorded on a solve
+     * A solve whose start state came from the scramble is analysed again from
+     * the corrected start state; throws on invalid notation
      */
-    getCurrentSolve() {
-        return this.currentSolve;
+    setScramble(solve, scramble) {
+        const corrected = scramble.trim();
+        const facelets = corrected ? CubeModel.fromScramble(corrected).getFacelets() : null;
+        if (corrected === solve.scramble) {
+            return;
+        }
+
+        solve.scramble = corrected;
+        solve.scrambleGenerator = null;
+        if (solve.startFromScramble) {
+            solve.initialFacelets = facelets;
+            solve.referenceSolution = null;
+            this.reanalyzeSolve(solve);
+        }
     }
 
     /**
-     * Get solve history
+     * Run the phase and cross analysis of a finished solve again
      */
-    getSolveHistory() {
-        return this.solveHistory;
+    reanalyzeSolve(solve) {
+        const saved = { currentSolve: this.currentSolve, moves: this.moves, states: this.states };
+        try {
+            const model = solve.initialFacelets ? new CubeModel(solve.initialFacelets) : null;
+            this.currentSolve = solve;
+            this.moves = solve.moves;
+            this.states = solve.moves.map(move => (model ? model.applyAlgorithm(this.getCubeNotation(move)).getFacelets() : null));
+            solve.phases = this.createPhases();
+            solve.crossAnalysis = null;
+            this.analyzePhases();
+            this.analyzeCross();
+        } finally {
+            this.currentSolve = saved.currentSolve;
+            this.moves = saved.moves;
+            this.states = saved.states;
+        }
+    }
+
+    /**
+     * Per cross colour: number of solves, mean and best time, mean cross time
+     * and moves, so colour-neutral solvers can compare their colours
+     */
+    getCrossColorStats(solves = this.getActiveSolves()) {
+        const stats = {};
+        solves.filter(solve => solve.crossColor).forEach((solve) => {
+            const entry = stats[solve.crossColor] || (stats[solve.crossColor] = {
+                solves: 0, totalTime: 0, bestTime: Infinity, crossTime: 0, crossMoves: 0
+            });
+            // Results with penalties: one DNF makes the mean DNF (Infinity)
+            entry.solves++;
+            entry.totalTime += this.getResult(solve);
+            entry.bestTime = Math.min(entry.bestTime, this.getResult(solve));
+            entry.crossTime += solve.phases.cross.time;
+            entry.crossMoves += solve.phases.cross.moveCount;
+        });
+
+        Object.values(stats).forEach((entry) => {
+            entry.meanTime = entry.totalTime / entry.solves;
+            entry.meanCrossTime = entry.crossTime / entry.solves;
+            entry.meanCrossMoves = entry.crossMoves / entry.solves;
+        });
+        return stats;
+    }
+
+    /**
+     * Remove a solve the user chose not to keep
+     */
+    discardSolve(solve) {
+        this.solveHistory = this.solveHistory.filter(entry => entry !== solve);
+    }
+
+    /**
+     * Replace the history, e.g. with the stored solves of another session
+     */
+    loadHistory(solves) {
+        this.resetSolve();
+        this.solveHistory = solves;
+    }
+
+    /**
+     * Make a finished solve the current one again, for editing and the summary
+     */
+    loadSolve(solve) {
+        if (this.isRecording) {
+            return false;
+        }
+        this.resetSolve();
+        this.currentSolve = solve;
+        this.moves = solve.moves;
+        return true;
     }
 
     /**
@@ -378,6 +1147,97 @@ class SolveParser {
         this.currentSolve = null;
         this.isRecording = false;
         this.startTime = null;
+        this.cubeModel = null;
+    }
+
+    /**
+     * Slot, case and technique of a pair, e.g. 'BR, case 27, ' or 'FL, XCross, '
+     */
+    formatPairLabel(pair) {
+        if (!pair.slot) {
+            return '';
+        }
+
+        const parts = [pair.slot];
+        if (pair.caseId) {
+            parts.push(`case ${pair.caseId}`);
+        }
+        const flags = { xcross: 'XCross', multislot: 'multislot', pseudoSlot: 'pseudo-slot', keyhole: 'keyhole' };
+        Object.entries(flags).forEach(([flag, label]) => {
+            if (pair[flag]) {
+                parts.push(label);
+            }
+        });
+        return parts.join(', ') + ', ';
+    }
+
+    /**
+     * Summary lines for an OLL/PLL phase; AUFs are listed apart from the algorithm
+     * when the moves could be expressed with the cross on D
+     */
+    formatLastLayerExecution(phase) {
+        if (phase.execution === undefined) {
+            return `  Execution: ${Notation.format(phase.moves)}\n`;
+        }
+
+        let lines = '';
+        lines += `  Pre-AUF: ${phase.preAuf || 'none'}\n`;
+        lines += `  Algorithm executed: ${phase.execution || 'none'}\n`;
+        lines += `  Post-AUF: ${phase.postAuf || 'none'}\n`;
+        if (phase.libraryMatch !== undefined) {
+            lines += `  Library: ${this.describeLibraryMatch(phase.libraryMatch)}\n`;
+        }
+        return lines;
+    }
+
+    /**
+     * Which of the user's algorithms an execution was
+     */
+    describeLibraryMatch(match) {
+        if (!match) {
+            return 'unknown execution';
+        }
+
+        // An alg stored under another case was used mirrored or inverted
+        const other = match.otherCase ? ` for ${match.caseKey} (${match.alg})` : '';
+        const descriptions = {
+            main: `used your main alg${other}`,
+            alt: other ? `used your alt alg${other}` : `used your alt alg (${match.alg})`,
+            reference: `used the standard alg (${match.alg})`
+        };
+        const variant = match.variant === 'as written' ? '' : `, ${match.variant}`;
+        return descriptions[match.source] + variant;
+    }
+
+    /**
+     * Summary lines comparing the cross with the optimal ones
+     */
+    formatCrossAnalysis(solveData) {
+        const analysis = solveData.crossAnalysis;
+        if (!analysis) {
+            return '';
+        }
+
+        const describe = result => `${result.rotation ? `(${result.rotation}) ` : ''}${result.solutions.join(' | ') || 'already solved'}`;
+        let lines = '';
+        const own = analysis.crosses.find(result => result.color === solveData.crossColor);
+        if (own) {
+            lines += `  Efficiency: you used ${analysis.movesUsed} moves, optimal was ${own.length}\n`;
+            lines += `  Optimal ${own.color} cross: ${describe(own)}\n`;
+        }
+        const best = analysis.crosses[0];
+        if (!own || best.length < own.length) {
+            lines += `  Shortest cross: ${best.color} in ${best.length}: ${describe(best)}\n`;
+        }
+        lines += `  Optimal by colour: ${analysis.crosses.map(result => `${result.color} ${result.length}`).join(', ')}\n`;
+        return lines;
+    }
+
+    /**
+     * Move counts in every metric, e.g. "54 HTM, 60 QTM, 54 STM, 54 ETM"
+     */
+    formatMetrics(metrics) {
+        return ['htm', 'qtm', 'stm', 'etm'].map(metric => `${metrics[metric]} ${metric.toUpperCase()}`).join(', ');
     }
 
     /**
@@ -394,18 +1254,66 @@ class SolveParser {
 
         let summary = `=== Rubik's Cube Solve Analysis ===\n\n`;
         summary += `Scramble: ${solveData.scramble || 'Not recorded'}\n`;
-        summary += `Total Time: ${formatTime(solveData.totalTime)}\n`;
-        summary += `Total Moves: ${solveData.totalMoves}\n`;
-        summary += `TPS (Turns Per Second): ${solveData.tps.toFixed(2)}\n\n`;
+        if (solveData.scrambleGenerator) {
+            summary += `Scramble Seed: ${solveData.scrambleGenerator.seed} (${solveData.scrambleGenerator.type})\n`;
+        }
+        if (solveData.referenceSolution) {
+            summary += `Reference Solution: ${solveData.referenceSolution.solution} (${solveData.referenceSolution.length} moves, two-phase solver)\n`;
+        }
+        summary += `Total Time: ${formatTime(solveData.totalTime)}`;
+        if (solveData.penalty === '+2') {
+            summary += ` +2 = ${formatTime(solveData.totalTime + 2000)}`;
+        }
+        summary += solveData.penalty === 'DNF' ? ` (DNF)\n` : `\n`;
+        if (solveData.inspection) {
+            summary += `Inspection: ${formatTime(solveData.inspection.duration)}`;
+            summary += solveData.inspection.penalty ? ` (${solveData.inspection.penalty})\n` : `\n`;
+        }
+        if (solveData.comment) {
+            summary += `Comment: ${solveData.comment}\n`;
+        }
+        if (solveData.splits && solveData.splits.length > 0) {
+            const labels = Object.fromEntries(this.SPLITS.map(split => [split.name, split.label]));
+            summary += `Splits: ${solveData.splits.map(split => `${labels[split.name] || split.name} ${formatTime(split.time)}`).join(', ')}\n`;
+        }
+        summary += `Total Moves: ${solveData.totalMoves}`;
+        const reported = (solveData.rawMoves || []).length;
+        summary += reported !== solveData.totalMoves ? ` (${reported} turns reported by the cube)\n` : `\n`;
+        summary += `TPS (Turns Per Second): ${solveData.tps.toFixed(2)}\n`;
+        if (solveData.metrics) {
+            summary += `Metrics: ${this.formatMetrics(solveData.metrics)}\n`;
+            const merged = solveData.metrics.htm - solveData.simplifiedMetrics.htm;
+            if (merged > 0) {
+                summary += `Simplified: ${this.formatMetrics(solveData.simplifiedMetrics)} (${merged} moves cancel or merge)\n`;
+            }
+        }
+        if (solveData.orientation) {
+            const guessed = solveData.phaseDetection === 'heuristic' ? ' (guessed)' : '';
+            summary += `Orientation: ${solveData.orientation.bottom} cross on bottom, ${solveData.orientation.front} front${guessed}\n`;
+        }
+
+        const gaps = solveData.gaps || [];
+        if (gaps.length > 0) {
+            const missed = gaps.reduce((sum, gap) => sum + gap.missedMoves, 0);
+            const recovered = gaps.reduce((sum, gap) => sum + gap.recoveredMoves, 0);
+            summary += `Connection: ${gaps.length} dropout(s), ${recovered} moves recovered, `;
+            summary += missed > 0 ? `${missed} moves missing - phase data may be incomplete\n` : `no moves known to be missing\n`;
+        }
+        summary += `\n`;
 
         summary += `=== Phase Breakdown ===\n\n`;
+        if (solveData.phaseDetection === 'heuristic') {
+            summary += `(Phases estimated from move patterns; the cube state was not known)\n\n`;
+        }
 
         // Cross
         const cross = solveData.phases.cross;
         summary += `Cross:\n`;
         summary += `  Time: ${formatTime(cross.time)}\n`;
         summary += `  Moves: ${cross.moveCount}\n`;
-        summary += `  Solution: ${cross.moves.join(' ')}\n\n`;
+        summary += `  Solution: ${Notation.format(cross.moves)}\n`;
+        summary += this.formatCrossAnalysis(solveData);
+        summary += `\n`;
 
         // F2L
         summary += `F2L:\n`;
@@ -415,25 +1323,27 @@ class SolveParser {
             const pair = solveData.phases.f2l[`pair${i}`];
             totalF2LTime += pair.time;
             totalF2LMoves += pair.moveCount;
-            summary += `  Pair ${i}: ${formatTime(pair.time)}, ${pair.moveCount} moves - ${pair.moves.join(' ')}\n`;
+            summary += `  Pair ${i}: ${this.formatPairLabel(pair)}${formatTime(pair.time)}, ${pair.moveCount} moves - ${Notation.format(pair.moves)}\n`;
         }
         summary += `  Total F2L: ${formatTime(totalF2LTime)}, ${totalF2LMoves} moves\n\n`;
 
         // OLL
         const oll = solveData.phases.oll;
         summary += `OLL:\n`;
-        summary += `  Algorithm: ${oll.algorithm}\n`;
+        summary += `  Case: ${oll.algorithm}\n`;
         summary += `  Time: ${formatTime(oll.time)}\n`;
         summary += `  Moves: ${oll.moveCount}\n`;
-        summary += `  Execution: ${oll.moves.join(' ')}\n\n`;
+        summary += this.formatLastLayerExecution(oll);
+        summary += `\n`;
 
         // PLL
         const pll = solveData.phases.pll;
         summary += `PLL:\n`;
-        summary += `  Algorithm: ${pll.algorithm}\n`;
+        summary += `  Case: ${pll.algorithm}\n`;
         summary += `  Time: ${formatTime(pll.time)}\n`;
         summary += `  Moves: ${pll.moveCount}\n`;
-        summary += `  Execution: ${pll.moves.join(' ')}\n\n`;
+        summary += this.formatLastLayerExecution(pll);
+        summary += `\n`;
 
         summary += `=== Analysis Request ===\n`;
         summary += `Please analyze this solve and provide feedback on:\n`;
@@ -0,0 +1,191 @@
+/**
+ * Solve Statistics Module
+ * Rolling averages and session statistics over solve results
+ *
+ * Results are milliseconds with penalties applied, Infinity for DNF (see
+ * SolveParser.getResult). Averages of N drop the ceil(5%) best and worst
+ * results - one each for ao5 and ao12 as in the WCA regulations - and are
+ * DNF once more results are DNF than are dropped; a mean (mo3) drops none.
+ *
+ * Appending a result updates every statistic incrementally, so long histories
+ * stay fast; edits to earlier results (penalties, deletions) rebuild with reset().
+ */
+
+/**
+ * One rolling average: the last size results, their finite values kept sorted
+ */
+class RollingAverage {
+    constructor(size, trim) {
+        this.size = size;
+        this.trim = trim;
+        this.count = 0;
+        this.sorted = [];
+        this.sum = 0;
+        this.dnf = 0;
+        this.current = null; // null until size results are in
+        this.best = null;
+    }
+
+    /**
+     * Add a result; leaving is the one that drops out of the window, if any
+     */
+    push(result, leaving) {
+        this.add(result);
+        this.count++;
+        if (this.count > this.size) {
+            this.remove(leaving);
+            this.count--;
+        }
+
+        if (this.count === this.size) {
+            this.current = this.compute();
+            if (this.best === null || this.current < this.best) {
+                this.best = this.current;
+            }
+        }
+    }
+
+    add(result) {
+        if (!Number.isFinite(result)) {
+            this.dnf++;
+            return;
+        }
+        this.sorted.splice(this.findIndex(result), 0, result);
+        this.sum += result;
+    }
+
+    remove(result) {
+        if (!Number.isFinite(result)) {
+            this.dnf--;
+            return;
+        }
+        this.sorted.splice(this.findIndex(result), 1);
+        this.sum -= result;
+    }
+
+    /**
+     * First index of sorted whose value is not below result
+     */
+    findIndex(result) {
+        let low = 0;
+        let high = this.sorted.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.sorted[middle] < result) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Mean of the window without the trimmed results; DNFs are the worst
+     */
+    compute() {
+        if (this.dnf > this.trim) {
+            return Infinity;
+        }
+
+        let trimmed = 0;
+        for (let i = 0; i < this.trim; i++) {
+            trimmed += this.sorted[i];
+        }
+        // DNFs take the first of the worst places
+        for (let i = 0; i < this.trim - this.dnf; i++) {
+            trimmed += this.sorted[this.sorted.length - 1 - i];
+        }
+        return (this.sum - trimmed) / (this.size - 2 * this.trim);
+    }
+}
+
+class SolveStatistics {
+    constructor(averageSizes = [5, 12, 50, 100, 1000], meanSizes = [3]) {
+        this.AVERAGE_SIZES = averageSizes;
+        this.MEAN_SIZES = meanSizes;
+        this.reset();
+    }
+
+    /**
+     * Results dropped at each end of an average of size results
+     */
+    static trimCount(size) {
+        return Math.ceil(size * 0.05);
+    }
+
+    /**
+     * Start over from a list of results, oldest first
+     */
+    reset(results = []) {
+        this.results = [];
+        this.dnf = 0;
+        this.solved = 0;
+        this.mean = 0;
+        this.squares = 0; // Sum of squared differences from the mean (Welford)
+        this.bestSingle = null;
+        this.worstSingle = null;
+        this.averages = {};
+        this.AVERAGE_SIZES.forEach((size) => {
+            this.averages[`ao${size}`] = new RollingAverage(size, SolveStatistics.trimCount(size));
+        });
+        this.MEAN_SIZES.forEach((size) => {
+            this.averages[`mo${size}`] = new RollingAverage(size, 0);
+        });
+
+        results.forEach(result => this.push(result));
+    }
+
+    /**
+     * Add the result of the latest solve
+     */
+    push(result) {
+        this.results.push(result);
+
+        if (Number.isFinite(result)) {
+            this.solved++;
+            const delta = result - this.mean;
+            this.mean += delta / this.solved;
+            this.squares += delta * (result - this.mean);
+        } else {
+            this.dnf++;
+        }
+        if (this.bestSingle === null || result < this.bestSingle) {
+            this.bestSingle = result;
+        }
+        if (this.worstSingle === null || result > this.worstSingle) {
+            this.worstSingle = result;
+        }
+
+        Object.values(this.averages).forEach((average) => {
+            average.push(result, this.results[this.results.length - 1 - average.size]);
+        });
+    }
+
+    /**
+     * Everything at once: counts, mean and standard deviation of the finished
+     * solves, best and worst single, and { current, best } per average
+     * (null where there are not enough solves)
+     */
+    getStats() {
+        const averages = {};
+        Object.entries(this.averages).forEach(([name, average]) => {
+            averages[name] = { current: average.current, best: average.best };
+        });
+
+        return {
+            count: this.results.length,
+            solved: this.solved,
+            dnf: this.dnf,
+            mean: this.solved > 0 ? this.mean : null,
+            standardDeviation: this.solved > 1 ? Math.sqrt(this.squares / (this.solved - 1)) : null,
+            bestSingle: this.bestSingle,
+            worstSingle: this.worstSingle,
+            averages: averages
+        };
+    }
+}
+
+// Export for use in other modules
+window.SolveStatistics = SolveStatistics;
+window.RollingAverage = RollingAverage;
@@ -0,0 +1,184 @@
+/**
+ * Solve Store Module
+ * Keeps every solve in IndexedDB, grouped in named sessions
+ *
+ * Solves are stored whole (moves with timestamps, phases, scramble, splits,
+ * penalty and comment) under their id, with the id of their session. Where
+ * IndexedDB is unavailable the store keeps everything in memory for the tab.
+ *
+ * A session is { id, name, created, archived }; archived sessions keep their
+ * solves but are listed apart.
+ */
+
+class SolveStore {
+    constructor() {
+        this.DB_NAME = 'cubecoach-history';
+        this.SESSIONS = 'sessions';
+        this.SOLVES = 'solves';
+        this.db = null;
+        this.memory = null;
+    }
+
+    /**
+     * Open the database; falls back to memory when it cannot be opened
+     */
+    open() {
+        if (this.db || this.memory) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const useMemory = () => {
+                console.warn('Solve history is not saved: IndexedDB unavailable');
+                this.memory = { [this.SESSIONS]: new Map(), [this.SOLVES]: new Map() };
+                resolve();
+            };
+            if (!window.indexedDB) {
+                useMemory();
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(this.SESSIONS, { keyPath: 'id' });
+                db.createObjectStore(this.SOLVES, { keyPath: 'id' }).createIndex('sessionId', 'sessionId');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = useMemory;
+        });
+    }
+
+    /**
+     * All records of a store, or the solves of one session
+     */
+    getAll(storeName, sessionId = null) {
+        if (this.memory) {
+            const records = [...this.memory[storeName].values()];
+            return Promise.resolve(sessionId === null ? records : records.filter(record => record.sessionId === sessionId));
+        }
+
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(storeName, 'readonly').objectStore(storeName);
+            const request = sessionId === null ? store.getAll() : store.index('sessionId').getAll(sessionId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Write records to a store in one transaction
+     */
+    put(storeName, records) {
+        if (this.memory) {
+            records.forEach(record => this.memory[storeName].set(record.id, record));
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            records.forEach(record => transaction.objectStore(storeName).put(record));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    remove(storeName, id) {
+        if (this.memory) {
+            this.memory[storeName].delete(id);
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            transaction.objectStore(storeName).delete(id);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Sessions, oldest first
+     */
+    async getSessions() {
+        await this.open();
+        const sessions = await this.getAll(this.SESSIONS);
+        return sessions.sort((a, b) => a.created - b.created);
+    }
+
+    async createSession(name) {
+        await this.open();
+        const session = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: this.checkName(name),
+            created: Date.now(),
+            archived: false
+        };
+        await this.put(this.SESSIONS, [session]);
+        return session;
+    }
+
+    async renameSession(session, name) {
+        session.name = this.checkName(name);
+        await this.put(this.SESSIONS, [session]);
+    }
+
+    async setArchived(session, archived) {
+        session.archived = archived;
+        await this.put(this.SESSIONS, [session]);
+    }
+
+    /**
+     * Move every solve of source into target and remove source
+     */
+    async mergeSessions(source, target) {
+        if (source.id === target.id) {
+            throw new Error('Choose another session to merge into');
+        }
+        const solves = await this.getSolves(source.id);
+        solves.forEach((solve) => {
+            solve.sessionId = target.id;
+        });
+        await this.put(this.SOLVES, solves);
+        await this.remove(this.SESSIONS, source.id);
+    }
+
+    checkName(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Enter a session name');
+        }
+        return trimmed;
+    }
+
+    /**
+     * Solves of a session in the order they were done
+     */
+    async getSolves(sessionId) {
+        await this.open();
+        const solves = await this.getAll(this.SOLVES, sessionId);
+        return solves.sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * Solves of every session, for statistics across sessions
+     */
+    async getAllSolves() {
+        await this.open();
+        return this.getAll(this.SOLVES);
+    }
+
+    /**
+     * Save a solve, new or edited; it must carry its sessionId
+     */
+    async saveSolve(solve) {
+        await this.open();
+        await this.put(this.SOLVES, [solve]);
+    }
+}
+
+// Export for use in other modules
+window.SolveStore = SolveStore;
@@ -0,0 +1,89 @@
+/**
+ * Solver Worker
+ * Runs the two-phase solver off the main thread so the timer never stutters
+ *
+ * Pruning tables are built here on first use and cached in IndexedDB, so
+ * later visits start solving at once and everything works offline.
+ *
+ * Messages in: { id, type: 'init' } or { id, type: 'solve', cube, options }
+ * Messages out: { type: 'status', status }, { id, moves } or { id, error }
+ */
+
+importScripts('two-phase.js');
+
+const DB_NAME = 'cubecoach-solver';
+const STORE_NAME = 'tables';
+const TABLES_KEY = 'two-phase-v1';
+
+let solverPromise = null;
+
+/**
+ * Open the table cache; resolves to null where IndexedDB is unavailable
+ */
+function openDatabase() {
+    return new Promise((resolve) => {
+        if (!self.indexedDB) {
+            resolve(null);
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+    });
+}
+
+function readTables(db) {
+    return new Promise((resolve) => {
+        const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(TABLES_KEY);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+    });
+}
+
+function writeTables(db, tables) {
+    return new Promise((resolve) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).put(tables, TABLES_KEY);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => resolve();
+    });
+}
+
+/**
+ * Solver with cached tables, building and caching them when missing
+ */
+async function loadSolver() {
+    const db = await openDatabase();
+    const cached = db ? await readTables(db) : null;
+    if (cached) {
+        self.postMessage({ type: 'status', status: 'ready' });
+        return new TwoPhaseSolver(cached);
+    }
+
+    self.postMessage({ type: 'status', status: 'building' });
+    const solver = new TwoPhaseSolver();
+    if (db) {
+        await writeTables(db, solver.tables);
+    }
+    self.postMessage({ type: 'status', status: 'ready' });
+    return solver;
+}
+
+self.onmessage = async (event) => {
+    const { id, type, cube, options } = event.data;
+    try {
+        if (!solverPromise) {
+            solverPromise = loadSolver();
+        }
+        const solver = await solverPromise;
+
+        if (type === 'solve') {
+            self.postMessage({ id: id, moves: solver.solve(cube, options) });
+        } else {
+            self.postMessage({ id: id, moves: null });
+        }
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message });
+    }
+};
@@ -0,0 +1,61 @@
+/**
+ * Algorithm library tests: run with `node --test tests/`
+ * The browser scripts are loaded into a global that stands in for window
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.window = global;
+const storage = {};
+global.localStorage = {
+    getItem: key => (key in storage ? storage[key] : null),
+    setItem: (key, value) => { storage[key] = String(value); }
+};
+['notation.js', 'cube-model.js', 'last-layer.js', 'alg-library.js'].forEach((file) => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), { filename: file });
+});
+
+// Every test starts from an empty library
+const createLibrary = () => {
+    Object.keys(storage).forEach(key => delete storage[key]);
+    return new AlgLibrary();
+};
+
+test('an alg is recognised mirrored on the case it does not belong to', () => {
+    const library = createLibrary();
+    library.addAlg('OLL 27', 'R U R\' U R U2 R\'');
+
+    // Left Sune solves OLL 26
+    const match = library.matchExecution('OLL 26', 'L\' U\' L U\' L\' U2 L');
+    assert.deepStrictEqual(match, {
+        source: 'main',
+        alg: 'R U R\' U R U2 R\'',
+        caseKey: 'OLL 27',
+        otherCase: true,
+        variant: 'mirror'
+    });
+});
+
+test('the user\'s alg as written wins over the reference', () => {
+    const library = createLibrary();
+    library.addAlg('OLL 27', 'R U R\' U R U2 R\'');
+
+    const match = library.matchExecution('OLL 27', 'R U R\' U R U2 R\'');
+    assert.strictEqual(match.source, 'main');
+    assert.strictEqual(match.otherCase, false);
+    assert.strictEqual(match.variant, 'as written');
+});
+
+test('an alg that solves another case is refused', () => {
+    const library = createLibrary();
+    assert.throws(() => library.addAlg('OLL 27', 'y\' R\' U\' R U\' R\' U2 R'), /solves OLL 26/);
+    assert.throws(() => library.addAlg('PLL T', 'R U R\' U\''), /no OLL\/PLL case/);
+    assert.deepStrictEqual(library.getAlgs('OLL 27'), []);
+
+    library.addAlg('PLL T', 'R U R\' U\' R\' F R2 U\' R\' U\' R U R\' F\'');
+    assert.strictEqual(library.getAlgs('PLL T').length, 1);
+});
@@ -0,0 +1,92 @@
+/**
+ * Packet capture and replay tests: run with `node --test tests/`
+ * The browser scripts are loaded into a global that stands in for window
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.window = global;
+['aes128.js', 'notation.js', 'clock.js', 'cube-model.js', 'gan-protocol.js', 'cube-driver.js', 'gan-bluetooth.js', 'packet-recorder.js'].forEach((file) => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), { filename: file });
+});
+console.log = () => {};
+
+// Decrypted Gen3 frame from [value, bit length] fields, most significant bit first
+const frame = (fields, length = 20) => {
+    const bits = fields.map(([value, size]) => value.toString(2).padStart(size, '0')).join('').padEnd(length * 8, '0');
+    return Uint8Array.from({ length: length }, (_, i) => parseInt(bits.slice(i * 8, i * 8 + 8), 2));
+};
+const littleEndian = (value, size) => {
+    const bytes = Array.from({ length: size / 8 }, (_, i) => (value >> (8 * i)) & 0xFF);
+    return [bytes.reduce((word, byte) => word * 256 + byte, 0), size];
+};
+
+const solvedFacelets = serial => frame([
+    [0x55, 8], [0x02, 8], [16, 8], littleEndian(serial, 16),
+    ...[0, 1, 2, 3, 4, 5, 6].map(corner => [corner, 3]),
+    ...[0, 1, 2, 3, 4, 5, 6].map(() => [0, 2]), [0, 2], // two unused bits
+    ...[0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(edge => [edge, 4]),
+    ...[0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(() => [0, 1])
+]);
+// face is an index into U R F D L B, direction 0 clockwise
+const move = (serial, face, direction, cubeTime) => frame([
+    [0x55, 8], [0x01, 8], [9, 8], littleEndian(cubeTime, 32), littleEndian(serial, 16),
+    [direction, 2], [[2, 32, 8, 1, 16, 4][face], 6]
+]);
+
+// A connected Gen3 cube that is sent notifications directly
+const connectCube = () => {
+    const driver = new GANBluetooth();
+    driver.device = { name: 'GAN356 i Carry 2', id: 'cube' };
+    driver.macAddress = 'AB:12:CD:34:EF:56';
+    driver.setupProtocol(driver.PROTOCOLS.find(protocol => protocol.name === 'Gen3'));
+    driver.isConnected = true;
+    driver.sent = [];
+    driver.sendProtocolCommand = async (type) => {
+        driver.sent.push(type);
+    };
+    driver.notify = (data) => {
+        const encrypted = driver.encrypter.encrypt(data);
+        driver.handleDataReceived(new DataView(encrypted.buffer));
+    };
+    return driver;
+};
+
+const collectMoves = (driver) => {
+    const moves = [];
+    driver.on('moveData', data => moves.push(data.move));
+    return moves;
+};
+
+test('a capture started mid-session replays every move', async () => {
+    const cube = connectCube();
+    cube.notify(solvedFacelets(10));
+    cube.notify(move(11, 0, 0, 1000));
+    cube.notify(move(12, 1, 1, 1200));
+
+    const recorder = new PacketRecorder();
+    recorder.start(cube);
+    const liveMoves = collectMoves(cube);
+    cube.notify(move(13, 1, 0, 1500));
+    cube.notify(move(14, 0, 1, 1700));
+    cube.notify(solvedFacelets(14));
+    const session = JSON.parse(JSON.stringify(recorder.stop()));
+    cube.resetState();
+
+    assert.deepStrictEqual(cube.sent, ['REQUEST_FACELETS']);
+    assert.deepStrictEqual(session.decoderState, { lastSerial: 12 });
+    assert.deepStrictEqual(liveMoves, ['R', 'U\'']);
+
+    const replay = new PacketReplay(session);
+    const driver = replay.createDriver();
+    const replayedMoves = collectMoves(driver);
+    driver.prepareReplay(replay.session);
+    await replay.play(driver, Infinity);
+    driver.resetState();
+
+    assert.deepStrictEqual(replayedMoves, liveMoves);
+});
@@ -0,0 +1,50 @@
+/**
+ * Phase trend tests: run with `node --test tests/`
+ * The browser scripts are loaded into a global that stands in for window
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.window = global;
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'phase-trends.js'), 'utf8'), { filename: 'phase-trends.js' });
+
+// A solve at noon of a day whose phases all took time ms in 10 moves
+const solve = (day, time, sessionId = 'a') => {
+    const phase = { time: time, moveCount: 10 };
+    return {
+        date: new Date(2026, 0, day, 12).getTime(),
+        sessionId: sessionId,
+        penalty: null,
+        totalMoves: 70,
+        phases: {
+            cross: phase,
+            f2l: { pair1: phase, pair2: phase, pair3: phase, pair4: phase },
+            oll: phase,
+            pll: phase
+        }
+    };
+};
+
+test('the daily trend counts skipped days', () => {
+    const trends = new PhaseTrends();
+    // 3 s, then 2.4 s three days later and 2.2 s the day after: 0.2 s less per day
+    const groups = trends.analyze([solve(1, 3000), solve(4, 2400), solve(5, 2200)], 'day');
+    const cross = trends.getTrends(groups).cross;
+
+    assert.deepStrictEqual(groups.map(group => group.position - groups[0].position), [0, 3, 4]);
+    assert.ok(Math.abs(cross.slope + 200) < 1e-9);
+    assert.ok(Math.abs(cross.start - 3000) < 1e-9);
+    assert.ok(Math.abs(cross.end - 2200) < 1e-9);
+});
+
+test('the session trend is per session', () => {
+    const trends = new PhaseTrends();
+    const groups = trends.analyze([solve(1, 3000, 'a'), solve(4, 2400, 'b'), solve(5, 1800, 'c')], 'session');
+
+    assert.deepStrictEqual(groups.map(group => group.position), [0, 1, 2]);
+    assert.ok(Math.abs(trends.getTrends(groups).cross.slope + 600) < 1e-9);
+});
@@ -0,0 +1,144 @@
+/**
+ * Solve parser tests: run with `node --test tests/`
+ * The browser scripts are loaded into a global that stands in for window
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.window = global;
+global.localStorage = { getItem: () => null, setItem: () => {} };
+['notation.js', 'clock.js', 'cube-model.js', 'last-layer.js', 'alg-library.js', 'f2l.js', 'cross-solver.js', 'solve-parser.js'].forEach((file) => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), { filename: file });
+});
+console.log = () => {};
+
+// Quaternion of a whole-cube rotation in the gyro's axes (x to R, y to B, z to U)
+const rotationQuaternion = (rotation) => {
+    const { family, turns } = Notation.parseMove(rotation);
+    const half = -turns * Math.PI / 4;
+    const axis = { x: { x: 1, y: 0, z: 0 }, y: { x: 0, y: 0, z: 1 }, z: { x: 0, y: -1, z: 0 } }[family];
+    return { w: Math.cos(half), x: axis.x * Math.sin(half), y: axis.y * Math.sin(half), z: axis.z * Math.sin(half) };
+};
+
+const multiply = (a, b) => ({
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w
+});
+
+// Turns a solver makes, as a smart cube reports them: every turn is named by
+// the center it turns, so a slice is the two outer faces and a wide turn the
+// opposite face, while the centers (and the gyro) turn with them
+const report = (moves, facelets) => {
+    const cube = new CubeModel(facelets);
+    // Reported faces and the rotation of the centers per turn, sign for its direction
+    const slices = { M: ['R', 'L', 'x', -1], E: ['U', 'D', 'y', -1], S: ['B', 'F', 'z', 1] };
+    const wides = { r: ['x', 1], l: ['x', -1], u: ['y', 1], d: ['y', -1], f: ['z', 1], b: ['z', -1] };
+    const turn = (family, amount) => Notation.formatMove({ family: family, turns: (4 + amount) % 4 });
+    let orientation = { w: 1, x: 0, y: 0, z: 0 };
+
+    return Notation.parse(moves).map((move) => {
+        const { family, turns } = Notation.parseMove(move);
+        const kind = Notation.getKind(family);
+        let reported = [];
+        let rotation = null;
+        if (kind === 'slice') {
+            const [positive, negative, axis, sign] = slices[family];
+            reported = [turn(cube.getCenter(positive), turns), turn(cube.getCenter(negative), -turns)];
+            rotation = turn(axis, sign * turns);
+        } else if (kind === 'wide') {
+            const [axis, sign] = wides[family];
+            reported = [turn(cube.getCenter(cube.getOppositeFace(family.toUpperCase())), turns)];
+            rotation = turn(axis, sign * turns);
+        } else if (kind === 'rotation') {
+            rotation = move;
+        } else {
+            reported = [turn(cube.getCenter(family), turns)];
+        }
+        cube.applyMove(move);
+        if (rotation) {
+            orientation = multiply(rotationQuaternion(rotation), orientation);
+        }
+        return { moves: reported, quaternion: orientation };
+    });
+};
+
+// Record a solve of moves from the state they solve, one turn every 500 ms and
+// a rotation 50 ms after the turn before it; with gyro, the cube's orientation
+// is sampled before the solve and after every turn and rotation
+const recordSolve = (moves, gyro = false) => {
+    const start = new CubeModel().applyAlgorithm(Notation.format(Notation.invert(moves)));
+    const parser = new SolveParser();
+    if (gyro) {
+        parser.addOrientation({ timestamp: 0, quaternion: { w: 1, x: 0, y: 0, z: 0 } });
+    }
+    // The cube reports its facelets with the centers at home
+    parser.startSolve('', 0, new CubeModel(start.getFacelets()).normalizeOrientation().getFacelets());
+    let timestamp = 1000;
+    report(moves, start.getFacelets()).forEach((turn) => {
+        if (turn.moves.length === 0) {
+            if (gyro) {
+                parser.addOrientation({ timestamp: timestamp - 450, quaternion: turn.quaternion });
+            }
+            return;
+        }
+        turn.moves.forEach(move => parser.addMove({ move: move, timestamp: timestamp, duration: 0 }));
+        if (gyro) {
+            parser.addOrientation({ timestamp: timestamp, quaternion: turn.quaternion });
+        }
+        timestamp += 500;
+    });
+    return { parser: parser, solve: parser.stopSolve(timestamp) };
+};
+
+test('slices are merged and later moves renamed, while states follow the cube', () => {
+    const { solve } = recordSolve('M\' M\' U M U2 M\' U M M2 U M2 U2 M2 U M2');
+
+    assert.strictEqual(Notation.format(solve.moves.map(move => move.notation)), 'M\' M\' B M B2 M\' B M M2 B M2 B2 M2 B M2');
+    assert.strictEqual(solve.moves[0].cubeNotation, 'R\' L');
+    assert.strictEqual(solve.moves[2].cubeNotation, 'F');
+    assert.strictEqual(solve.moves[2].frame, 'x2');
+    assert.strictEqual(solve.phaseDetection, 'state');
+});
+
+test('last layer phases after a slice read in the solver frame', () => {
+    const { parser, solve } = recordSolve('M\' M\' U M U2 M\' U M M2 U M2 U2 M2 U M2');
+
+    assert.strictEqual(solve.phases.oll.algorithm, 'OLL 28');
+    assert.strictEqual(solve.phases.oll.execution, 'M\' U M U2 M\' U M');
+    assert.strictEqual(solve.phases.pll.algorithm, 'H Perm');
+    assert.strictEqual(solve.phases.pll.execution, 'M2 U M2 U2 M2 U M2');
+
+    parser.reanalyzeSolve(solve);
+    assert.strictEqual(solve.phases.oll.algorithm, 'OLL 28');
+    assert.strictEqual(solve.phases.pll.execution, 'M2 U M2 U2 M2 U M2');
+});
+
+test('an outer turn with the centers turning along is a wide turn when the cube has a gyro', () => {
+    const { solve } = recordSolve('r U R\' U\' r\' F R F\'', true);
+
+    assert.strictEqual(Notation.format(solve.moves.map(move => move.notation)), 'r U R\' U\' r\' F R F\'');
+    assert.strictEqual(solve.moves[0].cubeNotation, 'L');
+    assert.strictEqual(solve.phases.oll.execution, 'r U R\' U\' r\' F R F\'');
+});
+
+test('a rotation right after a turn is a wide turn only when it follows the opposite face', () => {
+    // L x is the same as r; L x' is not a wide turn
+    const wide = recordSolve('L x U x\' R\'', true).solve;
+    assert.strictEqual(Notation.format(wide.moves.map(move => move.notation)), 'r U R\'');
+
+    const outer = recordSolve('L x\' U x R\'', true).solve;
+    assert.strictEqual(Notation.format(outer.moves.map(move => move.notation)), 'L B R\'');
+});
+
+test('without a gyro a wide turn stays a turn of the opposite face', () => {
+    const { solve } = recordSolve('r U R\' U\' r\' F R F\'');
+
+    assert.strictEqual(solve.moves[0].notation, 'L');
+    assert.strictEqual(solve.moves[0].cubeNotation, 'L');
+});
@@ -0,0 +1,69 @@
+/**
+ * Solve statistics tests: run with `node --test tests/`
+ * The browser scripts are loaded into a global that stands in for window
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.window = global;
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'solve-stats.js'), 'utf8'), { filename: 'solve-stats.js' });
+
+const DNF = Infinity;
+const seconds = values => values.map(value => value * 1000);
+
+// Current value of one average over results given in seconds
+const averageOf = (results, name) => {
+    const statistics = new SolveStatistics([5, 12], [3]);
+    statistics.reset(seconds(results));
+    return statistics.getStats().averages[name].current;
+};
+
+test('ao5 drops the best and worst result', () => {
+    assert.strictEqual(averageOf([1, 2, 3, 4, 5], 'ao5'), 3000);
+    assert.strictEqual(averageOf([5, 1, 4, 2, 3], 'ao5'), 3000);
+});
+
+test('ao5 with one DNF drops it as the worst result', () => {
+    assert.strictEqual(averageOf([1, 2, 3, 4, DNF], 'ao5'), 3000);
+    assert.strictEqual(averageOf([5, 2, DNF, 3, 4], 'ao5'), 4000);
+});
+
+test('ao5 with two DNFs is DNF', () => {
+    assert.strictEqual(averageOf([1, DNF, 3, 4, DNF], 'ao5'), Infinity);
+});
+
+test('ao12 drops one result at each end, DNFs first among the worst', () => {
+    assert.strictEqual(averageOf([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], 'ao12'), 6500);
+    assert.strictEqual(averageOf([1, 2, 3, 4, 5, 6, DNF, 7, 8, 9, 10, 11], 'ao12'), 6500);
+    assert.strictEqual(averageOf([1, 2, 3, 4, 5, 6, DNF, 7, 8, 9, 10, DNF], 'ao12'), Infinity);
+});
+
+test('mo3 keeps every result, so one DNF makes it DNF', () => {
+    assert.strictEqual(averageOf([1, 2, 3], 'mo3'), 2000);
+    assert.strictEqual(averageOf([1, DNF, 3], 'mo3'), Infinity);
+});
+
+test('the window rolls and the best average is kept', () => {
+    const statistics = new SolveStatistics([5], [3]);
+    seconds([5, 1, 2, 3, 4, DNF, DNF]).forEach(result => statistics.push(result));
+    const { ao5 } = statistics.getStats().averages;
+
+    // Windows: 5 1 2 3 4 = 3, 1 2 3 4 DNF = 3, 2 3 4 DNF DNF = DNF
+    assert.strictEqual(ao5.current, Infinity);
+    assert.strictEqual(ao5.best, 3000);
+});
+
+test('reset() gives the same statistics as pushing one result at a time', () => {
+    const results = seconds([12.1, 9.8, DNF, 11.4, 10.2, 13.7, DNF, 9.1, 10.9, 12.6, 11.1, DNF, 10.4, 9.9, 14.2, 10.8]);
+    const incremental = new SolveStatistics([5, 12], [3]);
+    results.forEach(result => incremental.push(result));
+    const rebuilt = new SolveStatistics([5, 12], [3]);
+    rebuilt.reset(results);
+
+    assert.deepStrictEqual(rebuilt.getStats(), incremental.getStats());
+    assert.strictEqual(rebuilt.getStats().dnf, 3);
+});
@@ -0,0 +1,40 @@
+/**
+ * Virtual cube tests: run with `node --test tests/`
+ * The browser scripts are loaded into a global that stands in for window
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.window = global;
+['notation.js', 'clock.js', 'cube-model.js', 'cube-driver.js', 'virtual-cube.js'].forEach((file) => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), { filename: file });
+});
+console.log = () => {};
+
+const connectCube = async () => {
+    const cube = new VirtualCube();
+    await cube.connect();
+    cube.played = [];
+    cube.on('moveData', data => cube.played.push(data.move));
+    return cube;
+};
+
+test('a script plays each step at its own time', async () => {
+    const cube = await connectCube();
+    await cube.playScript([{ move: 'U', time: 20 }, { move: 'R2', time: 0 }, { move: 'F\'', time: 10 }]);
+
+    assert.deepStrictEqual(cube.played, ['R', 'R', 'F\'', 'U']);
+});
+
+test('a script step that is not exactly one move is refused before playing', async () => {
+    const cube = await connectCube();
+
+    assert.throws(() => cube.playScript([{ move: 'R', time: 0 }, { move: 'R U', time: 10 }]), /one move/);
+    assert.throws(() => cube.playScript([{ move: '', time: 0 }]), /one move/);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepStrictEqual(cube.played, []);
+});
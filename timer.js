@@ -1,20 +1,42 @@
 /**
  * Timer Module
  * Handles solve timing functionality
+ *
+ * With inspection enabled, a solve goes idle -> inspecting -> running. The
+ * inspection counts up to WCA's 15 seconds, emitting 'inspectionWarning' at
+ * 8 and 12 seconds; starting late earns +2, and after 17 seconds DNF.
+ *
+ * split() marks the end of a solve phase while running; the splits of the
+ * current solve are kept until the next start or reset.
  */
 
 class Timer {
-    constructor() {
+    /**
+     * clock is the app's shared time base; start/stop timestamps are on it
+     */
+    constructor(clock = new Clock()) {
+        this.clock = clock;
         this.startTime = null;
         this.endTime = null;
         this.isRunning = false;
         this.isPaused = false;
         this.currentTime = 0;
         this.intervalId = null;
+        this.splits = []; // { name, time, formatted, timestamp } of the current solve
         this.eventListeners = new Map();
         
         // Display update frequency (60 FPS for smooth display)
         this.updateInterval = 16; // ~60 FPS
+
+        // WCA inspection (regulation A3a)
+        this.inspectionEnabled = false;
+        this.isInspecting = false;
+        this.inspectionStart = null;
+        this.inspectionWarned = [];
+        this.inspection = null; // { duration, penalty } of the last started solve
+        this.INSPECTION_TIME = 15000;
+        this.INSPECTION_WARNINGS = [8000, 12000];
+        this.INSPECTION_DNF_TIME = 17000;
     }
 
     /**
@@ -37,18 +59,96 @@ class Timer {
     }
 
     /**
-     * Start the timer
+     * Start inspection; the solve starts with start()
+     */
+    startInspection() {
+        if (this.isRunning || this.isInspecting) {
+            return false;
+        }
+
+        this.isInspecting = true;
+        this.inspectionStart = this.clock.now();
+        this.inspectionWarned = [];
+        this.inspection = null;
+
+        this.intervalId = setInterval(() => {
+            const elapsed = this.clock.now() - this.inspectionStart;
+            this.INSPECTION_WARNINGS
+                .filter(warning => elapsed >= warning && !this.inspectionWarned.includes(warning))
+                .forEach((warning) => {
+                    this.inspectionWarned.push(warning);
+                    this.emit('inspectionWarning', { seconds: warning / 1000 });
+                });
+            this.emit('inspectionTick', {
+                elapsed: elapsed,
+                penalty: this.getInspectionPenalty(elapsed),
+                formatted: this.formatInspection(elapsed)
+            });
+        }, this.updateInterval);
+
+        this.emit('inspectionStart', { startTime: this.inspectionStart });
+        console.log('Inspection started');
+        return true;
+    }
+
+    /**
+     * End inspection without starting a solve
+     */
+    cancelInspection() {
+        if (!this.isInspecting) {
+            return false;
+        }
+
+        this.isInspecting = false;
+        this.inspectionStart = null;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        return true;
+    }
+
+    /**
+     * Penalty for starting after an inspection of this length: null, '+2' or 'DNF'
+     */
+    getInspectionPenalty(duration) {
+        if (duration > this.INSPECTION_DNF_TIME) {
+            return 'DNF';
+        }
+        return duration > this.INSPECTION_TIME ? '+2' : null;
+    }
+
+    /**
+     * Inspection display: seconds left, then +2 and DNF
+     */
+    formatInspection(elapsed) {
+        const penalty = this.getInspectionPenalty(elapsed);
+        return penalty || String(Math.ceil((this.INSPECTION_TIME - elapsed) / 1000));
+    }
+
+    /**
+     * Start the timer, at startTime on the shared clock (e.g. the first move)
+     * Ends a running inspection and records its duration and penalty
      */
-    start() {
+    start(startTime = this.clock.now()) {
         if (this.isRunning) {
             return false;
         }
 
-        this.startTime = performance.now();
+        if (this.isInspecting) {
+            const duration = startTime - this.inspectionStart;
+            this.inspection = { duration: duration, penalty: this.getInspectionPenalty(duration) };
+            this.cancelInspection();
+        } else {
+            this.inspection = null;
+        }
+
+        this.startTime = startTime;
         this.endTime = null;
         this.isRunning = true;
         this.isPaused = false;
         this.currentTime = 0;
+        this.splits = [];
 
         // Start the display update interval
         this.intervalId = setInterval(() => {
@@ -60,7 +160,8 @@ class Timer {
         }, this.updateInterval);
 
         this.emit('start', {
-            startTime: this.startTime
+            startTime: this.startTime,
+            inspection: this.inspection
         });
 
         console.log('Timer started');
@@ -68,14 +169,14 @@ class Timer {
     }
 
     /**
-     * Stop the timer
+     * Stop the timer, at endTime on the shared clock (e.g. the solving move)
      */
-    stop() {
+    stop(endTime = this.clock.now()) {
         if (!this.isRunning) {
             return false;
         }
 
-        this.endTime = performance.now();
+        this.endTime = endTime;
         this.isRunning = false;
         this.isPaused = false;
         
@@ -110,7 +211,7 @@ class Timer {
         }
 
         this.isPaused = true;
-        this.endTime = performance.now();
+        this.endTime = this.clock.now();
         
         // Clear the interval but keep timer state
         if (this.intervalId) {
@@ -136,7 +237,7 @@ class Timer {
         }
 
         // Adjust start time to account for pause duration
-        const pauseDuration = performance.now() - this.endTime;
+        const pauseDuration = this.clock.now() - this.endTime;
         this.startTime += pauseDuration;
         this.endTime = null;
         this.isPaused = false;
@@ -165,11 +266,14 @@ class Timer {
     reset() {
         const wasRunning = this.isRunning;
         
+        this.cancelInspection();
+        this.inspection = null;
         this.startTime = null;
         this.endTime = null;
         this.isRunning = false;
         this.isPaused = false;
         this.currentTime = 0;
+        this.splits = [];
 
         // Clear the interval
         if (this.intervalId) {
@@ -190,7 +294,7 @@ class Timer {
      */
     updateCurrentTime() {
         if (this.startTime) {
-            const endTime = this.endTime || performance.now();
+            const endTime = this.endTime || this.clock.now();
             this.currentTime = endTime - this.startTime;
         }
     }
@@ -253,6 +357,7 @@ class Timer {
      */
     getState() {
         return {
+            isInspecting: this.isInspecting,
             isRunning: this.isRunning,
             isPaused: this.isPaused,
             currentTime: this.getCurrentTime(),
@@ -269,6 +374,13 @@ class Timer {
         return this.isRunning;
     }
 
+    /**
+     * Check if inspection is counting
+     */
+    getIsInspecting() {
+        return this.isInspecting;
+    }
+
     /**
      * Check if timer is paused
      */
@@ -284,28 +396,39 @@ class Timer {
             return 0;
         }
         
-        const endTime = this.endTime || performance.now();
+        const endTime = this.endTime || this.clock.now();
         return endTime - this.startTime;
     }
 
     /**
      * Split time functionality for lap timing
+     * name labels the phase that ended (e.g. 'cross'); timestamp is on the
+     * shared clock, so a split can be placed on the move that ended the phase
      */
-    split() {
+    split(name = null, timestamp = this.clock.now()) {
         if (!this.isRunning) {
             return null;
         }
 
-        const splitTime = this.getCurrentTime();
+        const splitTime = timestamp - this.startTime;
         const split = {
+            name: name,
             time: splitTime,
             formatted: this.formatTime(splitTime),
-            timestamp: performance.now()
+            timestamp: timestamp
         };
 
+        this.splits.push(split);
         this.emit('split', split);
         return split;
     }
+
+    /**
+     * Splits of the current solve, oldest first
+     */
+    getSplits() {
+        return this.splits;
+    }
 }
 
 // Export for use in other modules
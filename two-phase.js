@@ -0,0 +1,429 @@
+/**
+ * Two-Phase Solver Module
+ * Kociemba's two-phase algorithm on cubie-level coordinates
+ *
+ * Phase 1 brings the cube into the subgroup <U, D, R2, L2, F2, B2> (all
+ * corners and edges oriented, E-slice edges in the E slice); phase 2 solves it
+ * with those moves only. Both phases are IDA* searches guided by pruning
+ * tables, and phase 1 keeps looking for a while to shorten the total.
+ *
+ * The tables take a few seconds to build, so this runs in solver-worker.js
+ * and the built tables can be exported and cached.
+ */
+
+// Cubie permutation and orientation of the six clockwise face turns
+// Corners URF, UFL, ULB, UBR, DFR, DLF, DBL, DRB; edges UR, UF, UL, UB, DR, DF, DL, DB, FR, FL, BL, BR
+const TWO_PHASE_BASIC_MOVES = {
+    U: { cp: [3, 0, 1, 2, 4, 5, 6, 7], co: [0, 0, 0, 0, 0, 0, 0, 0],
+        ep: [3, 0, 1, 2, 4, 5, 6, 7, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    R: { cp: [4, 1, 2, 0, 7, 5, 6, 3], co: [2, 0, 0, 1, 1, 0, 0, 2],
+        ep: [8, 1, 2, 3, 11, 5, 6, 7, 4, 9, 10, 0], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    F: { cp: [1, 5, 2, 3, 0, 4, 6, 7], co: [1, 2, 0, 0, 2, 1, 0, 0],
+        ep: [0, 9, 2, 3, 4, 8, 6, 7, 1, 5, 10, 11], eo: [0, 1, 0, 0, 0, 1, 0, 0, 1, 1, 0, 0] },
+    D: { cp: [0, 1, 2, 3, 5, 6, 7, 4], co: [0, 0, 0, 0, 0, 0, 0, 0],
+        ep: [0, 1, 2, 3, 5, 6, 7, 4, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    L: { cp: [0, 2, 6, 3, 4, 1, 5, 7], co: [0, 1, 2, 0, 0, 2, 1, 0],
+        ep: [0, 1, 10, 3, 4, 5, 9, 7, 8, 2, 6, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    B: { cp: [0, 1, 3, 7, 4, 5, 2, 6], co: [0, 0, 1, 2, 0, 0, 2, 1],
+        ep: [0, 1, 2, 11, 4, 5, 6, 10, 8, 9, 3, 7], eo: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1] }
+};
+
+class TwoPhaseSolver {
+    constructor(tables = null) {
+        this.FACES = 'URFDLB';
+        this.MOVES = this.FACES.split('').flatMap(face => [face, `${face}2`, `${face}'`]);
+        // Moves that keep a cube inside the phase 2 group
+        this.PHASE2_MOVES = [0, 1, 2, 4, 7, 9, 10, 11, 13, 16];
+
+        this.N_TWIST = 2187;
+        this.N_FLIP = 2048;
+        this.N_SLICE = 495;
+        this.N_PERM8 = 40320;
+        this.N_SLICE_PERM = 24;
+
+        this.tables = tables || this.buildTables();
+    }
+
+    // --- Cubie level ---
+
+    static identity() {
+        return {
+            cp: [0, 1, 2, 3, 4, 5, 6, 7], co: [0, 0, 0, 0, 0, 0, 0, 0],
+            ep: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+        };
+    }
+
+    /**
+     * Cube a followed by move b
+     */
+    static multiply(a, b) {
+        return {
+            cp: b.cp.map(from => a.cp[from]),
+            co: b.cp.map((from, i) => (a.co[from] + b.co[i]) % 3),
+            ep: b.ep.map(from => a.ep[from]),
+            eo: b.ep.map((from, i) => (a.eo[from] + b.eo[i]) % 2)
+        };
+    }
+
+    /**
+     * The 18 face turns as cubie cubes, in MOVES order
+     */
+    static getMoveCubes() {
+        if (!TwoPhaseSolver.moveCubes) {
+            TwoPhaseSolver.moveCubes = 'URFDLB'.split('').flatMap((face) => {
+                const quarter = TWO_PHASE_BASIC_MOVES[face];
+                const half = TwoPhaseSolver.multiply(quarter, quarter);
+                return [quarter, half, TwoPhaseSolver.multiply(half, quarter)];
+            });
+        }
+        return TwoPhaseSolver.moveCubes;
+    }
+
+    /**
+     * Check that a cubie state is a reachable cube
+     * Returns an error message, or null when it is valid
+     */
+    static validate({ cp, co, ep, eo }) {
+        if (new Set(cp).size !== 8 || new Set(ep).size !== 12) {
+            return 'Some pieces appear twice';
+        }
+        if (co.reduce((sum, value) => sum + value, 0) % 3 !== 0) {
+            return 'A corner is twisted';
+        }
+        if (eo.reduce((sum, value) => sum + value, 0) % 2 !== 0) {
+            return 'An edge is flipped';
+        }
+        if (TwoPhaseSolver.parity(cp) !== TwoPhaseSolver.parity(ep)) {
+            return 'Two pieces are swapped';
+        }
+        return null;
+    }
+
+    static parity(permutation) {
+        let parity = 0;
+        for (let i = 0; i < permutation.length; i++) {
+            for (let j = i + 1; j < permutation.length; j++) {
+                if (permutation[i] > permutation[j]) {
+                    parity ^= 1;
+                }
+            }
+        }
+        return parity;
+    }
+
+    // --- Coordinates ---
+
+    static getTwist(cube) {
+        return cube.co.slice(0, 7).reduce((twist, value) => twist * 3 + value, 0);
+    }
+
+    static setTwist(cube, twist) {
+        let sum = 0;
+        for (let i = 6; i >= 0; i--) {
+            cube.co[i] = twist % 3;
+            sum += cube.co[i];
+            twist = Math.floor(twist / 3);
+        }
+        cube.co[7] = (3 - sum % 3) % 3;
+    }
+
+    static getFlip(cube) {
+        return cube.eo.slice(0, 11).reduce((flip, value) => flip * 2 + value, 0);
+    }
+
+    static setFlip(cube, flip) {
+        let sum = 0;
+        for (let i = 10; i >= 0; i--) {
+            cube.eo[i] = flip % 2;
+            sum += cube.eo[i];
+            flip = Math.floor(flip / 2);
+        }
+        cube.eo[11] = sum % 2;
+    }
+
+    /**
+     * Which four positions hold the E-slice edges (FR, FL, BL, BR), 0 when in the E slice
+     */
+    static getSlice(cube) {
+        let slice = 0;
+        let found = 0;
+        for (let j = 11; j >= 0; j--) {
+            if (cube.ep[j] >= 8) {
+                slice += TwoPhaseSolver.choose(11 - j, found + 1);
+                found++;
+            }
+        }
+        return slice;
+    }
+
+    static setSlice(cube, slice) {
+        const others = [0, 1, 2, 3, 4, 5, 6, 7];
+        const sliceEdges = [8, 9, 10, 11];
+        let found = 4;
+        for (let j = 0; j < 12; j++) {
+            // Positions are filled from the front, undoing getSlice's sum
+            const value = TwoPhaseSolver.choose(11 - j, found);
+            if (found > 0 && slice >= value) {
+                slice -= value;
+                cube.ep[j] = sliceEdges[4 - found];
+                found--;
+            } else {
+                cube.ep[j] = others.shift();
+            }
+        }
+    }
+
+    static choose(n, k) {
+        if (k < 0 || k > n) {
+            return 0;
+        }
+        let result = 1;
+        for (let i = 0; i < k; i++) {
+            result = result * (n - i) / (i + 1);
+        }
+        return Math.round(result);
+    }
+
+    /**
+     * Rank of a permutation of 0..n-1 (Lehmer code)
+     */
+    static encodePermutation(permutation) {
+        let rank = 0;
+        for (let i = 0; i < permutation.length; i++) {
+            let smaller = 0;
+            for (let j = i + 1; j < permutation.length; j++) {
+                if (permutation[j] < permutation[i]) {
+                    smaller++;
+                }
+            }
+            rank = rank * (permutation.length - i) + smaller;
+        }
+        return rank;
+    }
+
+    static decodePermutation(rank, n) {
+        const digits = new Array(n);
+        for (let i = n - 1; i >= 0; i--) {
+            digits[i] = rank % (n - i);
+            rank = Math.floor(rank / (n - i));
+        }
+        const available = Array.from({ length: n }, (_, i) => i);
+        return digits.map(digit => available.splice(digit, 1)[0]);
+    }
+
+    static getCornerPerm(cube) {
+        return TwoPhaseSolver.encodePermutation(cube.cp);
+    }
+
+    static setCornerPerm(cube, rank) {
+        cube.cp = TwoPhaseSolver.decodePermutation(rank, 8);
+    }
+
+    /**
+     * Permutation of the eight U and D layer edges; valid in phase 2 only
+     */
+    static getEdgePerm(cube) {
+        return TwoPhaseSolver.encodePermutation(cube.ep.slice(0, 8));
+    }
+
+    static setEdgePerm(cube, rank) {
+        cube.ep = [...TwoPhaseSolver.decodePermutation(rank, 8), 8, 9, 10, 11];
+    }
+
+    /**
+     * Permutation of the four E-slice edges within the slice; valid in phase 2 only
+     */
+    static getSlicePerm(cube) {
+        return TwoPhaseSolver.encodePermutation(cube.ep.slice(8).map(edge => edge - 8));
+    }
+
+    static setSlicePerm(cube, rank) {
+        cube.ep = [0, 1, 2, 3, 4, 5, 6, 7, ...TwoPhaseSolver.decodePermutation(rank, 4).map(edge => edge + 8)];
+    }
+
+    // --- Tables ---
+
+    /**
+     * Move tables of every coordinate and the four pruning tables
+     */
+    buildTables() {
+        const move = (size, set, get, moves) => {
+            const table = new Uint16Array(size * 18);
+            const moveCubes = TwoPhaseSolver.getMoveCubes();
+            for (let coordinate = 0; coordinate < size; coordinate++) {
+                const cube = TwoPhaseSolver.identity();
+                set(cube, coordinate);
+                moves.forEach((m) => {
+                    table[coordinate * 18 + m] = get(TwoPhaseSolver.multiply(cube, moveCubes[m]));
+                });
+            }
+            return table;
+        };
+        const allMoves = Array.from({ length: 18 }, (_, m) => m);
+
+        const twistMove = move(this.N_TWIST, TwoPhaseSolver.setTwist, TwoPhaseSolver.getTwist, allMoves);
+        const flipMove = move(this.N_FLIP, TwoPhaseSolver.setFlip, TwoPhaseSolver.getFlip, allMoves);
+        const sliceMove = move(this.N_SLICE, TwoPhaseSolver.setSlice, TwoPhaseSolver.getSlice, allMoves);
+        const cornerMove = move(this.N_PERM8, TwoPhaseSolver.setCornerPerm, TwoPhaseSolver.getCornerPerm, this.PHASE2_MOVES);
+        const edgeMove = move(this.N_PERM8, TwoPhaseSolver.setEdgePerm, TwoPhaseSolver.getEdgePerm, this.PHASE2_MOVES);
+        const slicePermMove = move(this.N_SLICE_PERM, TwoPhaseSolver.setSlicePerm, TwoPhaseSolver.getSlicePerm, this.PHASE2_MOVES);
+
+        return {
+            twistMove, flipMove, sliceMove, cornerMove, edgeMove, slicePermMove,
+            twistSlicePrune: this.buildPruning(this.N_TWIST, this.N_SLICE, twistMove, sliceMove, allMoves),
+            flipSlicePrune: this.buildPruning(this.N_FLIP, this.N_SLICE, flipMove, sliceMove, allMoves),
+            cornerSlicePrune: this.buildPruning(this.N_PERM8, this.N_SLICE_PERM, cornerMove, slicePermMove, this.PHASE2_MOVES),
+            edgeSlicePrune: this.buildPruning(this.N_PERM8, this.N_SLICE_PERM, edgeMove, slicePermMove, this.PHASE2_MOVES)
+        };
+    }
+
+    /**
+     * Distance to solved of every pair of two coordinates, found breadth-first
+     */
+    buildPruning(sizeA, sizeB, moveA, moveB, moves) {
+        const table = new Int8Array(sizeA * sizeB).fill(-1);
+        table[0] = 0;
+        let filled = 1;
+
+        for (let depth = 0, before = 0; filled < table.length && filled > before; depth++) {
+            before = filled;
+            for (let index = 0; index < table.length; index++) {
+                if (table[index] !== depth) {
+                    continue;
+                }
+                const a = Math.floor(index / sizeB);
+                const b = index % sizeB;
+                for (const m of moves) {
+                    const next = moveA[a * 18 + m] * sizeB + moveB[b * 18 + m];
+                    if (table[next] === -1) {
+                        table[next] = depth + 1;
+                        filled++;
+                    }
+                }
+            }
+        }
+        return table;
+    }
+
+    // --- Search ---
+
+    /**
+     * Solve a cubie state
+     * Keeps shortening the solution until none shorter exists, a solution of
+     * targetLength moves or less is found, or timeLimit (ms) has passed.
+     * Returns the moves as a list.
+     */
+    solve(cube, { targetLength = 0, timeLimit = 1000 } = {}) {
+        const error = TwoPhaseSolver.validate(cube);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const t = this.tables;
+        const started = Date.now();
+        const twist = TwoPhaseSolver.getTwist(cube);
+        const flip = TwoPhaseSolver.getFlip(cube);
+        const slice = TwoPhaseSolver.getSlice(cube);
+        const moveCubes = TwoPhaseSolver.getMoveCubes();
+
+        let best = null;
+        const path = [];
+
+        const phase1Bound = (tw, fl, sl) => Math.max(
+            t.twistSlicePrune[tw * this.N_SLICE + sl],
+            t.flipSlicePrune[fl * this.N_SLICE + sl]);
+
+        const phase2 = (corner, edge, slicePerm, depth, lastFace, moves) => {
+            if (depth === 0) {
+                return corner === 0 && edge === 0 && slicePerm === 0;
+            }
+            const bound = Math.max(
+                t.cornerSlicePrune[corner * this.N_SLICE_PERM + slicePerm],
+                t.edgeSlicePrune[edge * this.N_SLICE_PERM + slicePerm]);
+            if (bound > depth) {
+                return false;
+            }
+            for (const m of this.PHASE2_MOVES) {
+                const face = Math.floor(m / 3);
+                if (this.isRedundant(face, lastFace)) {
+                    continue;
+                }
+                moves.push(m);
+                if (phase2(t.cornerMove[corner * 18 + m], t.edgeMove[edge * 18 + m],
+                    t.slicePermMove[slicePerm * 18 + m], depth - 1, face, moves)) {
+                    return true;
+                }
+                moves.pop();
+            }
+            return false;
+        };
+
+        // Continue with phase 2 from the end of a phase 1 solution
+        const startPhase2 = () => {
+            let state = cube;
+            path.forEach((m) => {
+                state = TwoPhaseSolver.multiply(state, moveCubes[m]);
+            });
+            const corner = TwoPhaseSolver.getCornerPerm(state);
+            const edge = TwoPhaseSolver.getEdgePerm(state);
+            const slicePerm = TwoPhaseSolver.getSlicePerm(state);
+            const limit = (best ? best.length - 1 : 30) - path.length;
+            const lastFace = path.length > 0 ? Math.floor(path[path.length - 1] / 3) : -1;
+
+            for (let depth = 0; depth <= limit; depth++) {
+                const moves = [];
+                if (phase2(corner, edge, slicePerm, depth, lastFace, moves)) {
+                    best = [...path, ...moves];
+                    return;
+                }
+            }
+        };
+
+        const done = () => best && (best.length <= targetLength || Date.now() - started > timeLimit);
+
+        const phase1 = (tw, fl, sl, depth, lastFace) => {
+            if (depth === 0) {
+                // A phase 1 ending in a phase 2 move was already tried one move shorter
+                const last = path[path.length - 1];
+                if (tw === 0 && fl === 0 && sl === 0 && (path.length === 0 || !this.PHASE2_MOVES.includes(last))) {
+                    startPhase2();
+                }
+                return done();
+            }
+            if (phase1Bound(tw, fl, sl) > depth) {
+                return false;
+            }
+            for (let m = 0; m < 18; m++) {
+                const face = Math.floor(m / 3);
+                if (this.isRedundant(face, lastFace)) {
+                    continue;
+                }
+                path.push(m);
+                const stop = phase1(t.twistMove[tw * 18 + m], t.flipMove[fl * 18 + m], t.sliceMove[sl * 18 + m], depth - 1, face);
+                path.pop();
+                if (stop) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        for (let depth = 0; depth <= 20 && !(best && depth >= best.length); depth++) {
+            if (phase1(twist, flip, slice, depth, -1)) {
+                break;
+            }
+        }
+        return best ? best.map(m => this.MOVES[m]) : null;
+    }
+
+    /**
+     * Same face twice in a row, or D after U style orders of opposite faces,
+     * only repeat what a shorter sequence already covers
+     */
+    isRedundant(face, lastFace) {
+        return face === lastFace || ((face + 3) % 6 === lastFace && face < lastFace);
+    }
+}
+
+// Export for use in the page and in the solver worker
+self.TwoPhaseSolver = TwoPhaseSolver;
@@ -0,0 +1,277 @@
+/**
+ * Virtual Cube Module
+ * Software cube driver fed by keyboard, typed notation or scripted moves
+ *
+ * Emits the same events as the Bluetooth drivers, so the full
+ * timer -> SolveParser -> summary flow works without hardware.
+ */
+
+class VirtualCube extends SmartCubeDriver {
+    constructor() {
+        super();
+
+        // csTimer-style key bindings
+        this.KEY_MAP = {
+            j: 'U', f: 'U\'',
+            i: 'R', k: 'R\'',
+            d: 'L', e: 'L\'',
+            h: 'F', g: 'F\'',
+            s: 'D', l: 'D\'',
+            w: 'B', o: 'B\''
+        };
+
+        this.model = new CubeModel();
+
+        this.playbackTimeouts = [];
+        this.lastMoveTime = null;
+        this.solveStartTime = null;
+        this.solveMoveCount = 0;
+
+        this.keyboardTarget = null;
+        this.keyHandler = null;
+    }
+
+    static get profile() {
+        return {
+            name: 'Virtual',
+            namePrefixes: [],
+            serviceUuids: [],
+            optionalServices: [],
+            manufacturerIds: []
+        };
+    }
+
+    /**
+     * Expand notation into face moves; rotations, wide turns and slices are
+     * not supported because a physical smart cube only reports outer face turns
+     */
+    parseMoves(notation) {
+        const moves = Notation.parse(notation);
+        moves.forEach((move) => {
+            if (Notation.getKind(Notation.parseMove(move).family) !== 'face') {
+                throw new Error(`Unsupported move: ${move}`);
+            }
+        });
+        return moves;
+    }
+
+    /**
+     * "Connect" the virtual cube
+     */
+    async connect() {
+        this.device = { name: 'Virtual Cube', id: 'virtual-cube' };
+        this.isConnected = true;
+
+        this.emit('connected', {
+            name: this.device.name,
+            id: this.device.id,
+            driver: this.constructor.profile.name
+        });
+        this.emitCubeState();
+        return true;
+    }
+
+    /**
+     * Disconnect the virtual cube
+     */
+    async disconnect() {
+        this.stopPlayback();
+        this.detachKeyboard();
+        this.handleDisconnection();
+    }
+
+    resetState() {
+        this.lastMoveTime = null;
+        this.solveStartTime = null;
+        this.solveMoveCount = 0;
+    }
+
+    /**
+     * Reset to solved without emitting moves
+     */
+    reset() {
+        this.stopPlayback();
+        this.model.reset();
+        this.resetState();
+        this.emitCubeState();
+    }
+
+    /**
+     * Apply a scramble instantly, without emitting moves
+     */
+    scramble(notation) {
+        this.stopPlayback();
+        this.model.reset();
+        this.parseMoves(notation).forEach(move => this.model.applyMove(move));
+        this.resetState();
+        this.emitCubeState();
+    }
+
+    /**
+     * Turn the cube as if by hand
+     * Half turns are reported as two quarter turns, like a real smart cube
+     */
+    turn(move, timestamp = this.clock.now()) {
+        if (!this.isConnected) {
+            return;
+        }
+
+        const quarterTurns = move.includes('2') ? [move.charAt(0), move.charAt(0)] : [move];
+        quarterTurns.forEach((quarterTurn) => this.emitMove(quarterTurn, timestamp));
+    }
+
+    /**
+     * Apply one quarter turn and emit moveData/cubeState/solveComplete
+     */
+    emitMove(move, timestamp) {
+        const wasSolved = this.isSolved();
+        this.model.applyMove(move);
+
+        if (this.solveStartTime === null && !wasSolved) {
+            this.solveStartTime = timestamp;
+            this.solveMoveCount = 0;
+        }
+        this.solveMoveCount++;
+
+        this.emit('moveData', {
+            type: 'move',
+            timestamp: timestamp,
+            move: move,
+            duration: this.lastMoveTime === null ? 0 : timestamp - this.lastMoveTime
+        });
+        this.lastMoveTime = timestamp;
+
+        this.emitCubeState(timestamp);
+
+        if (this.isSolved() && this.solveStartTime !== null) {
+            const totalTime = timestamp - this.solveStartTime;
+            this.emit('solveComplete', {
+                type: 'solveComplete',
+                timestamp: timestamp,
+                totalTime: totalTime,
+                moveCount: this.solveMoveCount,
+                tps: totalTime > 0 ? this.solveMoveCount / (totalTime / 1000) : 0
+            });
+            this.solveStartTime = null;
+        }
+    }
+
+    /**
+     * Play typed notation at a steady turn speed
+     */
+    playAlgorithm(notation, tps = 5) {
+        const interval = 1000 / tps;
+        const script = this.parseMoves(notation).map((move, index) => ({ move, time: index * interval }));
+        return this.playScript(script);
+    }
+
+    /**
+     * Play a scripted move list, e.g. [{ move: 'R', time: 0 }, { move: 'U', time: 180 }]
+     * Times are milliseconds from playback start; resolves when every move is played
+     * Each step is exactly one move; throws before playing anything otherwise
+     */
+    playScript(script) {
+        const moves = script.map((step) => {
+            const parsed = this.parseMoves(String(step.move || ''));
+            if (parsed.length !== 1) {
+                throw new Error(`Script step must be one move: "${step.move || ''}"`);
+            }
+            return parsed[0];
+        });
+        this.stopPlayback();
+
+        return new Promise((resolve) => {
+            if (moves.length === 0) {
+                resolve();
+                return;
+            }
+
+            let remaining = moves.length;
+            script.forEach((step, index) => {
+                const timeoutId = setTimeout(() => {
+                    this.turn(moves[index]);
+                    remaining--;
+                    if (remaining === 0) {
+                        this.playbackTimeouts = [];
+                        resolve();
+                    }
+                }, Math.max(0, step.time));
+                this.playbackTimeouts.push(timeoutId);
+            });
+        });
+    }
+
+    /**
+     * Cancel scheduled moves
+     */
+    stopPlayback() {
+        this.playbackTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
+        this.playbackTimeouts = [];
+    }
+
+    /**
+     * Turn the cube from key presses (ignored while typing in form fields)
+     */
+    attachKeyboard(target = document) {
+        this.detachKeyboard();
+
+        this.keyHandler = (event) => {
+            const tag = event.target && event.target.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA' || event.ctrlKey || event.metaKey || event.altKey) {
+                return;
+            }
+
+            const move = this.KEY_MAP[event.key.toLowerCase()];
+            if (move) {
+                event.preventDefault();
+                this.turn(move);
+            }
+        };
+
+        this.keyboardTarget = target;
+        target.addEventListener('keydown', this.keyHandler);
+    }
+
+    /**
+     * Stop listening to key presses
+     */
+    detachKeyboard() {
+        if (this.keyboardTarget && this.keyHandler) {
+            this.keyboardTarget.removeEventListener('keydown', this.keyHandler);
+        }
+        this.keyboardTarget = null;
+        this.keyHandler = null;
+    }
+
+    /**
+     * Check whether every face shows a single colour
+     */
+    isSolved() {
+        return this.model.isSolved();
+    }
+
+    /**
+     * Emit cubeState with current facelets
+     */
+    emitCubeState(timestamp = this.clock.now()) {
+        const solved = this.isSolved();
+        this.emit('cubeState', {
+            type: 'cubeState',
+            timestamp: timestamp,
+            scrambled: !solved,
+            solved: solved,
+            battery: 100,
+            facelets: this.model.getFacelets()
+        });
+    }
+
+    /**
+     * Virtual battery never drains
+     */
+    async getBatteryLevel() {
+        return 100;
+    }
+}
+
+// Export for use in other modules
+window.VirtualCube = VirtualCube;